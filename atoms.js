@@ -29,7 +29,7 @@
  * {@link module:Atoms.install function} we use to install their event handlers,
  * and most importantly, the {@link module:Atoms.Atom class} we use to create an
  * API for working with individual atoms.
- *
+ * 
  * @module Atoms
  * @see {@link module:Shells the Shells module}
  */
@@ -51,6 +51,11 @@ const innerMetadataKey = key => key.substring( 9 )
 const childClass = type => `${className}-${type}`
 const childSelector = type => '.' + childClass( type )
 
+// Internal use only: the validation feedback stored for each atom element, as
+// an object with the fields reason and feedback, kept in memory rather than in
+// the element's attributes, so that it is not saved with the document
+const storedFeedback = new WeakMap()
+
 /**
  * For information about the concept of atoms in Lurch in general, see the
  * documentation of {@link module:Atoms the Atoms module}.  Because atoms are HTML
@@ -120,9 +125,10 @@ export class Atom {
      * This function is a handler for whenever the metadata stored in this atom
      * changes.  Its default implementation is to do nothing, but having it here
      * allows {@link module:Validation the validation module} to replace this
-     * handler with one that clears all validation feedback.  We do it this way,
-     * rather than importing the validation module and calling its "clear"
-     * function ourselves, because it prevents a circular dependency.
+     * handler with one that clears the validation feedback affected by the
+     * change, marking it for re-validation.  We do it this way, rather than
+     * importing the validation module and calling its "clear" function
+     * ourselves, because it prevents a circular dependency.
      * 
      * @see {@link Atom#wasDeleted wasDeleted()}
      */
@@ -550,11 +556,15 @@ export class Atom {
      *    software does not encounter errors, and thus in which this type of
      *    feedback is never actually seen by a user.)
      * 
-     * The second argument should be the text to be shown when the user hovers
-     * their mouse over the atom.  You can omit this if you do not want any
-     * such text, but it is recommended to always have such text, for the user's
-     * benefit.  Note that browsers do not support HTML tags in such hover text
-     * panels, but they do support newline characters (`"\n"`).
+     * The second argument should be a short explanation of the result, which
+     * the {@link module:FeedbackPopover feedback popover} shows when the user
+     * hovers their mouse over the atom, if no more detailed feedback has been
+     * stored for the atom by
+     * {@link module:Atoms.Atom#applyValidationMessage applyValidationMessage()}.
+     * You can omit this if you do not want any such text, but it is
+     * recommended to always have such text, for the user's benefit.
+     * 
+     * Clearing the validation result also clears all of that detailed feedback.
      * 
      * @param {string?} result - the validation result, one of `"valid"`,
      *   `"invalid"`, `"error"`, or `"indeterminate"`; can be omitted in order
@@ -567,7 +577,7 @@ export class Atom {
     setValidationResult ( result, reason ) {
         if ( !result ) {
             this.removeChild( 'suffix' )
-            this.setHoverText( null )
+            this.clearValidationFeedback()
         } else {
             // if it already has a result, just add the relevant class to the 
             // existing classlist so we can give more nuanced feedback
@@ -575,19 +585,115 @@ export class Atom {
                                .querySelector('[class^=feedback-marker]')
             if (suffix) {
                 suffix.classList.add(`feedback-marker-${result}`)
-                // TODO: a quick fix for now, but we should make this better
-                // when we upgrade the entire transitive chains feature. For
-                // now, just remove the hover text in this situation since it
-                // can be misleading.
-                this.setHoverText('')
             } else {                  
                 this.fillChild( 'suffix',
                     `<span class="feedback-marker-${result}">&nbsp;</span>` )
-                this.setHoverText( reason )
+                this.storeValidationReason( reason )
             }
         }
     }
 
+    /**
+     * Store the explanation of this atom's validation result, for use by
+     * {@link module:Atoms.Atom#getValidationResult getValidationResult()}.
+     * Like the rest of the validation feedback stored for an atom, the
+     * explanation is kept in memory, not in the document, and the user sees it
+     * in the {@link module:FeedbackPopover feedback popover} rather than as
+     * the atom's hover text.  Subclasses that override
+     * {@link module:Atoms.Atom#setValidationResult setValidationResult()}
+     * should call this function, and the next one, rather than storing the
+     * feedback themselves.
+     * 
+     * @param {string?} reason - the explanation of the validation result
+     * @see {@link module:Atoms.Atom#clearValidationFeedback
+     *   clearValidationFeedback()}
+     */
+    storeValidationReason ( reason ) {
+        storedFeedback.set( this.element,
+            { ...storedFeedback.get( this.element ), reason } )
+    }
+
+    /**
+     * Forget all validation feedback stored for this atom, both the
+     * explanation stored by
+     * {@link module:Atoms.Atom#storeValidationReason storeValidationReason()}
+     * and the detailed feedback stored by
+     * {@link module:Atoms.Atom#applyValidationMessage applyValidationMessage()}.
+     * This also removes the atom's hover text, which older versions of Lurch
+     * used to show that feedback, and saved with the document.
+     */
+    clearValidationFeedback () {
+        storedFeedback.delete( this.element )
+        this.setHoverText( null )
+    }
+
+    /**
+     * The explanation of this atom's validation result, as stored by
+     * {@link module:Atoms.Atom#storeValidationReason storeValidationReason()}.
+     * 
+     * @returns {string?} the explanation, or undefined if there is none
+     */
+    getValidationReason () {
+        return storedFeedback.get( this.element )?.reason
+    }
+
+    /**
+     * Read the validation result currently shown on this atom, if any, as set
+     * by {@link module:Atoms.Atom#setValidationResult setValidationResult()}.
+     * If more than one result has been placed on the atom, this returns the
+     * most severe one, using the ordering in
+     * {@link module:Atoms.validationResultSeverity validationResultSeverity}.
+     * 
+     * @returns {Object?} an object with a `result` field (one of `"valid"`,
+     *   `"invalid"`, `"error"`, or `"indeterminate"`) and a `reason` field (the
+     *   explanation given for the result, if any), or undefined if this atom
+     *   is not showing any validation feedback
+     * @see {@link module:Atoms.Atom#setValidationResult setValidationResult()}
+     * @see {@link module:Atoms.Atom#getAllValidationFeedback
+     *   getAllValidationFeedback()}
+     */
+    getValidationResult () {
+        const marker = this.getChild( 'suffix', false )
+            ?.querySelector( '[class^=feedback-marker]' )
+        if ( !marker ) return
+        const results = Array.from( marker.classList )
+            .filter( name => name.startsWith( 'feedback-marker-' ) )
+            .map( name => name.substring( 16 ) )
+        results.sort( ( a, b ) => validationResultSeverity( b )
+                                - validationResultSeverity( a ) )
+        return {
+            result : results[0],
+            reason : this.getValidationReason()
+        }
+    }
+
+    /**
+     * Every piece of feedback that
+     * {@link module:Atoms.Atom#applyValidationMessage applyValidationMessage()}
+     * received for this atom is stored for the atom, even though only one of
+     * them determines the validation result shown on the atom.  This function
+     * returns all of them, ranked from most severe to least severe, using the
+     * ordering in
+     * {@link module:Atoms.validationResultSeverity validationResultSeverity}
+     * (but treating internal errors as the most severe of all, even though
+     * {@link Message.makeFeedbackPresentable makeFeedbackPresentable()} gives
+     * them the result `"invalid"`).  Feedback with equal severity stays in the
+     * order in which it was received.
+     * 
+     * @returns {Object[]} an array of feedback objects, each in the format
+     *   documented in
+     *   {@link Message.makeFeedbackPresentable makeFeedbackPresentable()}, and
+     *   therefore each with at least the fields `type`, `result`, `reason`,
+     *   and `code`, plus `message` for internal errors; the array is empty if
+     *   this atom has no stored feedback
+     */
+    getAllValidationFeedback () {
+        const stored = storedFeedback.get( this.element )?.feedback || [ ]
+        const severity = item => validationResultSeverity(
+            item.type == 'error' ? 'error' : item.result )
+        return stored.slice().sort( ( a, b ) => severity( b ) - severity( a ) )
+    }
+
     /**
      * This function inspects the given {@link Message}, which the caller wants
      * applied to this Atom.  It determines which of its feedback contents, if
@@ -602,21 +708,37 @@ export class Atom {
      * default behavior if they have specific types of feedback that they want
      * to prioritize, or they need to combine multiple types of feedback.
      * 
+     * Regardless of which feedback is shown, all of it (including the feedback
+     * from any earlier messages about this same atom in the current validation
+     * run) is stored in memory, so that it can be retrieved later with
+     * {@link module:Atoms.Atom#getAllValidationFeedback
+     * getAllValidationFeedback()}, and shown to the user in the
+     * {@link module:FeedbackPopover feedback popover}.  It is not stored in the
+     * document, because it is out of date as soon as the document changes.
+     * 
      * @param {Message} message - the message whose validation data should be
      *   used to decorate this Atom
      * @see {@link module:Atoms.Atom#setValidationResult setValidationResult()}
      */
     applyValidationMessage ( message ) {
         const possibilities = message.getAllFeedback()
+        const allFeedback = this.getAllValidationFeedback()
+            .concat( possibilities )
         // If it has only an undeclared variable error don't change the validation
         // result as there might have been a prior result that we need to keep.
-        if ( possibilities.length == 1 && 
-             possibilities[0].code == 'undeclared variable' ) return
-        // Drop scoping errors about undeclared variables
-        const applicable = possibilities.filter(
-            item => item.code != 'undeclared variable' )
-        // Apply first remaining result
-        this.setValidationResult( applicable[0]?.result, applicable[0]?.reason )
+        if ( possibilities.length != 1 || 
+             possibilities[0].code != 'undeclared variable' ) {
+            // Drop scoping errors about undeclared variables
+            const applicable = possibilities.filter(
+                item => item.code != 'undeclared variable' )
+            // Apply first remaining result
+            this.setValidationResult( applicable[0]?.result,
+                                      applicable[0]?.reason )
+        }
+        // Store all feedback received so far
+        if ( allFeedback.length > 0 )
+            storedFeedback.set( this.element,
+                { ...storedFeedback.get( this.element ), feedback : allFeedback } )
     }
 
     /**
@@ -668,6 +790,22 @@ export class Atom {
         return Atom.findAbove( this.element.parentNode )
     }
 
+    /**
+     * The nesting depth of this atom, which is 1 for atoms not inside any
+     * other atom, 2 for those inside one other atom (such as a shell), and so
+     * on.  Reports of validation feedback use this to show the structure of
+     * the document.
+     * 
+     * @returns {number} the nesting depth of this atom, at least 1
+     * @see {@link module:Atoms.Atom#parent parent()}
+     */
+    nestingDepth () {
+        let result = 1
+        for ( let walk = this.element.parentNode ; walk ; walk = walk.parentNode )
+            if ( Atom.isAtomElement( walk ) ) result++
+        return result
+    }
+
     /**
      * Create an HTMLElement that can be placed into the given `editor` and that
      * represents an inline or block-type atom, as specified by the second
@@ -840,6 +978,19 @@ export class Atom {
      */
     update () { }
 
+    /**
+     * This is a placeholder implementation of this method, to be sure that all
+     * Atom instances have one.  In subclasses, the function should return the
+     * representation of the atom in the simplified HTML used when embedding a
+     * copy of the Lurch app in a larger page (see
+     * {@link module:Atoms.Atom.simplifiedHTML simplifiedHTML()}).  The default
+     * implementation returns the atom's full HTML representation, which is
+     * not simple, but is still valid in that context.
+     * 
+     * @returns {string} the representation of the atom in simplified HTML
+     */
+    toEmbed () { return this.element.outerHTML }
+
     /**
      * The default context menu for an atom is just the context menu for its
      * parent atom, if any, or the empty array otherwise.  This makes it easy to
@@ -858,10 +1009,13 @@ export class Atom {
      * it, into that simplified HTML that is more human-readable, yet still
      * describes a Lurch document.
      * 
-     * @returns {string} the representation of the atom as a `lurch` element
+     * @param {Node} node - the DOM node to convert, including its descendants
+     * @param {tinymce.Editor} [editor] - the editor in which the atoms in the
+     *   node sit, which is computed from the node if not given, but must be
+     *   given if the node is not in an editor (e.g., an off-screen copy)
+     * @returns {string} the simplified HTML representation of the node
      */
-    static simplifiedHTML ( node ) {
-        const editor = editorForNode( node )
+    static simplifiedHTML ( node, editor = editorForNode( node ) ) {
         if ( Atom.isAtomElement( node ) ) {
             const atom = Atom.from( node, editor )
             return atom.toEmbed()
@@ -876,7 +1030,7 @@ export class Atom {
         const closeTag = bothTags.substring( startOfClose )
         return openTag
             + Array.from( node.childNodes ).map(
-                child => Atom.simplifiedHTML( child ) ).join( '' )
+                child => Atom.simplifiedHTML( child, editor ) ).join( '' )
             + closeTag
     }
 
@@ -887,6 +1041,16 @@ export class Atom {
      * HTML code for a {@link ExpositorMath} atom as it sits in a Lurch
      * application's document.
      * 
+     * If a `<lurch>` element or a shell element (such as `<theorem>`) has an
+     * `expect` attribute, its value is stored in the resulting atom's `expect`
+     * metadata, so that tools such as {@link module:CLI the command-line
+     * interface} can compare the validation result the author expected that
+     * atom to have with the one it actually receives.  Similarly, if a shell
+     * element has an `id` attribute, its value is stored in the resulting
+     * shell's `id` metadata, so that the shell can be converted back into an
+     * element with the same `id` (see {@link Shell#toEmbed toEmbed()}), which
+     * the command-line interface uses to import just that part of a document.
+     * 
      * @param {Node} node - the DOM node to use as the root of the traversal;
      *   it is modified in-place
      * @param {tinymce.Editor} editor - the editor in which the modified DOM
@@ -910,6 +1074,8 @@ export class Atom {
                 type : 'expression',
                 lurchNotation : node.textContent
             } )
+            if ( node.hasAttribute( 'expect' ) )
+                atom.setMetadata( 'expect', node.getAttribute( 'expect' ) )
             atom.update()
             node.replaceWith( atom.element )
         }
@@ -921,6 +1087,9 @@ export class Atom {
             if ( subclass != shellClass
               && ( subclass.prototype instanceof shellClass ) ) {
                 const shell = Atom.from( shellClass.createElement( editor, tag ) )
+                for ( const attribute of [ 'expect', 'id' ] )
+                    if ( node.hasAttribute( attribute ) )
+                        shell.setMetadata( attribute, node.getAttribute( attribute ) )
                 // if the content we'll add is block-type, then delete all
                 // existing content (including the default <p> element) and add it
                 if ( Array.from( node.childNodes ).some( child =>
@@ -960,6 +1129,21 @@ export class Atom {
 
 }
 
+/**
+ * Validation results can be ranked by how urgently the user should attend to
+ * them.  This function maps each validation result to a number, where higher
+ * numbers are more severe:  internal errors first, then invalid work, then
+ * indeterminate work, then valid work.  Any other value (including no result)
+ * has severity zero.
+ * 
+ * @param {string?} result - a validation result, such as those documented in
+ *   {@link module:Atoms.Atom#setValidationResult setValidationResult()}
+ * @returns {integer} the severity of that result, from 0 to 4 inclusive
+ * @function
+ */
+export const validationResultSeverity = result =>
+    [ 'valid', 'indeterminate', 'invalid', 'error' ].indexOf( result ) + 1
+
 /**
  * This function should be called in the editor's setup routine.  It installs a
  * single mouse event handler into the editor that can watch for click events to
@@ -0,0 +1,263 @@
+/**
+ * @file Command-line arguments for the command-line interface
+ *
+ * This module reads the arguments given to
+ * {@link module:CLI the command-line interface}, checks that they make sense
+ * together, and computes from them the settings the CLI uses, such as its mode
+ * and which validation results count as failures.  See the CLI's own
+ * documentation for the meaning of each switch.
+ *
+ * When the arguments are invalid, the functions in this module throw a
+ * {@link CLIError}, which carries the code with which the CLI should exit.
+ *
+ * @module Arguments
+ */
+
+import { statSync, existsSync } from 'node:fs'
+import { reporterNames } from './reporters.js'
+
+/**
+ * The codes with which the CLI exits, as documented in the CLI's own
+ * documentation: `success` (0), `failures` (1), `usage` (2), and `loadError`
+ * (3).
+ */
+export const exitCodes = {
+    success : 0,
+    failures : 1,
+    usage : 2,
+    loadError : 3
+}
+
+/**
+ * An error in what the user asked the CLI to do, such as an invalid switch or
+ * a file that does not exist, which ends the CLI before it does any work.
+ */
+export class CLIError extends Error {
+
+    /**
+     * Construct a new error with the given message and exit code.
+     *
+     * @param {string} message - the explanation to show the user
+     * @param {number} [exitCode] - the code with which the CLI should exit,
+     *   one of the values in {@link module:Arguments.exitCodes exitCodes}
+     *   (`exitCodes.usage` by default)
+     * @param {boolean} [showUsage] - whether the CLI should show the user the
+     *   summary of its usage from {@link module:Arguments.usage usage()}
+     *   instead of the message, because the message would only say that the
+     *   arguments were not understood
+     */
+    constructor ( message, exitCode = exitCodes.usage, showUsage = false ) {
+        super( message )
+        this.name = 'CLIError'
+        this.exitCode = exitCode
+        this.showUsage = showUsage
+    }
+
+}
+
+/**
+ * The validation results that can count as failures, which are the values
+ * permitted by the `--fail-on` switch.  All of them count with `--strict`.
+ */
+export const failingResults = [ 'invalid', 'indeterminate', 'error' ]
+
+// Internal use only
+// Switches that take no value
+const validCommands = [
+    'html', 'html-only', 'pdf', 'latex', 'latex-wrapper', 'markdown',
+    'simple-html', 'json', 'ndjson', 'check', 'no-table', 'watch', 'lde-cdn',
+    'strict', 'recursive'
+]
+// Internal use only
+// Switches that take a value, either as the next argument or after an equals
+// sign (as in --reporter=tap), each with the values it permits (or null if it
+// permits any value); those in the second list can take several of those
+// values, separated by commas, and those in the third list can be repeated,
+// to give several values
+const validValues = {
+    reporter : reporterNames,
+    'fail-on' : failingResults,
+    include : null,
+    exclude : null,
+    jobs : null,
+    port : null,
+    config : null,
+    report : null
+}
+const listValues = [ 'fail-on' ]
+const repeatableValues = [ 'include', 'exclude' ]
+
+// Internal use only
+// The switches that choose the CLI's mode, at most one of which can be given
+const modes = [
+    'html', 'html-only', 'pdf', 'latex', 'markdown', 'simple-html',
+    'json', 'ndjson', 'reporter', 'check', 'report'
+]
+
+/**
+ * A summary of how to use the CLI, listing its valid switches, for showing
+ * the user when the arguments cannot be understood.
+ *
+ * @returns {string} the summary, several lines long
+ * @function
+ */
+export const usage = () => [
+    'Usages: node [optional switches] cli.js <file>',
+    '    or: node [optional switches] cli.js <folder>',
+    '    or: node [optional switches] cli.js <srcfolder> <destfolder>',
+    'Valid switches: '+validCommands.map(x=>'--'+x).join( ', ' ),
+    ...Object.keys( validValues ).map( name =>
+        `    and: --${name} <${validValues[name]?.join( '|' ) ||
+            ( [ 'jobs', 'port' ].includes( name ) ? 'number' :
+              name == 'config' ? 'file' : name == 'report' ? 'folder' : 'pattern' )}>`
+      + ( listValues.includes( name ) ? '[,...]' : '' ) )
+].join( '\n' )
+
+// Internal use only
+// An error whose only explanation is the summary of the CLI's usage
+const usageError = () => new CLIError( 'Invalid arguments', exitCodes.usage, true )
+
+/**
+ * Read the given command-line arguments and compute the settings they give
+ * the CLI.  This checks that the switches are valid and consistent with one
+ * another, but not that the files or folders named exist; for that, see
+ * {@link module:Arguments.checkPaths checkPaths()}.  The result is an object
+ * with the following fields.
+ *
+ *  * `paths` - the arguments that are not switches (the files and folders to
+ *    process), of which there must be one or two
+ *  * `commands` - the names of all switches given, without their dashes
+ *  * `options` - the values of the switches that take values, by name, each of
+ *    which is an array for switches that accept several values, and a string
+ *    otherwise
+ *  * `mode` - the name of the switch that chose the mode, or `"text"` if none
+ *  * `table` - whether to print text results as a table
+ *  * `resultsMode` - whether the mode prints validation results, rather than
+ *    a document
+ *  * `validates` - whether the mode needs validation results
+ *  * `latexWrapper` - whether to wrap LaTeX output in a complete document
+ *  * `watch` - whether to watch the folder for changes
+ *  * `recursive` - whether to process subfolders of folders
+ *  * `failOn` - the validation results that count as failures
+ *  * `jobs` - how many documents to process at once
+ *  * `port` - the port for the CLI's web server, from the `--port` switch or
+ *    the `LURCH_PORT` environment variable, or undefined to choose one
+ *    automatically
+ *  * `ldeSource` - where to load the LDE from, `"local"` or `"cdn"`
+ *
+ * @param {string[]} argv - the arguments, not including those that run the
+ *   CLI itself (that is, `process.argv.slice( 2 )`)
+ * @param {Object} [env] - the environment variables (`process.env` by
+ *   default)
+ * @returns {Object} the settings, as described above
+ * @throws {CLIError} if the arguments are invalid
+ * @function
+ */
+export const parseArguments = ( argv, env = process.env ) => {
+    const paths = [ ...argv ]
+    // find all switches and ensure they're valid; those with values are also
+    // recorded in the options object
+    const commands = [ ]
+    const options = { }
+    for ( let i = 0 ; i < paths.length ; ) {
+        if ( paths[i].startsWith( '--' ) ) {
+            const text = paths.splice( i, 1 )[0].substring( 2 )
+            const equals = text.indexOf( '=' )
+            const command = equals == -1 ? text : text.substring( 0, equals )
+            let value = equals == -1 ? undefined : text.substring( equals + 1 )
+            if ( validValues.hasOwnProperty( command ) ) {
+                if ( value === undefined ) value = paths.splice( i, 1 )[0]
+                const values = listValues.includes( command ) ?
+                    `${value}`.split( ',' ) : [ value ]
+                if ( value === undefined || ( validValues[command] && values.some(
+                        one => !validValues[command].includes( one ) ) ) )
+                    throw usageError()
+                options[command] =
+                    listValues.includes( command ) ? values :
+                    repeatableValues.includes( command ) ?
+                        [ ...( options[command] || [ ] ), value ] : value
+            } else if ( value !== undefined ) {
+                throw usageError()
+            }
+            commands.push( command )
+        } else {
+            i++
+        }
+    }
+    if ( commands.some( command => !validCommands.includes( command )
+                                && !validValues.hasOwnProperty( command ) ) )
+        throw usageError()
+    if ( paths.length != 1 && paths.length != 2 )
+        throw usageError()
+    // figure out what mode we're in and make sure they didn't specify >1 mode
+    if ( modes.filter( mode => commands.includes( mode ) ).length > 1 )
+        throw new CLIError( modes.map(x=>'--'+x).join( ', ' )
+                          + ' are mutually exclusive' )
+    const mode = modes.find( mode => commands.includes( mode ) ) || 'text'
+    // the modes that print validation results, rather than a document
+    const resultsMode =
+        [ 'text', 'json', 'ndjson', 'reporter', 'check', 'report' ].includes( mode )
+    // the LaTeX wrapper is an option of the LaTeX mode only
+    const latexWrapper = commands.includes( 'latex-wrapper' )
+    if ( latexWrapper && mode != 'latex' )
+        throw new CLIError( '--latex-wrapper can be used only with --latex' )
+    // if we're watching a folder, we must print results, and not as a report
+    // or check, which describe a complete run
+    const watch = commands.includes( 'watch' )
+    if ( watch && ( !resultsMode || [ 'reporter', 'check', 'report' ].includes( mode ) ) )
+        throw new CLIError( 'cannot watch a folder with --'+mode )
+    // figure out which validation results count as failures
+    if ( commands.includes( 'strict' ) && commands.includes( 'fail-on' ) )
+        throw new CLIError( '--strict and --fail-on are mutually exclusive' )
+    const failOn = options['fail-on'] ||
+        ( commands.includes( 'strict' ) ? failingResults : [ 'invalid', 'error' ] )
+    // figure out how many documents to process at once
+    const jobs = options.jobs === undefined ? 1 : Number( options.jobs )
+    if ( !Number.isInteger( jobs ) || jobs < 1 )
+        throw new CLIError( '--jobs must be a positive whole number' )
+    // figure out which port the web server serving the app should use, if the
+    // user chose one; otherwise, an unused port is chosen automatically
+    const requestedPort = options.port ?? env.LURCH_PORT
+    const port = requestedPort === undefined ? undefined : Number( requestedPort )
+    if ( requestedPort !== undefined && ( requestedPort === ''
+      || !Number.isInteger( port ) || port < 0 || port > 65535 ) )
+        throw new CLIError( 'the port must be a whole number from 0 to 65535' )
+    return {
+        paths, commands, options, mode, resultsMode, latexWrapper, watch,
+        failOn, jobs, port,
+        table : !commands.includes( 'no-table' ),
+        // the modes that output a document without validating it first
+        // need not validate, because the output would not include the results
+        validates :
+            ![ 'html-only', 'latex', 'markdown', 'simple-html' ].includes( mode ),
+        recursive : commands.includes( 'recursive' ),
+        ldeSource : commands.includes( 'lde-cdn' ) ? 'cdn' : 'local'
+    }
+}
+
+/**
+ * Check that the files and folders named in the given settings (as computed
+ * by {@link module:Arguments.parseArguments parseArguments()}) exist, and if
+ * there are two, that they are both folders, and that the mode can convert
+ * one folder to another.
+ *
+ * @param {Object} settings - the settings to check
+ * @throws {CLIError} if the settings name files or folders that do not exist
+ *   (with exit code `exitCodes.loadError`) or that are of the wrong kind
+ *   (with exit code `exitCodes.usage`)
+ * @function
+ */
+export const checkPaths = ( { paths, resultsMode, mode } ) => {
+    paths.forEach( path => {
+        if ( !existsSync( path ) )
+            throw new CLIError( path+' does not exist', exitCodes.loadError )
+    } )
+    if ( paths.length == 2 ) {
+        paths.forEach( path => {
+            if ( !statSync( path ).isDirectory() )
+                throw new CLIError( path+' is not a directory' )
+        } )
+        if ( resultsMode )
+            throw new CLIError( 'Cannot convert one directory to another as --'+mode )
+    }
+}
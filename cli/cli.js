@@ -77,6 +77,62 @@
  * 
  * `node cli/cli.js --pdf path/to/your-file.md`
  * 
+ * To convert a document to a form for editing elsewhere, use one of the
+ * following switches, which print the document without validating it.
+ * 
+ *  * `--latex` prints the document as LaTeX, in the same form produced by the
+ *    app's menu item for exporting LaTeX, ready to paste into a LaTeX editor
+ *    such as Overleaf.  Add the `--latex-wrapper` switch to make it a complete
+ *    LaTeX document, with a preamble defining the environments it uses.
+ *  * `--markdown` prints the document in the Markdown format described below,
+ *    which is handy for turning a document saved from the app into one that
+ *    can be edited by hand.
+ *  * `--simple-html` prints the document in the simplified HTML format
+ *    described below, for the same purpose.
+ * 
+ * `node cli/cli.js --latex --latex-wrapper path/to/your-file.lurch > output.tex`
+ * 
+ * If you want to process the validation results with another program (such as
+ * a script in a continuous integration system), use the `--json` switch.  It
+ * prints a JSON object with two fields, `file` (the path to the input file)
+ * and `results` (an array containing one object per atom in the document, in
+ * the format documented in {@link module:HeadlessLurch.validationResults
+ * validationResults()}, which includes each atom's type, nesting depth, Lurch
+ * notation or LaTeX, validation result, and the reason for that result).
+ * 
+ * `node cli/cli.js --json path/to/your-file.md > results.json`
+ * 
+ * The `--ndjson` switch is the same, except that it prints each object on a
+ * single line, which is useful when processing many files (see below).
+ * 
+ * To show the validation results in a testing dashboard, use the `--reporter`
+ * switch, followed by either `junit` (for JUnit XML) or `tap` (for the Test
+ * Anything Protocol).  The report treats each document as a test suite and
+ * each atom that received a validation result as a test case, which fails if
+ * its result was invalid, indeterminate, or error, with the reason for that
+ * result as its failure message.  See {@link module:Reporters the reporters
+ * module} for details.  This is most useful when validating an entire folder
+ * (see below), in which case the report contains one test suite per file.
+ * 
+ * `node cli/cli.js --reporter junit path/to/your-folder > results.xml`
+ * 
+ * To share the validation results with people who do not run the CLI (such as
+ * teaching assistants), use the `--report` switch, followed by the folder in
+ * which to write a small static website.  Its index page lists the documents,
+ * each with a badge saying whether it passed (see the exit codes below for
+ * which results count as failing) and badges counting its results, and links
+ * to a page for each document.  That page lists the document's flagged steps
+ * (those whose results were not valid) with the reason for each, followed by
+ * a rendered copy of the document with the same validation markers the app
+ * shows.  The folder can then be opened in a browser or placed on any web
+ * server.  See {@link module:ReportSite the report site module} for details.
+ * 
+ * `node cli/cli.js --report path/to/site path/to/your-folder`
+ * 
+ * In all of these output formats, messages about the CLI's progress (and any
+ * errors) are printed to the standard error stream, so that redirecting the
+ * standard output to a file captures only the requested output.
+ * 
  * ## Simplified HTML vs. long-form HTML
  * 
  * Writing a Lurch document typically includes mathematical content like
@@ -122,13 +178,36 @@
  * </div>
  * ```
  * 
+ * To import only some parts of a document, add a `select` attribute listing
+ * them, separated by commas, in the order in which they should be imported.
+ * Each part can be either an element with a given `id` attribute, written as
+ * `tag#id` (or just `#id` to allow any tag), or a section of the document,
+ * written as `section:Heading text`, which imports that heading and everything
+ * after it, up to the next heading of the same or a higher level.  Headings
+ * can be written in Markdown (`## Heading text`) or HTML (`<h2>...</h2>`) and
+ * are matched without regard to case.  For example, if `sets.md` contains
+ * `<axiom id="extensionality">...</axiom>` and
+ * `<theorem id="subset-trans">...</theorem>`, then either of the following
+ * imports just those parts of it.
+ * 
+ * ```html
+ * <import src="sets.md" select="theorem#subset-trans, axiom#extensionality"/>
+ * <import src="sets.md" select="#extensionality, section:Subsets"/>
+ * ```
+ * 
+ * Any imports inside the selected parts are done as usual, but imports
+ * elsewhere in the imported document are not.  If a selection does not match
+ * anything in the imported document, the CLI reports an error.  Giving a shell
+ * an `id` attribute does not change its meaning; the Lurch app stores it with
+ * the shell so that it is kept when the document is exported.
+ * 
  * ## Use case 2: Validating existing Lurch documents
  * 
  * It is unlikely that the user will want to author documents in the long-form
  * HTML format, because it is an internal storage format that is far less
  * human-readable.  But if the user already has a Lurch document saved from the
  * app itself, and thus in the long-form HTML format, you can pass it to the CLI
- * to have it validated.
+ * to have it validated.  Such files can end in either `.html` or `.lurch`.
  * 
  * `node cli/cli.js path/to/your-file.html`
  * 
@@ -143,11 +222,44 @@
  * validate all the files in that folder, and print the results to the console.
  * In this mode, you can use only the default output format (indented text, as
  * shown above), which will be supplemented with a filename above each section
- * of output.  (The HTML output forms are typically for redirecting to a file,
- * and thus do not make sense in this context.)
+ * of output, and followed by a table summarizing how many valid, invalid,
+ * indeterminate, and error results each file had.  You can also use one of
+ * the JSON or reporter output formats.  With `--json`, the output is one JSON
+ * array containing the object described above for each file, and with
+ * `--reporter`, it is one report with a test suite for each file.  With
+ * `--ndjson`, the output is one line per file, each containing that file's
+ * object, printed as soon as the file has been validated.  (The HTML output
+ * forms are typically for redirecting to a file, and thus do not make sense in
+ * this context.)
  * 
  * `node cli/cli.js path/to/your-folder`
  * 
+ * `node cli/cli.js --ndjson path/to/your-folder`
+ * 
+ * By default, the CLI processes only the `.md`, `.html`, and `.lurch` files
+ * directly inside the folder.  To also process those in its subfolders (and
+ * theirs, and so on), use the `--recursive` switch.  To process only some of the files,
+ * use `--include` and `--exclude`, each followed by a glob pattern, such as
+ * `chapter-*.md` or `drafts/**`.  Then the CLI processes only the files that
+ * match at least one `--include` pattern (if any are given) and no `--exclude`
+ * pattern.  Each pattern is compared to each file's path relative to the
+ * folder, or to just the file's name if the pattern contains no slashes.  Each
+ * of these switches can be used more than once, and all of them work in every
+ * mode that processes a folder, including the ones described below.
+ * 
+ * `node cli/cli.js --recursive --exclude "drafts/**" path/to/your-folder`
+ * 
+ * To process a large folder more quickly, use `--jobs` followed by a number,
+ * such as `--jobs 4`, to load that many copies of the Lurch app (each in its
+ * own page of the same headless browser) and divide the files among them.  The
+ * output is printed in the same order as it would be without `--jobs`, so
+ * that it does not depend on which copy of the app happens to finish first.
+ * This works in every mode that processes a folder.  In `--watch` mode, it
+ * lets the CLI process several documents at once when a change to one file
+ * affects many documents.
+ * 
+ * `node cli/cli.js --jobs 4 --json path/to/your-folder > results.json`
+ * 
  * ## Use case 4: Watching for changes
  * 
  * If you run the command on a folder, you can pass the `--watch` switch to
@@ -157,140 +269,364 @@
  * it will read the new or changed file and process it in the default way
  * described above (printing validation results in text form, indented).
  * 
+ * Because documents can import other files (as described above), the CLI
+ * keeps track of which files import which others, and when a file changes, it
+ * also processes every document in the folder that imports that file, either
+ * directly or through a chain of imports.  Thus editing a file of axioms, for
+ * example, re-validates every document that depends on them.  This works even
+ * for imported files outside the folder, and those that are not processed
+ * themselves (e.g., because of `--exclude`).
+ * 
+ * The first time the CLI processes a document, it prints all of its validation
+ * results.  After that, it prints only how they differ from the previous time,
+ * listing each step whose result changed, each new step that has a result, and
+ * each step with a result that no longer appears (or that no results changed).
+ * Steps are identified by their type and content, such as
+ * ``expression: `A and B` ``, so a step whose content was edited appears as
+ * one step removed and another added.
+ * 
  * In this mode, the CLI does not exit until the user kills the process.  It
  * remains running so that you can use it to get constant, up-to-the-moment
  * feedback on your recently saved edits.  You can exit it with Ctrl+C, as with
  * any CLI tool.
  * 
  * The `--watch` switch is not compatible with the `--html` or `--html-only`
- * switches because their output is not human-readable, and the goal of the
+ * switches (nor the others that output a document, such as `--pdf` or
+ * `--latex`) because their output is not human-readable, and the goal of the
  * `--watch` switch is to provide a way for the user to edit a document and,
  * each time they save, see the latest validation results.  Thus the only output
- * format that makes sense is the default one.
+ * formats that make sense are the default one and the JSON formats (for tools
+ * that want to react to the latest results); each change prints one JSON object
+ * as described above.
  * 
  * `node cli/cli.js --watch path/to/your-folder`
  * 
- * ## Use case 5: Converting an entire folder
+ * In the JSON formats, each object printed after the first for that document
+ * has a third field, `changes`, listing the same differences, each as an
+ * object with the fields `change` (one of "changed", "added", or "removed"),
+ * `atom` (the step's type and content), `before` and `after` (its results in
+ * the previous and current runs, where applicable), and `reason` (the reason
+ * for its current result, if any).
+ * 
+ * ## Use case 5: Checking expected results
+ * 
+ * If you keep reference documents whose steps are supposed to have particular
+ * validation results (for example, mistakes that Lurch should catch), you can
+ * annotate each such step with the result you expect it to have, as described
+ * in {@link module:EmbedListener the embed-listener.js module}.  For example,
+ * in Markdown, write `` `P and Q` <!-- expect: invalid --> ``, or in either
+ * Markdown or HTML, write `<lurch expect="invalid">P and Q</lurch>`.  Shell
+ * tags, such as `<theorem>`, can also have an `expect` attribute.  The
+ * expected result can be any of "valid," "invalid," "indeterminate," or
+ * "error," or "none" if the step should not receive any result.
+ * 
+ * Then use the `--check` switch to validate the document(s) and compare the
+ * actual results to those you expected.  For each annotated step whose result
+ * differs from the one you expected, the CLI prints the file and line number of
+ * its annotation, together with both results.  It does the same for any
+ * annotation that did not end up on a step in the document (for example,
+ * because it was in the document header).  It works on single files and on
+ * folders.
+ * 
+ * `node cli/cli.js --check path/to/your-folder`
+ * 
+ * ## Use case 6: Converting an entire folder
  * 
  * If you run the CLI on two folders, they are treated as a source and a
  * destination folder.  The CLI will convert all the files in the source folder
  * to HTML, and write the results to the destination folder using the same
  * filenames, but with each extension changed to `.html`.  The output form is
  * long-form HTML, meaning that it is ready to be opened in the main Lurch app.
- * 
- * `node cli/cli.js path/to/your-source-folder path/to/your-destination-folder`
+ * With `--html`, the documents are validated first, so that the output
+ * contains the validation results, and with `--html-only`, they are not.  With
+ * `--pdf`, the documents are validated and written as PDFs instead.  With
+ * `--latex`, `--markdown`, or `--simple-html`, they are written in those forms
+ * (with the extension `.tex`, `.md`, or `.html`, respectively) without being
+ * validated, which makes it easy to convert a folder of documents saved from
+ * the app into LaTeX or into Markdown that can be edited by hand.  When
+ * validating, the CLI ends with the same summary table described above.  If
+ * you use `--recursive`, the files in each subfolder of the source folder are
+ * written to the corresponding subfolder of the destination folder, which is
+ * created if needed.
+ * 
+ * `node cli/cli.js --html path/to/your-source-folder path/to/your-destination-folder`
  * 
  * In this way, the user can write an entire library of mathematical documents
  * with dependencies among one another in a single folder, in a convenient
  * format like Markdown, and just occasionally compile them into the format used
  * in the main Lurch app, for distribution to users of that app.
  * 
+ * ## Configuring a project
+ * 
+ * The documents in a project often share settings and a header.  Rather than
+ * repeat these in every document, you can put them in a configuration file
+ * named `lurch.config.json`, which the CLI reads from the current folder (if
+ * it exists) before loading any documents.  To use a different file, use the
+ * `--config` switch, followed by the file's path.
+ * 
+ * `node cli/cli.js --config path/to/config.json path/to/your-folder`
+ * 
+ * The file must contain a JSON object, all of whose keys are optional.
+ * 
+ *  * `appDefaults` overrides the default application settings of the
+ *    invisible Lurch app, as the option of the same name to
+ *    {@link Lurch.createApp createApp()} does.  Its keys are the names of
+ *    the settings in {@link SettingsInstaller the settings installer module},
+ *    such as `"expression editor type"` (`"Beginner"`, `"Intermediate"`, or
+ *    `"Advanced"`), `"notation"` (`"Lurch notation"` or `"LaTeX"`),
+ *    `"default shell style"` (`"boxed"` or `"minimal"`), and
+ *    `"declaration type templates"` (the phrases for declarations, one per
+ *    line).
+ *  * `documentDefaults` overrides the default settings of each document, as
+ *    the option of the same name to {@link Lurch.createApp createApp()} does.
+ *    Its keys are the names of the settings in
+ *    {@link LurchDocument.settingsMetadata the document settings metadata},
+ *    such as `"notation"` and `"shell style"`.  Settings stored in a
+ *    document itself take precedence over these.
+ *  * `header` is the path to a file to use as the header of every document
+ *    written in Markdown or simplified HTML that does not have a header of
+ *    its own (see above).
+ *  * `dependencies` is an array of paths to files whose contents are added to
+ *    the start of the header of every document written in Markdown or
+ *    simplified HTML, creating a header if needed.  This is like putting an
+ *    `<import src="..."/>` tag for each of them in every document's header.
+ * 
+ * Paths in the configuration file are relative to the folder containing it.
+ * The header and dependency files can import other files, as documents can,
+ * and should be in the same format (Markdown or HTML) as the documents.
+ * Documents saved from the Lurch app (in long-form HTML) already contain
+ * their own headers, so the last two keys do not affect them.  In `--watch`
+ * mode, changing the header or dependency files revalidates every document.
+ * Here is an example configuration file.
+ * 
+ * ```json
+ * {
+ *     "appDefaults" : {
+ *         "expression editor type" : "Advanced",
+ *         "notation" : "LaTeX"
+ *     },
+ *     "documentDefaults" : {
+ *         "notation" : "LaTeX",
+ *         "shell style" : "minimal"
+ *     },
+ *     "dependencies" : [ "library/logic-rules.md", "library/set-theory.md" ]
+ * }
+ * ```
+ * 
+ * ## Using a local copy of the deductive engine
+ * 
+ * The CLI loads the Lurch Deductive Engine (LDE) from a copy stored in the
+ * `vendor/lde/` folder of this repository, so that validation does not depend
+ * on reaching the LDE's CDN.  (The app's other libraries, such as TinyMCE,
+ * still come from their own CDNs.)  That folder is not part of the repository
+ * itself (it is listed in `.gitignore`), so create it (once, while online, and
+ * again whenever the LDE version in `lde-cdn.js` changes) by running the
+ * following command.
+ * 
+ * `node cli/vendor-lde.js`
+ * 
+ * If there is no local copy, the CLI stops with an error saying so.  To load
+ * the LDE from its CDN instead, use the `--lde-cdn` switch.
+ * 
+ * ## Choosing the web server's port
+ * 
+ * The CLI runs a small web server, from which its invisible copy of the Lurch
+ * app loads.  By default, that server listens on whatever port the operating
+ * system says is unused, so that several copies of the CLI can run at once,
+ * even while another server (such as one used for developing the app) is
+ * running.  To choose the port yourself, use the `--port` switch, followed by
+ * the port number, or set the `LURCH_PORT` environment variable.  (The switch
+ * takes precedence.)  A port of 0 means to choose an unused one, as by
+ * default.  If the chosen port is in use, the CLI exits with code 3 (see
+ * below).
+ * 
+ * `node cli/cli.js --port 8081 path/to/your-file.md`
+ * 
+ * ## Exit codes
+ * 
+ * So that scripts (such as continuous integration jobs) can tell whether the
+ * documents they check are correct, the CLI exits with one of the following
+ * codes, except in `--watch` mode, which runs until the user stops it.
+ * 
+ *  * 0 - every document was processed, and none contained a failing result
+ *  * 1 - every document was processed, but at least one was validated and
+ *    contained a failing result (see below), or, when using `--check`, at
+ *    least one result differed from the one expected
+ *  * 2 - the command-line arguments were invalid, so nothing was processed
+ *  * 3 - a document could not be processed, because a file was missing, it
+ *    could not be read or loaded (e.g., because of a circular import), or
+ *    validation itself failed (e.g., because it timed out)
+ * 
+ * By default, the validation results that count as failing are "invalid" and
+ * "error."  Use the `--strict` switch to also count "indeterminate" results as
+ * failing, or use the `--fail-on` switch to choose exactly which results count,
+ * as a comma-separated list, as in the following example.
+ * 
+ * `node cli/cli.js --fail-on invalid,indeterminate path/to/your-folder`
+ * 
  * This module is supported by {@link module:HeadlessLurch the headless Lurch
- * module}.
+ * module}, which runs the Lurch app, and by the following modules, which each
+ * handle one part of the work described above, so that they can be tested on
+ * their own: {@link module:Arguments arguments.js} (switches and exit codes),
+ * {@link module:Config config.js} (the configuration file),
+ * {@link module:Folders folders.js} (finding documents in folders),
+ * {@link module:Documents documents.js} (imports and default headers),
+ * {@link module:Results results.js} (text output and the summary table),
+ * {@link module:Reporters reporters.js} (`--reporter`),
+ * {@link module:Expectations expectations.js} (`--check`),
+ * {@link module:Watch watch.js} (`--watch`), and
+ * {@link module:ReportSite report-site.js} (`--report`).
  * 
  * @module CLI
  */
 
 import {
-    openApp, openDocument, validationResults, documentHTML, documentAsPDF
+    LurchSessionPool, startAppServer, closeApp
 } from './headless-lurch.js'
+import { report } from './reporters.js'
+import { writeReportSite } from './report-site.js'
+import { checkExpectations } from './expectations.js'
+import { ImportGraph, diffResults } from './watch.js'
+import {
+    exitCodes, CLIError, usage, parseArguments, checkPaths
+} from './arguments.js'
+import { readConfig } from './config.js'
+import { documentFilter, findDocuments } from './folders.js'
+import { formatResult, ResultsSummary } from './results.js'
 import chalk from 'chalk'
-import { statSync, readdirSync, writeFileSync } from 'node:fs'
-import { join } from 'node:path'
+import { statSync, writeFileSync, existsSync, mkdirSync } from 'node:fs'
+import { join, dirname, basename, relative, normalize, sep } from 'node:path'
 import chokidar from 'chokidar'
 
-// Figure out what arguments and switches have been passed to us
-// and yell if any of them are invalid
+// Show the user the given error, which explains what is wrong with what they
+// asked the CLI to do, and exit with the appropriate code.  Any other kind of
+// error is a bug, so we let it propagate.
+const fail = error => {
+    if ( !( error instanceof CLIError ) ) throw error
+    console.error( error.showUsage ? usage() : 'Error: '+error.message )
+    process.exit( error.exitCode )
+}
 
-const validCommands = [ 'html', 'html-only', 'pdf', 'no-table', 'watch' ]
-const usage = () => {
-    console.error( 'Usages: node [optional switches] cli.js <file>' )
-    console.error( '    or: node [optional switches] cli.js <folder>' )
-    console.error( '    or: node [optional switches] cli.js <srcfolder> <destfolder>' )
-    console.error( 'Valid switches: '+validCommands.map(x=>'--'+x).join( ', ' ) )
+// Figure out what arguments and switches have been passed to us, and yell if
+// any of them are invalid, or if the files and folders they name do not exist.
+// Then read the configuration file, if any; see the top of this file for its
+// format.
+let settings
+let config
+try {
+    settings = parseArguments( process.argv.slice( 2 ) )
+    config = readConfig( settings.options.config )
+    checkPaths( settings )
+} catch ( error ) {
+    fail( error )
 }
-// drop "node cli.js" off the list off the args list:
-const args = process.argv.slice( 2 )
-// find all switches and ensure they're valid
-const commands = [ ]
-for ( let i = 0 ; i < args.length ; ) {
-    if ( args[i].startsWith( '--' ) ) {
-        commands.push( args.splice( i, 1 )[0].substring( 2 ) )
-    } else {
-        i++
-    }
+const {
+    paths : args, options, mode, table, resultsMode, validates, latexWrapper,
+    watch, recursive, failOn, jobs, port : requestedPort, ldeSource
+} = settings
+
+// The following routine prints out one validation result, as formatted by the
+// results.js module.  It will be called repeatedly when validation results
+// have come back and need to be printed.  See below where it is used.
+const printResult = result => console.log( formatResult( result, table ) )
+
+// The following routine prints the validation results for one file in one of
+// the JSON formats: on a single line for --ndjson, or indented for --json.
+// Any other fields to include in the printed object can be given as well.
+const printJSON = ( file, results, extra = { } ) => {
+    const record = { file, results, ...extra }
+    console.log( mode == 'ndjson' ? JSON.stringify( record ) :
+                                    JSON.stringify( record, null, 4 ) )
 }
-if ( commands.some( command => !validCommands.includes( command ) ) ) {
-    usage()
-    process.exit()
+
+// The following summary records the validation results for each file, and
+// whether any of them count as failures, so that we can exit with the
+// appropriate code when we finish, using the routines after it, and can print
+// a table summarizing the results, using printSummary(), below.  When
+// processing many files at once, we record them in the order of the files, so
+// that the table is in that order, too.
+const summary = new ResultsSummary( failOn )
+const recordResults = ( file, results ) => summary.record( file, results )
+const exit = async code => {
+    // Shut down the headless app and the web server before exiting
+    try {
+        await closeApp()
+    } finally {
+        process.exit( code )
+    }
 }
-// figure out what mode we're in and make sure they didn't specify >1 mode
-if ( ( commands.includes( 'html' ) ? 1 : 0 )
-   + ( commands.includes( 'html-only' ) ? 1 : 0 )
-   + ( commands.includes( 'pdf' ) ? 1 : 0 ) > 1 ) {
-    console.error( 'Error: --html, --html-only, and --pdf are mutually exclusive' )
-    process.exit()
+const finish = () =>
+    exit( summary.failed ? exitCodes.failures : exitCodes.success )
+
+// The following routine writes the HTML report site requested by --report,
+// for the given documents, as documented in the report-site.js module
+const writeSite = documents => {
+    const index = writeReportSite( options.report, documents, failOn )
+    console.error( chalk.green( 'Wrote report to ' + index ) )
 }
-const mode = commands.includes( 'html-only' ) ? 'html-only' :
-             commands.includes( 'html' ) ? 'html' :
-             commands.includes( 'pdf' ) ? 'pdf' : 'text'
-const table = !commands.includes( 'no-table' )
-// figure out if we're watching a folder, and if so, we must be in text mode
-const watch = commands.includes( 'watch' )
-if ( watch && mode != 'text' ) {
-    console.error( 'Error: cannot watch a folder with --'+mode )
-    process.exit()
+
+// The following routine prints a table summarizing the results recorded by
+// recordResults(), one row per file, plus a row of totals.
+const printSummary = () => {
+    const [ header, ...rows ] = summary.table()
+    console.log( chalk.bold( header ) )
+    rows.forEach( row => console.log( row ) )
 }
-// ensure the post-switch args are either one file, one folder, or two folders
-if ( args.length == 2 ) {
-    if ( !statSync( args[0] ).isDirectory() ) {
-        console.error( 'Error: '+args[0]+' is not a directory' )
-        process.exit()
-    }
-    if ( !statSync( args[1] ).isDirectory() ) {
-        console.error( 'Error: '+args[1]+' is not a directory' )
-        process.exit()
-    }
-    if ( mode == 'text' ) {
-        console.error( 'Error: Cannot convert one directory to another as --text' )
-        process.exit()
-    }
-} else if ( args.length != 1 ) {
-    usage()
-    process.exit()
+
+// The following routines find the documents in a folder that the CLI should
+// process, as documented in the folders.js module, using the --recursive,
+// --include, and --exclude switches
+const folderOptions =
+    { recursive, include : options.include, exclude : options.exclude }
+const isDocument = documentFilter( folderOptions )
+
+// The following routine gets the document loaded into the given session in
+// the form the mode says, for the modes that output a document rather than
+// validation results.  The constant after it is the file extension for that
+// form, used when writing documents to a folder.
+const outputDocument = session =>
+    mode == 'pdf' ? session.documentAsPDF() :
+    mode == 'latex' ? session.documentAsLatex( latexWrapper ) :
+    mode == 'markdown' ? session.documentAsMarkdown() :
+    mode == 'simple-html' ? session.documentAsSimplifiedHTML() :
+    session.documentHTML()
+const outputExtension =
+    mode == 'pdf' ? '.pdf' : mode == 'latex' ? '.tex' : mode == 'markdown' ? '.md' :
+    '.html'
+
+// For --watch mode, a graph of which files import which others, so that when a
+// file changes, we can process every document that imports it, directly or
+// indirectly.  All paths in it are normalized, so that the same file always has
+// the same path.
+const importGraph = new ImportGraph(
+    [ config.header, ...( config.dependencies || [ ] ) ] )
+
+// Print a list of differences between two runs of validation results for the
+// same document, as computed by diffResults()
+const printChanges = changes => {
+    if ( changes.length == 0 )
+        return console.log( chalk.gray( '    no changes in validation results' ) )
+    changes.forEach( change => console.log(
+        change.change == 'added' ? chalk.green( '    + ' ) + change.atom
+            + `: ${change.after}` :
+        change.change == 'removed' ? chalk.red( '    - ' ) + change.atom
+            + `: was ${change.before}` :
+        chalk.yellow( '    ~ ' ) + change.atom
+            + `: ${change.before || 'none'} -> ${change.after || 'none'}` ) )
 }
 
-// The following routine prints out one validation result.
-// It will be called repeatedly when validation results have come back and need
-// to be printed.  See below where it is used.
-const eighty = '                                        '
-             + '                                        '
-const printResult = result => {
-    let indent = ''
-    for ( let i = 0 ; i < result.depth ; i++ ) indent += '    '
-    const type = chalk.gray( result.type )
-    const repr = chalk.inverse(
-        result.given ? `Given $${result.latex}$` :
-        result.contentType == 'Statement' ? '`'+result.lurch+'`' :
-        result.contentType == 'Assumption' ? 'Assume `'+result.lurch+'`' :
-        result.contentType && result.lurch ?
-            `${result.contentType}: ${result.symbol}, ${result.lurch}` :
-        result.contentType ? `${result.contentType}: ${result.symbol}` :
-        result.lurch ? '`'+result.lurch+'`' :
-        result.latex ? '$'+result.latex+'$' : ''
-    )
-    const validation =
-        !result.result ? '' :
-        result.result == 'valid' ? chalk.bgGreen( ' ✓ valid ' ) :
-        result.result == 'invalid' ? chalk.bgRed( ' ✗ invalid ' ) :
-        result.result == 'indeterminate' ? chalk.bgYellow( ' ? indeterminate ' ) :
-        chalk.bgRed( ' ! error ' )
-    if ( table ) {
-        console.log( ( `${indent}${type}: ${repr}` + eighty ).substring( 0, 60 )
-            + validation )
-    } else {
-        console.log( `${indent}${type}: ${repr}${validation}` )
-    }
+// The following routine compares the validation results for one document with
+// the results its author expected, as recorded in annotations whose locations
+// were returned by openDocument().  It prints the location of each annotation
+// whose expectation was not met, then a summary, and records any mismatches in
+// the summary of results, so that we exit with the appropriate code.
+const printExpectationCheck = ( file, expectations, results ) => {
+    const mismatches = checkExpectations( file, expectations, results )
+    mismatches.forEach( mismatch => console.log( chalk.red( mismatch ) ) )
+    const counts = `${file}: ${expectations.length} expected results, `
+                 + `${mismatches.length} mismatches`
+    console.log( mismatches.length ? chalk.red( counts ) : chalk.green( counts ) )
+    if ( mismatches.length ) summary.failed = true
 }
 
 // This is the main body of the script.
@@ -299,9 +635,27 @@ const printResult = result => {
 // browser, using await.
 ;( async () => {
 
-    // Tell the headless browser to load the Lurch app
-    console.log( chalk.green( 'Launching invisible Lurch app...' ) )
-    await openApp()
+    // Start the web server from which the headless browser loads the app
+    const port = await startAppServer( { port : requestedPort } )
+    console.error( chalk.green( `Serving the Lurch app on port ${port}` ) )
+
+    // Tell the headless browser to load the Lurch app, once for each document
+    // we will process at the same time; when there are several, we distribute
+    // the documents among them, but still print the output in the order of the
+    // documents, so that it is the same no matter which copy finishes first
+    const poolSize =
+        args.length == 1 && !statSync( args[0] ).isDirectory() ? 1 : jobs
+    console.error( chalk.green( poolSize == 1 ? 'Launching invisible Lurch app...' :
+        `Launching ${poolSize} invisible Lurch apps...` ) )
+    const pool = await LurchSessionPool.open( poolSize, {
+        ldeSource,
+        port,
+        appDefaults : config.appDefaults,
+        documentDefaults : config.documentDefaults,
+        header : config.header,
+        dependencies : config.dependencies
+    } )
+    const session = pool.sessions[0]
 
     // Case 1: We're handling one file or one folder
     if ( args.length == 1 ) {
@@ -310,84 +664,211 @@ const printResult = result => {
 
         // Case 1a: We're handling one folder
         if ( stat.isDirectory() ) {
-            if ( mode != 'text' ) {
-                // We have to be in text mode to process a whole folder
+            if ( !resultsMode ) {
+                // We have to be printing results to process a whole folder
                 console.error( 'Error: Cannot process a directory with --'+mode )
-                process.exit()
+                return exit( exitCodes.usage )
             } else if ( watch ) {
                 // If we're watching the folder, launch the file-system-watching
                 // tool "chokidar" to do that job.
-                console.log( chalk.green( 'Watching ' + path ) )
-                const watcher = chokidar.watch( path, {
+                console.error( chalk.green( 'Watching ' + path ) )
+                const folder = normalize( path )
+                const watcher = chokidar.watch( folder, {
                     persistent : true,
-                    ignoreInitial : true
+                    ignoreInitial : true,
+                    depth : recursive ? undefined : 0
                 } )
-                // Any time we hear about a file change, validate that file and
-                // print the results.
-                const handler = async ( path ) => {
-                    if ( !path.endsWith( '.md' ) && !path.endsWith( '.html' ) )
+                // Which files are documents we should process, as opposed to
+                // files that are only imported by them
+                const isWatchedDocument = file => {
+                    const relativePath = relative( folder, file )
+                    return !relativePath.startsWith( '..' )
+                        && ( recursive || !relativePath.includes( sep ) )
+                        && isDocument( relativePath )
+                }
+                // Build the graph of imports, and watch any imported files
+                // outside the folder, too
+                const watchImports = () => importGraph.files()
+                    .filter( file => relative( folder, file ).startsWith( '..' ) )
+                    .forEach( file => watcher.add( file ) )
+                findDocuments( folder, folderOptions ).forEach( file =>
+                    importGraph.update( join( folder, file ) ) )
+                watchImports()
+                // Any time we hear about a file change, record it, and then
+                // process the changes.  We process them in batches, so that
+                // changes that happen while we are processing a batch are
+                // handled in the next batch, and we never process one document
+                // twice at the same time.
+                const changedFiles = new Set()
+                const previousResults = new Map()
+                let processing = false
+                const processChanges = async () => {
+                    if ( processing ) return
+                    processing = true
+                    try {
+                        while ( changedFiles.size > 0 )
+                            await processBatch()
+                    } finally {
+                        processing = false
+                    }
+                }
+                const processBatch = async () => {
+                    const changed = Array.from( changedFiles )
+                    changedFiles.clear()
+                    // Update the graph for the changed files, forget the
+                    // results of any deleted documents, then find all documents
+                    // affected by the changes, and for each, a changed file it
+                    // imports (if it did not itself change)
+                    changed.forEach( file => importGraph.update( file ) )
+                    changed.filter( file => !existsSync( file ) ).forEach(
+                        file => previousResults.delete( file ) )
+                    watchImports()
+                    const reasons = new Map()
+                    changed.forEach( file =>
+                        importGraph.importersOf( file ).forEach( importer => {
+                            if ( importer == file || !reasons.has( importer ) )
+                                reasons.set( importer, file )
+                        } ) )
+                    const documents = Array.from( reasons.keys() ).filter( file =>
+                        isWatchedDocument( file ) && existsSync( file ) ).sort()
+                    // Validate them all, then print the results of each in
+                    // order.  If validation fails, report it, but keep watching.
+                    await pool.map( documents, async ( session, file ) => {
+                        try {
+                            await session.openDocument( file )
+                            // The following line may seem odd, but here's why
+                            // it matters:  If a previous document was loaded,
+                            // then we load a new one, the deletion of a ton of
+                            // atoms causes clearing of all validation results.
+                            // So we have to pause for a moment to let that
+                            // happen before we try to revalidate, or they might
+                            // happen in the wrong order, and all our validation
+                            // results get erased right after they're created.
+                            await new Promise( resolve => setTimeout( resolve, 100 ) )
+                            return { results : await session.validationResults() }
+                        } catch ( error ) {
+                            return { error }
+                        }
+                    }, ( { results, error }, index ) => {
+                        const file = documents[index]
+                        if ( error )
+                            return console.error( chalk.red( `${file}: ${error.message}` ) )
+                        const reason = reasons.get( file )
+                        const heading = chalk.bold( file + ':' ) + ( reason == file ? '' :
+                            chalk.gray( ` (because it imports ${reason})` ) )
+                        const before = previousResults.get( file )
+                        previousResults.set( file, results )
+                        const changes = before && diffResults( before, results )
+                        if ( mode != 'text' )
+                            return printJSON( file, results, changes ? { changes } : { } )
+                        console.log( heading )
+                        if ( changes )
+                            printChanges( changes )
+                        else
+                            results.forEach( printResult )
+                    } )
+                }
+                const handler = path => {
+                    const file = normalize( path )
+                    if ( !isWatchedDocument( file ) && !importGraph.has( file ) )
                         return
-                    await openDocument( path )
-                    // The following line may seem odd, but here's why it matters:
-                    // If a previous document was loaded, then we load a new one,
-                    // the deletion of a ton of atoms causes clearing of all
-                    // validation results.  So we have to pause for a moment to
-                    // let that happen before we try to revalidate, or they might
-                    // happen in the wrong order, and all our validation results
-                    // get erased right after they're created.
-                    await new Promise( resolve => setTimeout( resolve, 100 ) )
-                    const results = await validationResults()
-                    console.log( chalk.bold( path + ':' ) )
-                    results.forEach( printResult )
+                    changedFiles.add( file )
+                    processChanges().catch( error =>
+                        console.error( chalk.red( `Error: ${error.message}` ) ) )
                 }
                 watcher.on( 'add', handler )
                 watcher.on( 'change', handler )
+                watcher.on( 'unlink', handler )
             } else {
                 // We're not watching the folder, so just process everything in
-                // it once (well, each .md or .html file): read and validate it.
-                const files = readdirSync( path )
-                for ( let i = 0 ; i < files.length ; i++ ) {
-                    if ( files[i].endsWith( '.md' ) || files[i].endsWith( '.html' ) ) {
-                        const fullPath = join( path, files[i] )
-                        await openDocument( fullPath )
-                        const results = await validationResults()
-                        console.log( chalk.bold( fullPath + ':' ) )
+                // it once (well, each document, as defined in findDocuments()):
+                // read and validate it, using all the apps in the pool.  Then
+                // handle the results of each document, in order.  In --json
+                // mode, we collect the results for all the files and print
+                // them at the end, as one array.  Reports are the same, except
+                // that we print them in the reporter's format.  In text mode,
+                // we end with a summary.
+                const relativeFiles = findDocuments( path, folderOptions )
+                const files = relativeFiles.map( file => join( path, file ) )
+                const collected = [ ]
+                await pool.map( files, async ( session, file ) => {
+                    const expectations = await session.openDocument( file,
+                        { locateExpectations : mode == 'check' } )
+                    const results = await session.validationResults()
+                    const html = mode == 'report' ? await session.documentHTML() : null
+                    return { expectations, results, html }
+                }, ( { expectations, results, html }, index ) => {
+                    const file = files[index]
+                    if ( mode == 'check' )
+                        return printExpectationCheck( file, expectations, results )
+                    recordResults( file, results )
+                    if ( mode == 'report' ) {
+                        collected.push( { file : relativeFiles[index], results, html } )
+                        console.error( chalk.green( 'Checked ' + file ) )
+                    } else if ( mode == 'json' || mode == 'reporter' ) {
+                        collected.push( { file, results } )
+                    } else if ( mode == 'ndjson' ) {
+                        printJSON( file, results )
+                    } else {
+                        console.log( chalk.bold( file + ':' ) )
                         results.forEach( printResult )
                     }
-                }
-                process.exit()
+                } )
+                if ( mode == 'json' )
+                    console.log( JSON.stringify( collected, null, 4 ) )
+                if ( mode == 'reporter' )
+                    process.stdout.write( report( options.reporter, collected ) )
+                if ( mode == 'report' )
+                    writeSite( collected )
+                if ( mode == 'text' || mode == 'report' )
+                    printSummary()
+                await finish()
             }
 
         // Case 1b: We're handling one file
         } else if ( stat.isFile() ) {
-            // Open the given file and do whatever the mode says
-            await openDocument( path )
-            if ( mode == 'html-only' ) {
-                // just print the HTML without validating
-                console.log( await documentHTML() )
-            } else if ( mode == 'html' ) {
-                // validate and then print the HTML, with validation results in it
-                await validationResults()
-                console.log( await documentHTML() )
-            } else if ( mode == 'pdf' ) {
-                // validate and then print to PDF, with validation results in it
-                await validationResults()
-                const pdf = await documentAsPDF()
+            // Open the given file, validate it unless the output would not
+            // include the results, and do whatever the mode says
+            const expectations = await session.openDocument( path,
+                { locateExpectations : mode == 'check' } )
+            const results = validates ? await session.validationResults() : [ ]
+            if ( validates && mode != 'check' )
+                recordResults( path, results )
+            if ( mode == 'pdf' ) {
+                // print to PDF, with validation results in it
+                const pdf = await outputDocument( session )
                 const extension = path.split( '.' ).pop()
                 const outfile = path.substring( 0, path.length - extension.length - 1 ) + '.pdf'
                 writeFileSync( outfile, pdf )
-                console.log( chalk.green( 'Wrote ' + outfile ) )
+                console.error( chalk.green( 'Wrote ' + outfile ) )
+            } else if ( !resultsMode ) {
+                // print the document in the form the mode says, with validation
+                // results in it if we validated
+                console.log( await outputDocument( session ) )
+            } else if ( mode == 'json' || mode == 'ndjson' ) {
+                // print the validation results as JSON
+                printJSON( path, results )
+            } else if ( mode == 'reporter' ) {
+                // print a report with one test suite
+                process.stdout.write(
+                    report( options.reporter, [ { file : path, results } ] ) )
+            } else if ( mode == 'check' ) {
+                // compare the results to the expected ones
+                printExpectationCheck( path, expectations, results )
+            } else if ( mode == 'report' ) {
+                // write a site with a page for just this document
+                writeSite( [ { file : basename( path ), results,
+                               html : await session.documentHTML() } ] )
             } else { // mode == 'text'
-                // validate and then print the validation results only
-                const results = await validationResults()
+                // print the validation results only
                 results.forEach( printResult )
             }
-            process.exit()
+            await finish()
 
         // Case 1c: The file/folder given to us is not actually valid
         } else {
             console.error( 'Error: '+path+' is not a valid file or directory' )
-            process.exit()
+            return exit( exitCodes.loadError )
         }
     
     // Case 2: We're handling two folders, a source and a destination
@@ -395,24 +876,34 @@ const printResult = result => {
         const srcPath = args[0]
         const destPath = args[1]
 
-        // Get the list of all files in the source folder
-        const files = readdirSync( srcPath )
-        for ( let i = 0 ; i < files.length ; i++ ) {
-            // We only care about .md and .html files
-            if ( files[i].endsWith( '.md' ) || files[i].endsWith( '.html' ) ) {
-                // Read the source file, optionally validate it, and write it as
-                // HTML into the new folder, then print out that we did so.
-                const srcFullPath = join( srcPath, files[i] )
-                const destFullPath = join( destPath, files[i].replace( /\.md$/, '.html' ) )
-                console.log( `Reading: ${srcFullPath}...` )
-                await openDocument( srcFullPath )
-                if ( mode == 'html' ) { await validationResults() }
-                const html = await documentHTML()
-                writeFileSync( destFullPath, html )
-                console.log( `      -> ${destFullPath} (done)` )
-            }
-        }
-        process.exit()
+        // Get the list of all documents in the source folder, and for each,
+        // read the source file, optionally validate it, and write it in the
+        // form the mode says into the same relative location in the new
+        // folder, using all the apps in the pool.  Then print out that we did
+        // so, in order.
+        const files = findDocuments( srcPath, folderOptions )
+        await pool.map( files, async ( session, file ) => {
+            const srcFullPath = join( srcPath, file )
+            const destFullPath = join( destPath,
+                file.replace( /\.(md|html|lurch)$/, outputExtension ) )
+            await session.openDocument( srcFullPath )
+            const results = validates ? await session.validationResults() : null
+            mkdirSync( dirname( destFullPath ), { recursive : true } )
+            writeFileSync( destFullPath, await outputDocument( session ) )
+            return { srcFullPath, destFullPath, results }
+        }, ( { srcFullPath, destFullPath, results } ) => {
+            console.log( `Reading: ${srcFullPath}...` )
+            if ( results ) recordResults( srcFullPath, results )
+            console.log( `      -> ${destFullPath} (done)` )
+        } )
+        if ( validates )
+            printSummary()
+        await finish()
     }
 
-} )()
+} )().catch( error => {
+    // If anything went wrong (e.g., a document could not be loaded, or
+    // validation failed), say so and quit
+    console.error( chalk.red( `Error: ${error.message}` ) )
+    return exit( exitCodes.loadError )
+} )
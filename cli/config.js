@@ -0,0 +1,92 @@
+/**
+ * @file Configuration files for the command-line interface
+ * 
+ * {@link module:CLI The command-line interface} can read settings from a
+ * JSON configuration file, either the one named by its `--config` switch, or
+ * else `lurch.config.json` in the current folder, if there is one.  See the
+ * CLI's own documentation for the format of that file.  This module finds,
+ * reads, and checks it.
+ * 
+ * @module Config
+ */
+
+import { readFileSync, existsSync } from 'node:fs'
+import { join, dirname, normalize } from 'node:path'
+import { exitCodes, CLIError } from './arguments.js'
+
+/**
+ * The keys permitted in a configuration file.
+ */
+export const configKeys = [ 'appDefaults', 'documentDefaults', 'header', 'dependencies' ]
+
+/**
+ * The name of the configuration file the CLI reads when none is named by its
+ * `--config` switch, if that file is in the current folder.
+ */
+export const defaultConfigFile = 'lurch.config.json'
+
+// Internal use only
+// Whether the given value is an object other than an array
+const isObject = value =>
+    typeof value == 'object' && value !== null && !Array.isArray( value )
+
+/**
+ * Read the configuration for the CLI from the given file (or from the
+ * {@link module:Config.defaultConfigFile default file}, if none is given and
+ * that file exists) and check that it is valid.  The header and dependency
+ * files it names are relative to the folder containing it, so the result
+ * stores their paths relative to the current folder instead.  If there is no
+ * configuration file, the result is an empty object.
+ * 
+ * @param {string} [configFile] - the configuration file to read, as named by
+ *   the CLI's `--config` switch
+ * @returns {Object} the configuration, which has any of the keys in
+ *   {@link module:Config.configKeys configKeys}
+ * @throws {CLIError} if the file (or any file it names) does not exist (with
+ *   exit code `exitCodes.loadError`), or if its contents are not valid (with
+ *   exit code `exitCodes.usage`)
+ * @function
+ */
+export const readConfig = configFile => {
+    configFile ??= existsSync( defaultConfigFile ) ? defaultConfigFile : undefined
+    if ( !configFile ) return { }
+    const configError = message =>
+        new CLIError( `in ${configFile}, ${message}`, exitCodes.usage )
+    if ( !existsSync( configFile ) )
+        throw new CLIError( configFile+' does not exist', exitCodes.loadError )
+    let json
+    try {
+        json = JSON.parse( readFileSync( configFile, 'utf8' ) )
+    } catch ( error ) {
+        throw configError( error.message )
+    }
+    if ( !isObject( json ) )
+        throw configError( 'the contents must be a JSON object' )
+    Object.keys( json ).forEach( key => {
+        if ( !configKeys.includes( key ) )
+            throw configError(
+                `unknown key "${key}"; valid keys: ${configKeys.join( ', ' )}` )
+    } )
+    ;[ 'appDefaults', 'documentDefaults' ].forEach( key => {
+        if ( json.hasOwnProperty( key ) && !isObject( json[key] ) )
+            throw configError( `${key} must be an object mapping settings to values` )
+    } )
+    if ( json.hasOwnProperty( 'header' ) && typeof json.header != 'string' )
+        throw configError( 'header must be the name of a file' )
+    if ( json.hasOwnProperty( 'dependencies' ) && ( !Array.isArray( json.dependencies )
+      || json.dependencies.some( dependency => typeof dependency != 'string' ) ) )
+        throw configError( 'dependencies must be an array of names of files' )
+    const config = { ...json }
+    const configFolder = dirname( configFile )
+    if ( config.header )
+        config.header = normalize( join( configFolder, config.header ) )
+    if ( config.dependencies )
+        config.dependencies = config.dependencies.map(
+            dependency => normalize( join( configFolder, dependency ) ) )
+    ;[ config.header, ...( config.dependencies || [ ] ) ].forEach( file => {
+        if ( file && !existsSync( file ) )
+            throw new CLIError( file+' (named in '+configFile+') does not exist',
+                exitCodes.loadError )
+    } )
+    return config
+}
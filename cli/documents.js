@@ -0,0 +1,256 @@
+/**
+ * @file Reading documents from files for the command-line interface
+ * 
+ * Before {@link LurchSession#openDocument openDocument()} loads a document
+ * into the Lurch app, it uses this module to read the document from its file
+ * and to assemble its full contents, which includes two steps.
+ * 
+ *  1. Replace each import tag in the document, of the form
+ *     `<import src="..."/>`, with the contents of the file it names,
+ *     recursively.  An import tag may also have a `select` attribute, a
+ *     comma-separated list of the parts of the imported file to use instead of
+ *     the whole file, each of which is either `tag#id` (or `#id`), meaning the
+ *     element with that `id` attribute, or `section:Heading`, meaning that
+ *     heading and all the content after it up to the next heading of the same
+ *     or a higher level.  See
+ *     {@link module:Documents.readDocumentWithImports readDocumentWithImports()}.
+ *  2. Add the contents of any default header and dependency files to the
+ *     document's header.  See
+ *     {@link module:Documents.withDefaultHeader withDefaultHeader()}.
+ * 
+ * While doing so, it can also record the locations of any annotations of
+ * expected validation results, using
+ * {@link module:Expectations.locateExpectations locateExpectations()}.
+ * 
+ * @module Documents
+ */
+
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { locateExpectations } from './expectations.js'
+
+/**
+ * Find the element in the given document contents named by the given
+ * selector, which has the form `tag#id` (or just `#id`, to allow any tag), as
+ * in `theorem#subset-trans`.  The element extends to its matching end tag,
+ * so elements with the same tag may be nested inside it, unless its start tag
+ * is self-closing (as in `<theorem id="x"/>`), in which case that tag is the
+ * whole element.
+ * 
+ * @param {string} contents - the document contents to search
+ * @param {string} selector - the selector, as described above
+ * @returns {Object?} an object containing the element's text (including its
+ *   start and end tags) as its `text` field, and the index at which it begins
+ *   in the contents as its `index` field, or null if there is no such element
+ * @function
+ */
+export const findElement = ( contents, selector ) => {
+    const [ , tag, id ] = /^([\w-]*)#([\w-]+)$/.exec( selector )
+    const openRE = new RegExp(
+        `<(${tag || '[\\w-]+'})\\s[^>]*?\\bid\\s*=\\s*(["'])${id}\\2[^>]*>`, 'i' )
+    const open = openRE.exec( contents )
+    if ( !open ) return null
+    // A self-closing element has no contents or end tag
+    if ( open[0].endsWith( '/>' ) )
+        return { text : open[0], index : open.index }
+    // Find the matching end tag, skipping any elements with the same tag
+    // nested inside this one
+    const tagRE = new RegExp( `<(/?)${open[1]}\\b[^>]*?(/?)>`, 'gi' )
+    tagRE.lastIndex = open.index + open[0].length
+    let depth = 1
+    let match = null
+    while ( depth > 0 && ( match = tagRE.exec( contents ) ) )
+        if ( match[1] ) depth--
+        else if ( !match[2] ) depth++
+    if ( depth > 0 ) return null
+    return {
+        text : contents.substring( open.index, tagRE.lastIndex ),
+        index : open.index
+    }
+}
+
+/**
+ * Find the section of the given document contents whose heading has the given
+ * text, which can be a Markdown heading (`# Title`, `## Title`, etc.) or an
+ * HTML heading (`<h1>Title</h1>`, etc.).  The section includes the heading and
+ * all content after it, up to the next heading of the same or a higher level.
+ * Headings are compared without regard to case, extra spaces, or any HTML tags
+ * inside them.
+ * 
+ * @param {string} contents - the document contents to search
+ * @param {string} title - the text of the heading to find
+ * @returns {Object?} an object with `text` and `index` fields, as in
+ *   {@link module:Documents.findElement findElement()}, or null if there is
+ *   no such heading
+ * @function
+ */
+export const findSection = ( contents, title ) => {
+    const simplify = text =>
+        text.replace( /<[^>]*>/g, '' ).replace( /\s+/g, ' ' ).trim().toLowerCase()
+    const headings = [
+        ...Array.from( contents.matchAll( /^(#{1,6})[ \t]+(.*)$/gm ), match => ( {
+            index : match.index,
+            level : match[1].length,
+            text : match[2].replace( /[ \t]+#+[ \t]*$/, '' )
+        } ) ),
+        ...Array.from( contents.matchAll( /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi ), match => ( {
+            index : match.index,
+            level : parseInt( match[1] ),
+            text : match[2]
+        } ) )
+    ].sort( ( a, b ) => a.index - b.index )
+    const heading = headings.find( heading => simplify( heading.text ) == simplify( title ) )
+    if ( !heading ) return null
+    const next = headings.find( other =>
+        other.index > heading.index && other.level <= heading.level )
+    return {
+        text : contents.substring( heading.index, next ? next.index : contents.length ),
+        index : heading.index
+    }
+}
+
+/**
+ * Find the parts of the given document contents named by the given selectors,
+ * which are the value of an import tag's `select` attribute, as documented at
+ * the top of this module.
+ * 
+ * @param {string} contents - the document contents to search
+ * @param {string} selectors - a comma-separated list of selectors, each of
+ *   the form `tag#id`, `#id`, or `section:Heading`
+ * @param {string} filename - the file from which the contents were read, for
+ *   use in error messages
+ * @returns {Object[]} the parts, in the order in which they were named, each
+ *   an object with `text` and `index` fields, as in
+ *   {@link module:Documents.findElement findElement()}
+ * @throws {Error} if any selector is invalid or does not name any part of the
+ *   document
+ * @function
+ */
+export const selectParts = ( contents, selectors, filename ) =>
+    selectors.split( ',' ).map( selector => selector.trim() ).filter( selector => selector )
+        .map( selector => {
+            const part =
+                /^section\s*:/.test( selector ) ?
+                    findSection( contents, selector.replace( /^section\s*:/, '' ) ) :
+                /^[\w-]*#[\w-]+$/.test( selector ) ?
+                    findElement( contents, selector ) :
+                    undefined
+            if ( part === undefined )
+                throw new Error( `Invalid import selector "${selector}"` )
+            if ( !part )
+                throw new Error( `Nothing matches "${selector}" in ${filename}` )
+            return part
+        } )
+
+// Internal use only
+// Import tags have the form <import src="..."/>, optionally with a select
+// attribute, as in <import src="..." select="..."/>, with the attributes in
+// either order and either type of quotes.  The function below extracts the
+// attributes from the text between "<import" and "/>".
+const importRE = /<import\s+((?:[\w-]+\s*=\s*(?:"[^"]*"|'[^']*')\s*)*)\/>/g
+const importAttributes = text => Object.fromEntries( Array.from(
+    text.matchAll( /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g ),
+    match => [ match[1], match[2] ?? match[3] ] ) )
+
+// Internal use only
+// The recursive part of readDocumentWithImports(), below, whose last two
+// parameters are the select attribute of the tag that imported the file (if
+// any), and the chain of files that led to importing this one.
+const readWithImports = ( filename, expectations, select, importChain ) => {
+    if ( importChain.includes( filename ) )
+        throw new Error( 'Circular import detected.' )
+    const contents = readFileSync( filename, 'utf8' )
+    const parts = select ? selectParts( contents, select, filename )
+                         : [ { text : contents, index : 0 } ]
+    return parts.map( ( { text, index } ) => {
+        if ( expectations )
+            text = locateExpectations( text, filename, expectations,
+                contents.substring( 0, index ).split( '\n' ).length )
+        return text.replace( importRE, ( tag, attributes ) => {
+            const { src, select } = importAttributes( attributes )
+            if ( !src )
+                throw new Error( `Import tag with no src attribute in ${filename}` )
+            return readWithImports( join( dirname( filename ), src ),
+                expectations, select, [ ...importChain, filename ] )
+        } )
+    } ).join( '\n' )
+}
+
+/**
+ * Read a document from a file, and if it contains any import tags, replace
+ * them with the contents of the files they name (or just the parts of those
+ * files named by the tags' `select` attributes), recursively, as documented
+ * at the top of this module.  Imports in unselected parts of a file are not
+ * done.  The `src` of each import tag is relative to the folder containing the
+ * file in which the tag appears.
+ * 
+ * @param {string} filename - the file containing the document
+ * @param {Object[]} [expectations] - if this is an array, record in it the
+ *   locations of all annotations of expected results in the document and its
+ *   imports, using
+ *   {@link module:Expectations.locateExpectations locateExpectations()}
+ * @returns {string} the contents of the document, which are not the same as
+ *   the contents of the file if any imports were done
+ * @throws {Error} if the imports are circular, an import tag has no `src`
+ *   attribute, or a `select` attribute is invalid or names a missing part
+ * @function
+ */
+export const readDocumentWithImports = ( filename, expectations ) =>
+    readWithImports( filename, expectations, undefined, [ ] )
+
+// Internal use only
+// The start tag of a document's header
+const headerRE = /<div\s[^>]*?class\s*=\s*(["'])header\1[^>]*>/
+
+/**
+ * Add to the given document contents the contents of the given default header
+ * file and dependency files, each read with
+ * {@link module:Documents.readDocumentWithImports readDocumentWithImports()}.
+ * If the document has no header (that is, no `<div class="header">...</div>`),
+ * one is created, containing the contents of the header file, if there is one.
+ * Then the contents of the dependency files are placed at the start of the
+ * header, in the order given.  (So the header file is used only by documents
+ * without headers of their own.)
+ * 
+ * @param {string} contents - the document contents
+ * @param {string} [header] - the default header file, if any
+ * @param {string[]} [dependencies] - the dependency files, if any
+ * @param {Object[]} [expectations] - if this is an array, record in it the
+ *   locations of all annotations of expected results in the files added, as in
+ *   {@link module:Documents.readDocumentWithImports readDocumentWithImports()}
+ * @returns {string} the contents with the header and dependencies added
+ * @function
+ */
+export const withDefaultHeader = ( contents, header, dependencies = [ ], expectations ) => {
+    const read = filename => readDocumentWithImports( filename, expectations )
+    const added = dependencies.map( read ).join( '\n\n' )
+    const match = headerRE.exec( contents )
+    if ( match ) {
+        if ( !added ) return contents
+        const end = match.index + match[0].length
+        return contents.substring( 0, end ) + `\n\n${added}\n\n`
+             + contents.substring( end )
+    }
+    if ( !header && !added ) return contents
+    return `<div class="header">\n\n${added}\n\n${header ? read( header ) : ''}`
+         + `\n\n</div>\n\n${contents}`
+}
+
+/**
+ * Find the files that the document in the given file imports directly, using
+ * tags of the form `<import src="..."/>`, which
+ * {@link module:Documents.readDocumentWithImports readDocumentWithImports()}
+ * replaces with the contents of those files.  This does not include the files
+ * that those files import in turn; to find those, call this function again on
+ * each result.
+ * 
+ * @param {string} filename - the file containing the document
+ * @returns {string[]} the paths to the files it imports, each of which is
+ *   relative to the same folder as the given filename is (e.g., the current
+ *   working directory), rather than to the folder containing that file
+ * @function
+ */
+export const documentImports = filename => Array.from(
+    readFileSync( filename, 'utf8' ).matchAll( importRE ),
+    match => importAttributes( match[1] ).src
+).filter( src => src ).map( src => join( dirname( filename ), src ) )
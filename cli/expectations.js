@@ -0,0 +1,110 @@
+/**
+ * @file Expected-result annotations for the command-line interface
+ * 
+ * Authors of reference documents can annotate steps with the validation
+ * results they expect those steps to have, as in
+ * `` `P and Q` <!-- expect: invalid --> `` in Markdown, or
+ * `<lurch expect="invalid">P and Q</lurch>` in Markdown or HTML.  (See
+ * {@link module:EmbedListener the embed-listener.js module} for how the app
+ * attaches each annotation to its step.)  When
+ * {@link module:CLI the command-line interface} runs with its `--check`
+ * switch, it uses this module to compare the actual validation results with
+ * those expectations.
+ * 
+ * That takes two steps.  First, when a document is read,
+ * {@link module:Expectations.locateExpectations locateExpectations()} records
+ * the file and line of each annotation, and tags the annotation with its index
+ * in that record, so that the app carries the tag through to the step's
+ * validation results.  Then, after validation,
+ * {@link module:Expectations.checkExpectations checkExpectations()} uses those
+ * tags to report every annotation whose expectation was not met, by its file
+ * and line.
+ * 
+ * @module Expectations
+ */
+
+import { describeResult } from './reporters.js'
+
+// Internal use only
+// An annotation, either as an expect attribute or as an HTML comment
+const expectationRE =
+    /(\sexpect\s*=\s*)(["'])([^"']*)\2|<!--(\s*expect\s*:\s*)(.*?)\s*-->/g
+
+/**
+ * Find every annotation of an expected validation result in the given document
+ * contents, which were read from the given file, and record its location in the
+ * given expectations array, as an object with the fields `file`, `line`, and
+ * `expected` (the expected result).  Also append to each annotation the index
+ * at which its location was recorded, as in `expect="invalid @ 3"` or
+ * `<!-- expect: invalid @ 3 -->`, so that the location can be found again from
+ * the validation results of the annotated step.
+ * 
+ * @param {string} contents - the document contents to search
+ * @param {string} filename - the file from which the contents were read
+ * @param {Object[]} expectations - the array in which to record the location
+ *   of each annotation, which may already contain locations of annotations in
+ *   other files, so that one array can hold those of a document and all the
+ *   documents it imports
+ * @param {number} [firstLine] - if the contents are only part of the file, the
+ *   line of the file on which they begin (1 by default)
+ * @returns {string} the contents, with the indices appended to the annotations
+ * @function
+ */
+export const locateExpectations = ( contents, filename, expectations, firstLine = 1 ) =>
+    contents.replace( expectationRE,
+        ( match, attribute, quote, attributeValue, comment, commentValue, offset ) => {
+            const index = expectations.length
+            expectations.push( {
+                file : filename,
+                line : firstLine - 1 + contents.substring( 0, offset ).split( '\n' ).length,
+                expected : ( attributeValue ?? commentValue ).trim()
+            } )
+            return attribute ?
+                `${attribute}${quote}${attributeValue} @ ${index}${quote}` :
+                `<!--${comment}${commentValue} @ ${index} -->`
+        } )
+
+/**
+ * Compare the validation results for one document with the results its author
+ * expected, as recorded by
+ * {@link module:Expectations.locateExpectations locateExpectations()}.  Each
+ * result whose `expect` field holds an annotation (with its index appended) is
+ * a step whose actual result (or `"none"`, if it has none) should match the
+ * expected one.  Every annotation that is not on any step (for example,
+ * because it was in the document header) is also a mismatch.
+ * 
+ * @param {string} file - the document, used to describe the location of any
+ *   annotation whose location is unknown
+ * @param {Object[]} expectations - the locations of the document's
+ *   annotations, as recorded by
+ *   {@link module:Expectations.locateExpectations locateExpectations()}
+ * @param {Object[]} results - the document's validation results, as returned
+ *   by {@link module:HeadlessLurch.validationResults validationResults()}
+ * @returns {string[]} a description of each mismatch, beginning with the file
+ *   and line of its annotation, in the order of the results and then of the
+ *   unused annotations, or an empty array if every expectation was met
+ * @function
+ */
+export const checkExpectations = ( file, expectations, results ) => {
+    const mismatches = [ ]
+    const used = new Set()
+    const describe = where =>
+        where ? `${where.file}:${where.line}` : `${file} (unknown line)`
+    results.forEach( result => {
+        if ( !result.expect ) return
+        const [ expected, index ] = result.expect.split( ' @ ' )
+        const where = expectations[index]
+        used.add( where )
+        const actual = result.result || 'none'
+        if ( expected.trim() != actual )
+            mismatches.push( `${describe( where )}: expected ${expected.trim()}`
+              + ` but got ${actual} for ${describeResult( result )}`
+              + ( result.reason ? ` (${result.reason})` : '' ) )
+    } )
+    expectations.forEach( where => {
+        if ( !used.has( where ) )
+            mismatches.push( `${describe( where )}: expected ${where.expected}`
+              + ' but this annotation is not on any step in the document' )
+    } )
+    return mismatches
+}
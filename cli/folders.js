@@ -0,0 +1,70 @@
+/**
+ * @file Finding the documents in a folder for the command-line interface
+ * 
+ * When {@link module:CLI the command-line interface} processes a folder, it
+ * processes the `.md`, `.html`, and `.lurch` files in it (and in its
+ * subfolders, with the `--recursive` switch) that match at least one
+ * `--include` pattern (if any were given) and no `--exclude` pattern.  This
+ * module finds those files.
+ * 
+ * Patterns are glob patterns, such as `chapter-*.md` or `drafts/**`, each of
+ * which is matched against each file's path relative to the folder, or
+ * against just its name, if the pattern contains no slashes.
+ * 
+ * @module Folders
+ */
+
+import { statSync, readdirSync } from 'node:fs'
+import { join, sep } from 'node:path'
+import picomatch from 'picomatch'
+
+// Internal use only
+// A function that tells whether a path matches any of the given patterns
+const matcher = patterns => {
+    const matchers = patterns.map( pattern =>
+        picomatch( pattern, { basename : !pattern.includes( '/' ) } ) )
+    return path => matchers.some( matches => matches( path ) )
+}
+
+/**
+ * Create a function that tells whether a file is a document that the CLI
+ * should process, given its path relative to the folder being processed.
+ * The function checks only the path, not whether the file exists.
+ * 
+ * @param {Object} [patterns] - the patterns to use, as an object whose
+ *   `include` and `exclude` fields are arrays of patterns, either or both of
+ *   which can be omitted
+ * @returns {Function} a function that takes a relative path (using the
+ *   separator of the operating system) and returns whether it is the path of
+ *   a document to process, as described at the top of this module
+ * @function
+ */
+export const documentFilter = ( { include, exclude } = { } ) => {
+    const included = include ? matcher( include ) : () => true
+    const excluded = exclude ? matcher( exclude ) : () => false
+    return relativePath => {
+        const path = relativePath.split( sep ).join( '/' )
+        return /\.(md|html|lurch)$/.test( path )
+            && included( path ) && !excluded( path )
+    }
+}
+
+/**
+ * Find the documents in the given folder that the CLI should process, as
+ * described at the top of this module.
+ * 
+ * @param {string} folder - the folder to search
+ * @param {Object} [options] - the patterns to use, in the `include` and
+ *   `exclude` fields, as in
+ *   {@link module:Folders.documentFilter documentFilter()}, and whether to
+ *   search subfolders, in the `recursive` field
+ * @returns {string[]} the paths of the documents, relative to the folder, in
+ *   sorted order
+ * @function
+ */
+export const findDocuments = ( folder, options = { } ) => {
+    const isDocument = documentFilter( options )
+    return readdirSync( folder, { recursive : !!options.recursive } )
+        .filter( relativePath => isDocument( relativePath )
+              && statSync( join( folder, relativePath ) ).isFile() ).sort()
+}
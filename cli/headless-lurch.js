@@ -1,4 +1,3 @@
-
 /**
  * @file Utilities needed by the command-line interface
  * 
@@ -20,6 +19,10 @@
  * 
  * Typically, the CLI will use the functions in this module in this order:
  * 
+ *  * Optionally start the web server with
+ *    {@link module:HeadlessLurch.startAppServer startAppServer()}, to choose
+ *    its port and to learn of any problem starting it before doing anything
+ *    else.  If this step is skipped, the next one does it automatically.
  *  * Create an invisible, running copy of the Lurch app with
  *    {@link module:HeadlessLurch.openApp openApp()}.
  *  * Load a document into the app with
@@ -28,280 +31,785 @@
  *    {@link module:HeadlessLurch.validationResults validationResults()}.
  *  * Possibly repeat the above two steps or some subset of them many times.
  *  * Optionally get the document in PDF form with
- *    {@link module:HeadlessLurch.documentAsPDF documentAsPDF()}.
- *  * Optionally close the app with
+ *    {@link module:HeadlessLurch.documentAsPDF documentAsPDF()}, or in
+ *    another form with one of the methods of {@link LurchSession} (which
+ *    provides LaTeX, Markdown, and simplified HTML forms as well).
+ *  * Close the app and stop the web server with
  *    {@link module:HeadlessLurch.closeApp closeApp()}.
  * 
+ * Those functions all act on a single copy of the Lurch app.  To process many
+ * documents at once, a client can instead run several copies of the app, each
+ * in its own page of the same headless browser.  Each copy is a
+ * {@link LurchSession}, which has methods with the same names and behavior as
+ * the functions listed above, and a {@link LurchSessionPool} distributes work
+ * among several sessions.
+ * 
  * @module HeadlessLurch
  */
 
 import puppeteer from 'puppeteer'
 import chalk from 'chalk'
-import { readFileSync } from 'node:fs'
+import { existsSync } from 'node:fs'
 import { dirname, join } from 'node:path'
-import { startServer } from './simple-server.js'
+import { fileURLToPath } from 'node:url'
+import { startServer, stopServer } from './simple-server.js'
+import { readDocumentWithImports, withDefaultHeader } from './documents.js'
 
 // We need to be running a simple web server so that the headless browser has
-// a place from which to load the Lurch app
-const port = 8080
-startServer( { verbose : false, port : port } )
-
-// All the functions below refer to these same module-global variables
-let browser = null
-let page = null
+// a place from which to load the Lurch app.  As with the browser, below, we
+// store the promise for it, so that it is started only once.
+let serverPromise = null
 
 /**
- * Open the browser, launch a page, load the Lurch app into that page, and
- * wait until the app is fully loaded.  A few meessages will be printed to the
- * console while that happens, so that users of the CLI will know what's going
- * on during the noticeable delay it takes to launch the app.
+ * Start the web server from which the headless browser loads the Lurch app,
+ * if it is not already running, and return the port on which it is listening.
+ * The port can be given as an option; otherwise it is taken from the
+ * `LURCH_PORT` environment variable, if that is set, and otherwise the
+ * operating system chooses an unused port.  (The same happens if the port is
+ * given as 0.)  This lets several copies of the CLI run at once, even while a
+ * development server is using a port such as 8080.
  * 
+ * Calling this function is optional, because
+ * {@link LurchSession.open LurchSession.open()} calls it if the server is not
+ * yet running, passing along its own options.  But clients that call it first
+ * can find out whether the server started before launching the browser.  If
+ * the server is already running, the options are ignored.
+ * 
+ * @param {Object} [options] - options for starting the server; currently the
+ *   only one is `port`, as described above
+ * @returns {Promise<number>} the port on which the server is listening, or a
+ *   rejected promise if the server could not start (for example, because the
+ *   requested port is in use)
  * @function
  */
-export const openApp = async () => {
-    browser = await puppeteer.launch( {
-        args : [
-            '--no-sandbox',
-            '--disable-setuid-sandbox'
-        ]
+export const startAppServer = async ( options = { } ) => {
+    serverPromise ||= startServer( {
+        verbose : false,
+        port : options.port ?? process.env.LURCH_PORT ?? 0
     } )
-    page = await browser.newPage()
-    page.on( 'console', message =>
-        console.log( chalk.yellow( message.type().substring(0, 3).toUpperCase() )
-            + ' ' + message.text() ) )
-    page.on( 'pageerror', error =>
-        console.log( chalk.red( `Page error: ${error}` ) ) )
-    // page.on( 'response', response =>
-    //     console.log( `${response.status()} ${response.url()}` ) )
-    page.on( 'requestfailed', request =>
-        console.log( chalk.red( `${request.failure().errorText} ${request.url()}` ) ) )
-    await page.goto( `http://localhost:${port}/index.html?actAsEmbed=true`,
-        { timeout : 0 } )
-    await page.waitForFunction( () => window?.tinymce?.activeEditor?.lurchDocument )
-    console.log( chalk.green( 'Invisible Lurch app opened' ) )
+    try {
+        return ( await serverPromise ).address().port
+    } catch ( error ) {
+        // Let a later call try again, perhaps with a different port
+        serverPromise = null
+        throw error
+    }
 }
 
 /**
- * Close the headless Chromium that's running the Lurch app.  Although this
- * function is provided for completeness, as a twin to
- * {@link module:HeadlessLurch.openApp openApp()},
- * the CLI does not actually use it, because it just closes the entire CLI when
- * it's complete, which implicitly shuts down this resource.
+ * Stop the web server started by
+ * {@link module:HeadlessLurch.startAppServer startAppServer()}, if it is
+ * running.  Any sessions still open will no longer be able to load anything
+ * from it, so most clients will want to call
+ * {@link module:HeadlessLurch.closeApp closeApp()} instead, which calls this.
  * 
  * @function
  */
-export const closeApp = async () => {
-    await browser.close()
-    console.log( chalk.green( 'Invisible Lurch app closed' ) )
+export const stopAppServer = async () => {
+    if ( !serverPromise ) return
+    const server = await serverPromise
+    serverPromise = null
+    await stopServer( server )
 }
 
-// Invoke the validation menu item in the app and wait until we can detect that
-// validation actually completed.
-const validateAndWait = async () => {
-    await page.evaluate( () => {
-        window.validationFinished = false
-        window.tinymce.activeEditor.once( 'validationFinished', () =>
-            window.validationFinished = true )
-        window.tinymce.activeEditor.ui.registry.getAll().menuItems.validate.onAction()
-    } )
-    await page.waitForFunction( () => window.validationFinished )
+// How many seconds to wait for validation to finish, if the options used to
+// open a session do not say otherwise
+const defaultValidationTimeout = 600
+
+/**
+ * Compute the options that {@link LurchSession.open LurchSession.open()}
+ * passes to {@link Lurch.createApp createApp()} when it loads the app, from
+ * the options given to it.  These are the `appDefaults` and `documentDefaults`
+ * options, except that the app's own validation timeout (its
+ * `"validation timeout"` setting) is turned off unless `appDefaults` sets it,
+ * so that only the session's `validationTimeout` limits how long validation
+ * can take.  Otherwise the app would give up on large documents after its
+ * default limit, which is meant for interactive use and is much shorter.
+ * 
+ * @param {Object} options - the options given to
+ *   {@link LurchSession.open LurchSession.open()}
+ * @returns {Object} the options to pass to
+ *   {@link Lurch.createApp createApp()}
+ * @function
+ */
+export const appOptions = ( options = { } ) => ( {
+    appDefaults : { 'validation timeout' : 0, ...options.appDefaults },
+    documentDefaults : options.documentDefaults || { }
+} )
+
+// Where cli/vendor-lde.js puts the local copy of the LDE
+const vendoredLDE = join( dirname( fileURLToPath( import.meta.url ) ),
+    '..', 'vendor', 'lde' )
+
+// All sessions share one headless browser, which we launch when the first
+// session opens.  We store the promise for it, so that sessions opening at the
+// same time do not each launch their own browser.
+let browserPromise = null
+const launchBrowser = () => browserPromise ||= puppeteer.launch( {
+    args : [
+        '--no-sandbox',
+        '--disable-setuid-sandbox'
+    ]
+} )
+
+// The source from which to load the LDE, as requested in the given options.
+// If the local copy is requested but does not exist, we throw an error saying
+// how to create it, rather than quietly depending on the CDN, because the
+// local copy is what makes validation independent of internet access.
+const chooseLDESource = ( options = { } ) => {
+    const ldeSource = options.ldeSource || 'local'
+    if ( ldeSource == 'local' && !existsSync( vendoredLDE ) )
+        throw new Error( 'There is no local copy of the LDE in vendor/lde/.  '
+          + 'Create one by running node cli/vendor-lde.js while online, '
+          + 'or load the LDE from its CDN instead (with --lde-cdn).' )
+    return ldeSource
 }
 
 /**
- * Long form HTML is the type of HTML saved by the Lurch app.  We call it "long
- * form" because each atom in the document (which has a very small appearance on
- * screen) has a rather large appearance in the HTML content, because that
- * content contains all the atom's internal properties, as well as all of the
- * HTML necessary to represent its typeset form on screen (which can be complex).
+ * A session is one copy of the Lurch app, running in its own page of the
+ * headless browser that this module launches.  Each session holds one document
+ * at a time, and several sessions can load, validate, and export documents at
+ * the same time, independently of one another.  Create sessions with
+ * {@link LurchSession.open LurchSession.open()}, or several at once with
+ * {@link LurchSessionPool.open LurchSessionPool.open()}.
+ */
+export class LurchSession {
+
+    /**
+     * Construct a session that controls the Lurch app in the given page.
+     * Clients should not call this constructor, but should use
+     * {@link LurchSession.open LurchSession.open()} instead, which also
+     * creates the page and loads the app into it.
+     * 
+     * @param {Page} page - the puppeteer page in which the Lurch app is running
+     * @param {Object} [options] - the options with which the session was
+     *   opened, as documented in {@link LurchSession.open LurchSession.open()},
+     *   some of which affect every document it opens
+     */
+    constructor ( page, options = { } ) {
+        this.page = page
+        this.options = options
+    }
+
+    /**
+     * Launch a page in the headless browser (launching the browser first, if
+     * this is the first session), load the Lurch app into that page, and wait
+     * until the app is fully loaded.  A few meessages will be printed to the
+     * console while that happens, so that users of the CLI will know what's
+     * going on during the noticeable delay it takes to launch the app.  Those
+     * messages, and any messages the app itself logs to its console, go to the
+     * standard error stream, so that the standard output contains only what
+     * the CLI was asked to produce (such as HTML or JSON), and can be
+     * redirected to a file.
+     * 
+     * By default, the app loads the Lurch Deductive Engine from the copy
+     * vendored into this repository by `cli/vendor-lde.js`, so that validation
+     * works without internet access.  If there is no such copy, this function
+     * throws an error explaining how to create one.  If the `ldeSource` option
+     * is set to `"cdn"`, it loads the LDE from its CDN instead.  (See
+     * `lde-cdn.js` for details.)
+     * 
+     * The app is loaded from the web server started by
+     * {@link module:HeadlessLurch.startAppServer startAppServer()}, which this
+     * function starts if it is not already running.
+     * 
+     * The `appDefaults` and `documentDefaults` options, if given, are passed
+     * to {@link Lurch.createApp createApp()} when the app is created, to
+     * override its default application and document settings (such as the
+     * notation or the style of shells).  The `header` option can be the name
+     * of a file to use as the header of every document the session opens that
+     * does not have a header of its own, and the `dependencies` option can be
+     * an array of names of files to add to the header of every document the
+     * session opens.  See {@link LurchSession#openDocument openDocument()}
+     * for details.  The `validationTimeout` option is the number of seconds
+     * to wait for each validation run to finish before giving up with an
+     * error (600 by default).  The app's own, shorter validation timeout is
+     * turned off, as documented in
+     * {@link module:HeadlessLurch.appOptions appOptions()}.
+     * 
+     * @param {Object} options - options for opening the app: `ldeSource`,
+     *   which can be `"local"` (the default) or `"cdn"`, `port`, which is
+     *   passed to {@link module:HeadlessLurch.startAppServer startAppServer()},
+     *   and `appDefaults`, `documentDefaults`, `header`, `dependencies`, and
+     *   `validationTimeout`, as described above
+     * @returns {Promise<LurchSession>} the new session, once the app is loaded
+     */
+    static async open ( options = { } ) {
+        const ldeSource = chooseLDESource( options )
+        const port = await startAppServer( options )
+        const browser = await launchBrowser()
+        const page = await browser.newPage()
+        page.on( 'console', message =>
+            console.error( chalk.yellow( message.type().substring(0, 3).toUpperCase() )
+                + ' ' + message.text() ) )
+        page.on( 'pageerror', error =>
+            console.error( chalk.red( `Page error: ${error}` ) ) )
+        // page.on( 'response', response =>
+        //     console.log( `${response.status()} ${response.url()}` ) )
+        page.on( 'requestfailed', request =>
+            console.error( chalk.red( `${request.failure().errorText} ${request.url()}` ) ) )
+        // Ask the page to wait for us to send it the options for creating the
+        // app, so that we can override its default settings
+        await page.goto( `http://localhost:${port}/index.html`
+                       + `?actAsEmbed=true&delayLoad=true&lde=${ldeSource}`,
+            { timeout : 0 } )
+        await page.waitForFunction( () => window?.Lurch )
+        await page.evaluate( createOptions =>
+            window.postMessage( { 'lurch-app-create' : createOptions }, '*' ),
+            appOptions( options ) )
+        await page.waitForFunction( () => window?.tinymce?.activeEditor?.lurchDocument )
+        console.error( chalk.green( 'Invisible Lurch app opened' ) )
+        return new LurchSession( page, options )
+    }
+
+    /**
+     * Close this session's page in the headless browser.  The session cannot
+     * be used after that.
+     */
+    async close () {
+        await this.page.close()
+    }
+
+    // Ask the app to validate the whole document and wait until we can detect
+    // that validation actually completed.  (We do not use the validation menu
+    // item, because if the document is already showing feedback, it hides
+    // that feedback instead of validating, and we would wait forever.)  If
+    // validation failed instead (e.g., because the validation worker crashed
+    // or timed out), or did not finish within the session's validation
+    // timeout, reject with an error explaining why, rather than pretending the
+    // document had no feedback.
+    async validateAndWait () {
+        await this.page.evaluate( () => {
+            window.validationFinished = false
+            window.validationFailure = null
+            const editor = window.tinymce.activeEditor
+            const recordFailure = event => window.validationFailure = event.reason
+            editor.on( 'validationFailed', recordFailure )
+            editor.once( 'validationFinished', () => {
+                editor.off( 'validationFailed', recordFailure )
+                window.validationFinished = true
+            } )
+            editor.execCommand( 'validateAll' )
+        } )
+        const seconds = this.options.validationTimeout ?? defaultValidationTimeout
+        try {
+            await this.page.waitForFunction( () => window.validationFinished,
+                { timeout : seconds * 1000 } )
+        } catch ( error ) {
+            if ( error.name != 'TimeoutError' ) throw error
+            throw new Error(
+                `Validation did not finish within ${seconds} seconds` )
+        }
+        const failure = await this.page.evaluate( () => window.validationFailure )
+        if ( failure ) throw new Error( `Validation failed: ${failure}` )
+    }
+
+    /**
+     * Long form HTML is the type of HTML saved by the Lurch app.  We call it
+     * "long form" because each atom in the document (which has a very small
+     * appearance on screen) has a rather large appearance in the HTML content,
+     * because that content contains all the atom's internal properties, as
+     * well as all of the HTML necessary to represent its typeset form on
+     * screen (which can be complex).
+     * 
+     * There is also a more compact way to represent Lurch documents using HTML
+     * tags, as documented in {@link module:EmbedListener the embed-listener.js
+     * module}.  This function takes a string of HTML as input and detects
+     * whether it is an HTML file that was saved from the Lurch app (long form)
+     * or not (assumed therefore to be short form).
+     * 
+     * @param {string} html - the HTML to test to see whether it is in long form
+     * @returns {Promise<boolean>} whether the given HTML is in long form
+     */
+    async isLongForm ( html ) {
+        return await this.page.evaluate( `
+            window.tinymce.activeEditor.lurchDocument.constructor.isDocumentHTML(
+                ${JSON.stringify( html )}
+            )
+        ` )
+    }
+
+    /**
+     * Run validation on the document currently in the Lurch app, wait until
+     * that validation completes, then find every atom (which includes shells)
+     * in the document anbd extract its key information.  The result (when the
+     * promise resolves) is an array of objects with the following fields.
+     * 
+     *  * `type` - the type of atom (e.g., "expression" or "theorem" etc.)
+     *  * `result` - the validation result (e.g., "valid" or "invalid")
+     *  * `reason` - the explanation of that result that the app shows the user
+     *  * `depth` - the nesting depth of the atom, an integer greater than 0
+     *  * `lurch` - the meaning of the atom, in Lurch notation, if it is the
+     *    type of atom that has a meaning in Lurch notation (e.g., an expression
+     *    written using the intermediate or advanced version of the editor)
+     *  * `latex` - the LaTeX representation of the atom (which may mean that it
+     *    is an expository math atom, and thus has no meaning, or it may mean
+     *    that it is an expression created by the beginner version of the
+     *    editor, and thus its content was expressed in LaTeX created by
+     *    MathLive)
+     *  * `given` - `true` if the atom is an assumption and was created by the
+     *    beginner version of the editor
+     *  * `contentType` - a string representing the type of expression, if it
+     *    is an expression created by the intermediate version of the editor
+     *    (which permits content types "Statement", "Assumption", and various
+     *    forms of declaration)
+     *  * `symbol` - the symbol being declared, if the atom is a declaration
+     *    built using the intermediate form of the expression editor
+     *  * `expect` - the validation result the document's author expected the
+     *    atom to have, if the author annotated it with one (see
+     *    {@link module:EmbedListener the embed-listener.js module}), which may
+     *    be followed by its location in the source, if
+     *    {@link LurchSession#openDocument openDocument()} was asked to record
+     *    locations
+     *  * `id` - the shell's `id`, if it is a shell that was given one (see
+     *    {@link module:Atoms.Atom.unsimplifyDOM unsimplifyDOM()}), which lets
+     *    tools such as the grader in `grading-tools/grade.js` find particular
+     *    theorems or exercises in the document
+     * 
+     * If validation fails (for example, because the app's validation worker
+     * crashed or exceeded its time limit), the promise rejects with an error
+     * explaining why, instead of resolving.
+     * 
+     * @returns {Promise<Object[]>}
+     */
+    async validationResults () {
+        await this.validateAndWait()
+        return await this.page.evaluate( () => {
+            const Atom = window.tinymce.activeEditor.Atom
+            const atomType = atom => JSON.parse( atom.element.dataset['metadata_type'] )
+            return Atom.allIn( window.tinymce.activeEditor ).map( atom => {
+                const feedback = atom.getValidationResult()
+                return {
+                    type : atomType( atom ),
+                    result : feedback?.result,
+                    reason : feedback?.reason,
+                    depth : atom.nestingDepth(),
+                    lurch : atom.getMetadata( 'lurchNotation' ),
+                    latex : atom.getMetadata( 'latex' ),
+                    given : atom.getMetadata( 'given' ),
+                    contentType : atom.getMetadata( 'contentType' ),
+                    symbol : atom.getMetadata( 'symbol' ),
+                    expect : atom.getMetadata( 'expect' ),
+                    id : atom.getMetadata( 'id' )
+                }
+            } )
+        } )
+    }
+
+    /**
+     * Read a document from the filesystem, recursively obeying any "import"
+     * tags inside it (and throwing an error if any circular dependencies are
+     * detected), then load the resulting document into the Lurch app in one of
+     * three ways:
+     *  * If the file is an HTML file (or a `.lurch` file, which the Lurch app
+     *    saves in HTML form), and it is detected to be in long form
+     *    (the type saved by the Lurch app) using
+     *    {@link LurchSession#isLongForm isLongForm()}, then load it directly
+     *    into the app with no changes.
+     *  * If the file is an HTML file, but it is not detected to be in long
+     *    form, then assume it contains simplified HTML, and provide it to the
+     *    app as if the app were an embedded copy of the Lurch app, so that the
+     *    HTML content will be processed by {@link module:EmbedListener the
+     *    embed-listener.js module}.  This will expand tags of the form
+     *    `<lurch>...</lurch>`, `<theorem>...</theorem>`, and so on into their
+     *    full internal representations.
+     *  * If the file is a Markdown file, do the same as in the previous bullet
+     *    point, because {@link module:EmbedListener the embed-listener.js
+     *    module} supports Markdown as well.
+     * 
+     * In the last two cases, if the session was opened with the `header` or
+     * `dependencies` options (see {@link LurchSession.open open()}), the
+     * contents of the files they name are added to the document's header
+     * before loading it.  If the document has no header (that is, no
+     * `<div class="header">...</div>`), one is created, containing the
+     * contents of the `header` file, if there is one.  Then the contents of
+     * each `dependencies` file are placed at the start of the header, in the
+     * order given.  These files should be in the same format (Markdown or
+     * HTML) as the document.  Documents in long form already contain their
+     * own headers, so these options do not affect them.
+     * 
+     * Before loading the document, this function replaces any tags of the
+     * form `<import src="..."/>` in it with the contents of the files they
+     * name, recursively, and throws an error if the imports are circular.  An
+     * import tag may also have a `select` attribute, a comma-separated list of
+     * the parts of the imported file to use instead of the whole file, each
+     * of which is either `tag#id` (or `#id`), meaning the element with that
+     * `id` attribute, or `section:Heading`, meaning that heading and all the
+     * content after it up to the next heading of the same or a higher level.
+     * The parts are imported in the order listed, and it is an error if any
+     * of them cannot be found.  Imports in the unselected parts of the file
+     * are not done.  (The work of this paragraph and the previous one is done
+     * by {@link module:Documents the documents module}.)
+     * 
+     * If the `locateExpectations` option is true, then this function also
+     * finds every annotation of an expected validation result in the document
+     * and its imports (as documented in {@link module:EmbedListener the
+     * embed-listener.js module}) and records the file and line number where
+     * each appears.  It returns an array of objects with the fields `file`,
+     * `line`, and `expected`, one for each annotation, and appends to each
+     * annotation in the document the index of its entry in that array, as in
+     * `"invalid @ 3"`, so that the `expect` field in the results of
+     * {@link LurchSession#validationResults validationResults()} can be traced
+     * back to the source.
+     * 
+     * @param {string} filename - the file to load from the filesystem
+     * @param {Object} [options] - options for loading the file; currently the
+     *   only one is `locateExpectations`, as described above
+     * @returns {Promise<Object[]>} the locations of expected results, if the
+     *   `locateExpectations` option was true, or undefined otherwise
+     */
+    async openDocument ( filename, options = { } ) {
+        await this.page.evaluate( () => {
+            window.atomUpdateFinished = false
+            window.tinymce.activeEditor.once( 'atomUpdateFinished', () =>
+                window.atomUpdateFinished = true )
+        } )
+        const expectations = options.locateExpectations ? [ ] : undefined
+        let contents = readDocumentWithImports( filename, expectations )
+        const addHeader = () => withDefaultHeader( contents,
+            this.options.header, this.options.dependencies, expectations )
+        if ( filename.endsWith( '.md' ) ) {
+            contents = addHeader()
+            // markdown needs to be interpreted by the embed-listener.js script,
+            // so we send a lurch-embed message with the markdown in it
+            const stringified = JSON.stringify( `<div format='markdown'>${contents}</div>` )
+            await this.page.evaluate( `
+                window.postMessage( { 'lurch-embed' : ${stringified} }, '*' )
+            ` )
+        } else if ( filename.endsWith( '.html' ) || filename.endsWith( '.lurch' ) ) {
+            if ( await this.isLongForm( contents ) ) {
+                // long form means that the HTML content is already in the form
+                // used natively by Lurch, so no conversion needs to happen; we
+                // can just use the contents from the file as the Lurch document
+                // directly
+                await this.page.evaluate( `
+                    window.tinymce.activeEditor.lurchDocument.setDocument(
+                        ${JSON.stringify( contents )}
+                    )
+                ` )
+            } else {
+                // short form means that the HTML content is abbreviated, and
+                // needs to be expanded in a way similar to the markdown format
+                // above, so we employ a very similar strategy
+                contents = addHeader()
+                const stringified = JSON.stringify( `<div format='html'>${contents}</div>` )
+                await this.page.evaluate( `
+                    window.postMessage( { 'lurch-embed' : ${stringified} }, '*' )
+                ` )
+            }
+        } else {
+            throw new Error( 'Unsupported file type: ' + filename )
+        }
+        await this.page.waitForFunction( () => window.atomUpdateFinished )
+        return expectations
+    }
+
+    /**
+     * Get the full contents of the current Lurch app, in the same long-form
+     * HTML that would be saved if the user invoked Save from the app's File
+     * menu.
+     * 
+     * @returns {Promise<string>} the contents of the document (in long-form
+     *   HTML)
+     */
+    async documentHTML () {
+        return await this.page.evaluate( () => {
+            return window.tinymce.activeEditor.lurchDocument.getDocument()
+        } )
+    }
+
+    /**
+     * Get the appearance of the document in the app in the headless browser,
+     * represented as a PDF.  The return value is the content that belongs in a
+     * PDF file, which can then be written to a `.pdf` file on disk.
+     * 
+     * @returns {Promise<Buffer>} a buffer containing the contents of a PDF file
+     */
+    async documentAsPDF () {
+        return await this.page.pdf()
+    }
+
+    /**
+     * Summarize the header of the document currently in the Lurch app, by
+     * listing the atoms in it (such as the rules of inference the document
+     * uses), in order.  Two documents whose headers have the same summary
+     * contain the same mathematics in their headers, even if the surrounding
+     * text or formatting differs, so this lets tools check whether a student
+     * changed the header of an assignment.
+     * 
+     * @returns {Promise<Object[]>} one object for each atom in the header, with
+     *   the fields `type`, `lurch`, and `latex`, as in the results of
+     *   {@link LurchSession#validationResults validationResults()}, or an
+     *   empty array if the document has no header
+     */
+    async headerContents () {
+        return await this.page.evaluate( () => {
+            const editor = window.tinymce.activeEditor
+            const header = editor.lurchDocument.getMetadata( 'main', 'header' )
+            if ( !header ) return [ ]
+            return Array.from( header.querySelectorAll( '.lurch-atom' ) ).map(
+                element => {
+                    const atom = editor.Atom.from( element, editor )
+                    return {
+                        type : atom.getMetadata( 'type' ),
+                        lurch : atom.getMetadata( 'lurchNotation' ),
+                        latex : atom.getMetadata( 'latex' )
+                    }
+                } )
+        } )
+    }
+
+    /**
+     * Get the document in the app as LaTeX, in the same form produced by the
+     * app's menu item for exporting LaTeX, as documented in
+     * {@link module:Export.documentToLatex documentToLatex()}.
+     * 
+     * @param {boolean} [addWrapper=false] - whether to wrap the LaTeX in a
+     *   document environment, preceded by a preamble, so that it is a
+     *   complete LaTeX document
+     * @returns {Promise<string>} the LaTeX representation of the document
+     */
+    async documentAsLatex ( addWrapper = false ) {
+        return await this.page.evaluate( addWrapper => {
+            const editor = window.tinymce.activeEditor
+            return editor.Export.documentToLatex( editor, addWrapper )
+        }, addWrapper )
+    }
+
+    /**
+     * Get the document in the app in the simplified HTML format documented in
+     * {@link module:EmbedListener the embed-listener.js module}, as computed
+     * by {@link module:Export.documentToSimplifiedHTML
+     * documentToSimplifiedHTML()}.  This is the inverse of loading a
+     * simplified HTML file with
+     * {@link LurchSession#openDocument openDocument()}.
+     * 
+     * @returns {Promise<string>} the simplified HTML representation of the
+     *   document
+     */
+    async documentAsSimplifiedHTML () {
+        return await this.page.evaluate( () => {
+            const editor = window.tinymce.activeEditor
+            return editor.Export.documentToSimplifiedHTML( editor )
+        } )
+    }
+
+    /**
+     * Get the document in the app in the Markdown format documented in
+     * {@link module:EmbedListener the embed-listener.js module}, as computed
+     * by {@link module:Export.documentToMarkdown documentToMarkdown()}.  This
+     * is the inverse of loading a Markdown file with
+     * {@link LurchSession#openDocument openDocument()}.
+     * 
+     * @returns {Promise<string>} the Markdown representation of the document
+     */
+    async documentAsMarkdown () {
+        return await this.page.evaluate( () => {
+            const editor = window.tinymce.activeEditor
+            return editor.Export.documentToMarkdown( editor )
+        } )
+    }
+
+}
+
+/**
+ * A pool of {@link LurchSession sessions}, among which a client can distribute
+ * the work of processing many documents, so that several documents are
+ * processed at the same time.  Create one with
+ * {@link LurchSessionPool.open LurchSessionPool.open()} and give it work with
+ * {@link LurchSessionPool#map map()}.
+ */
+export class LurchSessionPool {
+
+    /**
+     * Construct a pool containing the given sessions.  Clients should not call
+     * this constructor, but should use
+     * {@link LurchSessionPool.open LurchSessionPool.open()} instead, which also
+     * opens the sessions.
+     * 
+     * @param {LurchSession[]} sessions - the sessions in the pool
+     */
+    constructor ( sessions ) {
+        this.sessions = sessions
+    }
+
+    /**
+     * Open the given number of {@link LurchSession sessions}, all in the same
+     * headless browser, and return a pool containing them.
+     * 
+     * @param {number} size - the number of sessions to open, at least 1
+     * @param {Object} options - the options to use when opening each session,
+     *   as documented in {@link LurchSession.open LurchSession.open()}
+     * @returns {Promise<LurchSessionPool>} the pool, once all of its sessions
+     *   have loaded the Lurch app
+     */
+    static async open ( size, options = { } ) {
+        // Choose the LDE source once, before opening any sessions, so that if
+        // there is no local copy, we fail before launching anything
+        options = { ...options, ldeSource : chooseLDESource( options ) }
+        const sessions = [ ]
+        for ( let i = 0 ; i < size ; i++ )
+            sessions.push( LurchSession.open( options ) )
+        return new LurchSessionPool( await Promise.all( sessions ) )
+    }
+
+    /**
+     * Run the given task on each of the given items, using all the sessions in
+     * the pool at once.  Each session takes the next unprocessed item, runs the
+     * task on it, and repeats until no items remain.  Because tasks finish in
+     * an unpredictable order, this function also accepts a callback that it
+     * calls once for each result, in the order of the items (not the order in
+     * which their tasks finished), as soon as that result and all the results
+     * before it are ready.  This lets clients print results as they arrive,
+     * but in a predictable order.
+     * 
+     * If any task fails (or the callback throws an error), no session starts
+     * work on any further items, but the tasks already running are allowed to
+     * finish, so that no session is left in the middle of a task, and then
+     * this function rejects with the first error that occurred.
+     * 
+     * @param {Array} items - the items to process, such as filenames
+     * @param {Function} task - an async function taking a session, an item,
+     *   and that item's index in the array, and doing the work for that item
+     *   in that session, returning a promise for the result
+     * @param {Function} [onEach] - a function that will be called with each
+     *   result and its index, in the order of the items
+     * @returns {Promise<Array>} the results of the tasks, in the same order as
+     *   the items, or a rejected promise if any task fails
+     */
+    async map ( items, task, onEach = ( ) => { } ) {
+        const results = new Array( items.length )
+        const finished = new Array( items.length ).fill( false )
+        let next = 0
+        let reported = 0
+        let failure = null
+        const work = async session => {
+            try {
+                while ( !failure && next < items.length ) {
+                    const index = next++
+                    results[index] = await task( session, items[index], index )
+                    finished[index] = true
+                    while ( !failure && reported < items.length
+                         && finished[reported] ) {
+                        onEach( results[reported], reported )
+                        reported++
+                    }
+                }
+            } catch ( error ) {
+                failure ||= { error }
+            }
+        }
+        await Promise.allSettled( this.sessions.map( work ) )
+        if ( failure ) throw failure.error
+        return results
+    }
+
+    /**
+     * Close all of the pool's sessions.
+     */
+    async close () {
+        await Promise.all( this.sessions.map( session => session.close() ) )
+    }
+
+}
+
+// The session used by the functions below, which provide a simpler interface
+// for clients that need only one copy of the Lurch app
+let defaultSession = null
+
+/**
+ * Open the browser, launch a page, load the Lurch app into that page, and
+ * wait until the app is fully loaded.  This creates the session used by all
+ * the other functions in this module; see
+ * {@link LurchSession.open LurchSession.open()} for details.
  * 
- * There is also a more compact way to represent Lurch documents using HTML tags,
- * as documented in {@link module:EmbedListener the embed-listener.js module}.
- * This function takes a string of HTML as input and detects whether it is an
- * HTML file that was saved from the Lurch app (long form) or not (assumed
- * therefore to be short form).
+ * @param {Object} options - options for opening the app, as documented in
+ *   {@link LurchSession.open LurchSession.open()}
+ * @function
+ */
+export const openApp = async ( options = { } ) => {
+    defaultSession = await LurchSession.open( options )
+}
+
+/**
+ * Close the headless Chromium that's running the Lurch app, including all
+ * sessions running in it, and then stop the web server from which it loaded
+ * the app, using {@link module:HeadlessLurch.stopAppServer stopAppServer()}.
+ * 
+ * @function
+ */
+export const closeApp = async () => {
+    if ( browserPromise ) {
+        const browser = await browserPromise
+        browserPromise = null
+        defaultSession = null
+        await browser.close()
+        console.error( chalk.green( 'Invisible Lurch app closed' ) )
+    }
+    await stopAppServer()
+}
+
+/**
+ * Determine whether the given HTML is long form, using the app opened by
+ * {@link module:HeadlessLurch.openApp openApp()}.  See
+ * {@link LurchSession#isLongForm the corresponding method of LurchSession}
+ * for details.
  * 
  * @param {string} html - the HTML to test to see whether it is in long form
  * @returns {Promise<boolean>} whether the given HTML is in long form
  * 
  * @function
  */
-export const isLongForm = async ( html ) => {
-    return await page.evaluate( `
-        window.tinymce.activeEditor.lurchDocument.constructor.isDocumentHTML(
-            ${JSON.stringify( html )}
-        )
-    ` )
-}
+export const isLongForm = html => defaultSession.isLongForm( html )
 
 /**
- * Run validation on the document currently in the Lurch app, wait until that
- * validation completes, then find every atom (which includes shells) in the
- * document anbd extract its key information.  The result (when the promise
- * resolves) is an array of objects with the following fields.
- * 
- *  * `type` - the type of atom (e.g., "expression" or "theorem" etc.)
- *  * `result` - the validation result (e.g., "valid" or "invalid")
- *  * `depth` - the nesting depth of the atom, an integer greater than 0
- *  * `lurch` - the meaning of the atom, in Lurch notation, if it is the type of
- *    atom that has a meaning in Lurch notation (e.g., an expression written
- *    using the intermediate or advanced version of the editor)
- *  * `latex` - the LaTeX representation of the atom (which may mean that it is
- *    an expository math atom, and thus has no meaning, or it may mean that it
- *    is an expression created by the beginner version of the editor, and thus
- *    its content was expressed in LaTeX created by MathLive)
- *  * `given` - `true` if the atom is an assumption and was created by the
- *    beginner version of the editor
- *  * `contentType` - a string representing the type of expression, if it is an
- *    expression created by the intermediate version of the editor (which permits
- *    content types "Statement", "Assumption", and various forms of declaration)
- *  * `symbol` - the symbol being declared, if the atom is a declaration built
- *    using the intermediate form of the expression editor
+ * Validate the document in the app opened by
+ * {@link module:HeadlessLurch.openApp openApp()} and return the results.  See
+ * {@link LurchSession#validationResults the corresponding method of
+ * LurchSession} for details, including the format of the results.
  * 
  * @returns {Promise<Object[]>}
  * 
  * @function
  */
-export const validationResults = async () => {
-    await validateAndWait()
-    return await page.evaluate( () => {
-        const Atom = window.tinymce.activeEditor.Atom
-        const allResults = [ 'valid', 'invalid', 'indeterminate', 'error' ]
-        const atomType = atom => JSON.parse( atom.element.dataset['metadata_type'] )
-        const oneResult = atom => {
-            // Handle the case of a block atom, which will have an attribute like:
-            // <div data-validation-result="valid"...></div>
-            if ( atom.element.dataset['data-validation-result'] )
-                return atom.element.dataset['data-validation-result']
-            // Handle the case of an inline atom, whose suffix will contain approx:
-            // <span class='feedback-marker-valid'>&nbsp;</span>
-            for ( let i = 0 ; i < allResults.length ; i++ )
-                if ( atom.element.querySelector( '.feedback-marker-'+allResults[i] ) )
-                    return allResults[i]
-        }
-        const nestingDepth = node => !node ? 0 :
-            Atom.isAtomElement( node ) ? 1 + nestingDepth( node.parentNode ) :
-            nestingDepth( node.parentNode )
-        return Atom.allIn( window.tinymce.activeEditor ).map( atom => { return {
-            type : atomType( atom ),
-            result : oneResult( atom ),
-            depth : nestingDepth( atom.element ),
-            lurch : atom.getMetadata( 'lurchNotation' ),
-            latex : atom.getMetadata( 'latex' ),
-            given : atom.getMetadata( 'given' ),
-            contentType : atom.getMetadata( 'contentType' ),
-            symbol : atom.getMetadata( 'symbol' )
-        } } )
-    } )
-}
-
-// Read a document from a file, and if it contains any <import src="..."/> tags,
-// replace them with the content of the referenced file, by calling this function
-// recursively.  If any circular dependencies are detected, throw an error.
-// Return the contents of the document as a string, which may not be the actual
-// contents on disk if any imports were done.
-let filesRead = null
-const importRE = /<import\s+src="([^"]*)"\s*\/>|<import\s+src='([^']*)'\s*\/>/
-const readDocumentWithImports = ( filename, topLevelCall = true ) => {
-    if ( topLevelCall ) filesRead = [ ]
-    if ( filesRead.includes( filename ) )
-        throw new Error( 'Circular import detected.' )
-    let result = readFileSync( filename, 'utf8' )
-    filesRead.push( filename )
-    let match = null
-    while ( match = importRE.exec( result ) ) {
-        const relativeFile = match[1] || match[2]
-        const absoluteFile = join( dirname( filename ), relativeFile )
-        const importContents = readDocumentWithImports( absoluteFile, false )
-        result = result.replace( match[0], importContents )
-    }
-    return result
-}
+export const validationResults = () => defaultSession.validationResults()
 
 /**
- * Read a document from the filesystem, recursively obeying any "import" tags
- * inside it (and throwing an error if any circular dependencies are detected),
- * then load the resulting document into the Lurch app in one of three ways:
- *  * If the file is an HTML file, and it is detected to be in long form (the
- *    type saved by the Lurch app) using
- *    {@link module:HeadlessLurch.isLongForm isLongForm()},then
- *    load it directly into the app with no changes.
- *  * If the file is an HTML file, but it is not detected to be in long form,
- *    then assume it contains simplified HTML, and provide it to the app as if
- *    the app were an embedded copy of the Lurch app, so that the HTML content
- *    will be processed by {@link module:EmbedListener the embed-listener.js module}.
- *    This will expand tags of the form `<lurch>...</lurch>`,
- *    `<theorem>...</theorem>`, and so on into their full internal
- *    representations.
- *  * If the file is a Markdown file, do the same as in the previous bullet
- *    point, because {@link module:EmbedListener the embed-listener.js module}
- *    supports Markdown as well.
- *
+ * Load a document from the filesystem into the app opened by
+ * {@link module:HeadlessLurch.openApp openApp()}.  See
+ * {@link LurchSession#openDocument the corresponding method of LurchSession}
+ * for details, including the options.
+ * 
  * @param {string} filename - the file to load from the filesystem
+ * @param {Object} [options] - options for loading the file
+ * @returns {Promise<Object[]>} the locations of expected results, if the
+ *   `locateExpectations` option was true, or undefined otherwise
  * 
  * @function
  */
-export const openDocument = async ( filename ) => {
-    await page.evaluate( () => {
-        window.atomUpdateFinished = false
-        window.tinymce.activeEditor.once( 'atomUpdateFinished', () =>
-            window.atomUpdateFinished = true )
-    } )
-    const contents = readDocumentWithImports( filename )
-    if ( filename.endsWith( '.md' ) ) {
-        // markdown needs to be interpreted by the embed-listener.js script,
-        // so we send a lurch-embed message with the markdown in it
-        const stringified = JSON.stringify( `<div format='markdown'>${contents}</div>` )
-        await page.evaluate( `
-            window.postMessage( { 'lurch-embed' : ${stringified} }, '*' )
-        ` )
-    } else if ( filename.endsWith( '.html' ) ) {
-        if ( await isLongForm( contents ) ) {
-            // long form means that the HTML content is already in the form used
-            // natively by Lurch, so no conversion needs to happen; we can just
-            // use the contents from the file as the Lurch document directly
-            await page.evaluate( `
-                window.tinymce.activeEditor.lurchDocument.setDocument(
-                    ${JSON.stringify( contents )}
-                )
-            ` )
-        } else {
-            // short form means that the HTML content is abbreviated, and needs
-            // to be expanded in a way similar to the markdown format above, so
-            // we employ a very similar strategy
-            const stringified = JSON.stringify( `<div format='html'>${contents}</div>` )
-            await page.evaluate( `
-                window.postMessage( { 'lurch-embed' : ${stringified} }, '*' )
-            ` )
-        }
-    } else {
-        throw new Error( 'Unsupported file type: ' + filename )
-    }
-    await page.waitForFunction( () => window.atomUpdateFinished )
-}
+export const openDocument = ( filename, options ) =>
+    defaultSession.openDocument( filename, options )
 
 /**
- * Get the full contents of the current Lurch app, in the same long-form HTML
- * that would be saved if the user invoked Save from the app's File menu.
+ * Get the document in the app opened by
+ * {@link module:HeadlessLurch.openApp openApp()}, in long-form HTML.  See
+ * {@link LurchSession#documentHTML the corresponding method of LurchSession}
+ * for details.
  * 
  * @returns {Promise<string>} the contents of the document (in long-form HTML)
  * 
  * @function
  */
-export const documentHTML = async () => {
-    return await page.evaluate( () => {
-        return window.tinymce.activeEditor.lurchDocument.getDocument()
-    } )
-}
+export const documentHTML = () => defaultSession.documentHTML()
 
 /**
- * Get the appearance of the document in the app in the headless browser,
- * represented as a PDF.  The return value is the content that belongs in a PDF
- * file, which can then be written to a `.pdf` file on disk.
+ * Get the document in the app opened by
+ * {@link module:HeadlessLurch.openApp openApp()}, as a PDF.  See
+ * {@link LurchSession#documentAsPDF the corresponding method of LurchSession}
+ * for details.
  * 
  * @returns {Promise<Buffer>} a buffer containing the contents of a PDF file
  * 
  * @function
  */
-export const documentAsPDF = async () => {
-    return await page.pdf()
-}
+export const documentAsPDF = () => defaultSession.documentAsPDF()
@@ -0,0 +1,189 @@
+/**
+ * @file Static HTML site of validation results for the command-line interface
+ * 
+ * This module writes a small website showing the validation results that
+ * {@link module:CLI the command-line interface} gets for a set of documents,
+ * so that they can be shared with people who do not run the CLI themselves
+ * (such as teaching assistants), by opening the site's files in any browser or
+ * placing them on any web server.  The site has the following pages.
+ * 
+ *  * `index.html` lists the documents, each with a badge saying whether it
+ *    passed (that is, had no failing results, as defined by the CLI's
+ *    `--fail-on` switch) and badges counting its results of each kind, and
+ *    each linking to the document's own page.
+ *  * For each document, a page whose name is the document's path followed by
+ *    `.html` (as in `proofs/week1.md.html`) lists the document's flagged
+ *    steps (those whose results were anything other than valid), with the
+ *    reason for each, followed by a rendered copy of the document, with the
+ *    same validation markers that the Lurch app shows.
+ * 
+ * The rendered copies are the long-form HTML that
+ * {@link LurchSession#documentHTML documentHTML()} captures, styled with a
+ * copy of the stylesheet the app uses for its documents (which the site stores
+ * as `lurch.css`) and the MathLive stylesheet from its CDN.
+ * 
+ * @module ReportSite
+ */
+
+import { writeFileSync, mkdirSync, copyFileSync } from 'node:fs'
+import { join, dirname, relative, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { describeResult } from './reporters.js'
+import { stylesheet as MathLiveCSS } from '../math-live.js'
+
+// Internal use only
+// The stylesheet the app uses for the contents of its editor, which the site
+// copies, so that its rendered documents look like they do in the app
+const appStylesheet = join( dirname( fileURLToPath( import.meta.url ) ),
+    '..', 'syntax-theme.css' )
+
+// Internal use only
+// Escape text for inclusion in HTML content or attribute values
+const escapeHTML = text => `${text}`.replace( /&/g, '&amp;' )
+    .replace( /</g, '&lt;' ).replace( />/g, '&gt;' )
+    .replace( /"/g, '&quot;' ).replace( /'/g, '&#039;' )
+
+// Internal use only
+// The kinds of validation result, with the symbol the app uses for each and
+// the color of its badge
+const resultKinds = {
+    valid : { symbol : '✓', color : '#2e7d32' },
+    invalid : { symbol : '✗', color : '#c62828' },
+    indeterminate : { symbol : '?', color : '#b7791f' },
+    error : { symbol : '!', color : '#c62828' }
+}
+
+// Internal use only
+// Styles for the parts of each page that the site adds around the documents
+const siteStyles = `
+    body.report { font-family: sans-serif; margin: 2em; }
+    .report table { border-collapse: collapse; }
+    .report td, .report th { padding: 0.4em 1em; border-bottom: 1px solid #ddd; text-align: left; }
+    .badge { display: inline-block; padding: 0.1em 0.6em; margin-right: 0.3em;
+             border-radius: 0.8em; color: white; font-size: 0.85em; font-weight: bold; }
+    .flagged li { margin-bottom: 0.5em; }
+    .flagged code { background: #f4f4f4; padding: 0 0.2em; }
+    .rendered { border: 1px solid #ddd; padding: 1em 2em; margin-top: 2em; }
+`
+
+// Internal use only
+// Build a complete page with the given title and body, whose stylesheets are
+// found relative to the given path from the page to the root of the site
+const page = ( title, body, root ) => `<!DOCTYPE html>
+<html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <title>${escapeHTML( title )}</title>
+        <link rel="stylesheet" href="${root}lurch.css">
+        <link rel="stylesheet" href="${MathLiveCSS}">
+        <style>${siteStyles}</style>
+    </head>
+    <body class="report">
+${body}
+    </body>
+</html>
+`
+
+// Internal use only
+// A badge with the given text and background color
+const badge = ( text, color ) =>
+    `<span class="badge" style="background-color: ${color}">${escapeHTML( text )}</span>`
+
+// Internal use only
+// The badges for one document: whether it passed, given which results count
+// as failing, followed by a count of each kind of result it received
+const badges = ( results, failOn ) => {
+    const passed = !results.some( result => failOn.includes( result.result ) )
+    return [
+        passed ? badge( 'pass', resultKinds.valid.color ) :
+                 badge( 'fail', resultKinds.invalid.color ),
+        ...Object.keys( resultKinds ).map( kind => {
+            const count = results.filter( result => result.result == kind ).length
+            return count ? badge( `${resultKinds[kind].symbol} ${count} ${kind}`,
+                                 resultKinds[kind].color ) : ''
+        } )
+    ].join( '' )
+}
+
+// Internal use only
+// The name of the page for the given document, relative to the site's root,
+// and a URL for it, relative to the same place, with each part of its path
+// encoded, so that characters such as # and ? in file names survive
+const pageName = file => `${file}.html`
+const pageURL = file => pageName( file ).split( sep )
+    .map( part => encodeURIComponent( part ) ).join( '/' )
+
+// Internal use only
+// The index page, listing all the documents
+const indexPage = ( documents, failOn ) => page( 'Lurch validation report', `
+        <h1>Lurch validation report</h1>
+        <p>${documents.length} documents, generated ${new Date().toLocaleString()}</p>
+        <table>
+            <tr><th>Document</th><th>Results</th></tr>
+${documents.map( ( { file, results } ) => `
+            <tr>
+                <td><a href="${pageURL( file )}">${
+                    escapeHTML( file )}</a></td>
+                <td>${badges( results, failOn )}</td>
+            </tr>` ).join( '' )}
+        </table>`, '' )
+
+// Internal use only
+// The page for one document, given the path from it to the site's root.  We
+// drop the link for opening the document in the app from the front of the
+// document's HTML, because it would point to the CLI's temporary web server.
+const documentPage = ( { file, results, html }, failOn, root ) => {
+    const flagged = results.filter( result =>
+        result.result && result.result != 'valid' )
+    const rendered = html.replace( /<div id="loadlink">[\s\S]*?<\/div>/, '' )
+    return page( file, `
+        <p><a href="${root}index.html">&larr; All documents</a></p>
+        <h1>${escapeHTML( file )}</h1>
+        <p>${badges( results, failOn )}</p>
+        <h2>Flagged steps</h2>
+        ${flagged.length == 0 ? '<p>No steps were flagged.</p>' : `
+        <ol class="flagged">${flagged.map( result => `
+            <li>
+                ${badge( result.result, resultKinds[result.result]?.color || 'gray' )}
+                ${escapeHTML( result.type )}:
+                <code>${escapeHTML( describeResult( result ) )}</code>
+                ${result.reason ? `&mdash; ${escapeHTML( result.reason )}` : ''}
+            </li>` ).join( '' )}
+        </ol>`}
+        <h2>Document</h2>
+        <div class="rendered">
+${rendered}
+        </div>`, root )
+}
+
+/**
+ * Write the site described at the top of this module into the given folder,
+ * creating it (and any subfolders needed for documents in subfolders) if it
+ * does not exist, and replacing any files of the same names already in it.
+ * 
+ * @param {string} folder - the folder into which to write the site
+ * @param {Object[]} documents - one object for each document, in the order in
+ *   which to list them, with the fields `file` (the path to the document,
+ *   which determines the path to its page within the site, and so should be
+ *   relative, such as the path relative to the folder the CLI processed),
+ *   `results` (as returned by
+ *   {@link module:HeadlessLurch.validationResults validationResults()}), and
+ *   `html` (as returned by {@link LurchSession#documentHTML documentHTML()})
+ * @param {string[]} failOn - the validation results that count as failing
+ * @returns {string} the path to the site's index page
+ * @function
+ */
+export const writeReportSite = ( folder, documents, failOn ) => {
+    mkdirSync( folder, { recursive : true } )
+    copyFileSync( appStylesheet, join( folder, 'lurch.css' ) )
+    documents.forEach( document => {
+        const filename = join( folder, pageName( document.file ) )
+        const root = relative( dirname( filename ), folder ).split( sep )
+            .filter( part => part ).map( part => part + '/' ).join( '' )
+        mkdirSync( dirname( filename ), { recursive : true } )
+        writeFileSync( filename, documentPage( document, failOn, root ) )
+    } )
+    const index = join( folder, 'index.html' )
+    writeFileSync( index, indexPage( documents, failOn ) )
+    return index
+}
@@ -0,0 +1,155 @@
+/**
+ * @file Test reporters for the command-line interface
+ * 
+ * This module converts the validation results that
+ * {@link module:CLI the command-line interface} gets from
+ * {@link module:HeadlessLurch.validationResults validationResults()} into
+ * formats that testing dashboards and continuous integration systems can read,
+ * so that a library of Lurch documents can be checked like a test suite.  Each
+ * document becomes a test suite, and each atom in it that received a
+ * validation result becomes a test case, which passes if the result was valid,
+ * and fails (with the reason for its result) if the result was invalid,
+ * indeterminate, or error.  Atoms without validation results (such as
+ * expository math or givens) are not test cases.
+ * 
+ * The functions in this module all take the same input, an array of objects,
+ * one for each document, each having two fields: `file`, the path to the
+ * document, and `results`, the array returned by
+ * {@link module:HeadlessLurch.validationResults validationResults()} for it.
+ * 
+ * @module Reporters
+ */
+
+/**
+ * The names of the reporters this module provides, which are the values that
+ * the CLI accepts for its `--reporter` switch.
+ */
+export const reporterNames = [ 'junit', 'tap' ]
+
+/**
+ * Describe the atom whose validation result is given, in a short form suitable
+ * for showing the user which atom it is, such as `` `A and B` `` for an
+ * expression written in Lurch notation, or `$x^2$` for one written in LaTeX.
+ * 
+ * @param {Object} result - one validation result, as returned by
+ *   {@link module:HeadlessLurch.validationResults validationResults()}
+ * @returns {string} a short description of the atom
+ * @function
+ */
+export const describeResult = result =>
+    result.given ? `Given $${result.latex}$` :
+    result.contentType == 'Statement' ? '`'+result.lurch+'`' :
+    result.contentType == 'Assumption' ? 'Assume `'+result.lurch+'`' :
+    result.contentType && result.lurch ?
+        `${result.contentType}: ${result.symbol}, ${result.lurch}` :
+    result.contentType ? `${result.contentType}: ${result.symbol}` :
+    result.lurch ? '`'+result.lurch+'`' :
+    result.latex ? '$'+result.latex+'$' : ''
+
+// Internal use only
+// The test cases for one document: its atoms that have validation results,
+// each with a name that identifies it, and whether it passed
+const testCases = results => results.filter( result => result.result ).map(
+    result => ( {
+        name : `${result.type}: ${describeResult( result )}`,
+        passed : result.result == 'valid',
+        result : result.result,
+        reason : result.reason || result.result
+    } ) )
+
+// Internal use only
+// Escape text for inclusion in XML content or attribute values
+const escapeXML = text => `${text}`.replace( /&/g, '&amp;' )
+    .replace( /</g, '&lt;' ).replace( />/g, '&gt;' )
+    .replace( /"/g, '&quot;' ).replace( /'/g, '&apos;' )
+
+/**
+ * Create a JUnit XML report of the given validation results, with one
+ * `<testsuite>` element per document (named by the document's path) and one
+ * `<testcase>` element per validated atom.  Each failing test case contains a
+ * `<failure>` element whose `type` attribute is the validation result and
+ * whose message is the reason for it.
+ * 
+ * @param {Object[]} documents - the validation results, in the format
+ *   described at the top of this module
+ * @returns {string} the report, in JUnit XML format
+ * @function
+ */
+export const junitReport = documents => {
+    const suites = documents.map( ( { file, results } ) => {
+        const cases = testCases( results )
+        const failures = cases.filter( testCase => !testCase.passed ).length
+        return `    <testsuite name="${escapeXML( file )}" tests="${cases.length}" `
+             + `failures="${failures}" errors="0">\n`
+             + cases.map( ( testCase, index ) => {
+                 // Number the test cases so that their names are unique
+                 const name = `${index + 1}. ${testCase.name}`
+                 const attributes = `name="${escapeXML( name )}" `
+                                  + `classname="${escapeXML( file )}"`
+                 if ( testCase.passed )
+                     return `        <testcase ${attributes}/>\n`
+                 return `        <testcase ${attributes}>\n`
+                      + `            <failure type="${testCase.result}" `
+                      + `message="${escapeXML( testCase.reason )}">`
+                      + `${escapeXML( testCase.reason )}</failure>\n`
+                      + `        </testcase>\n`
+             } ).join( '' )
+             + `    </testsuite>\n`
+    } )
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+         + '<testsuites name="Lurch validation">\n'
+         + suites.join( '' )
+         + '</testsuites>\n'
+}
+
+// Internal use only
+// Escape text for inclusion in the description of a TAP test point, in which
+// the # character would otherwise begin a directive such as TODO or SKIP
+const escapeTAP = text => `${text}`.replace( /\\/g, '\\\\' ).replace( /#/g, '\\#' )
+
+/**
+ * Create a TAP (Test Anything Protocol, version 13) report of the given
+ * validation results.  Each document is a subtest, whose test points are its
+ * validated atoms, and which passes only if all of those atoms are valid.
+ * Each failing test point is followed by a YAML block giving the validation
+ * result and the reason for it.
+ * 
+ * @param {Object[]} documents - the validation results, in the format
+ *   described at the top of this module
+ * @returns {string} the report, in TAP format
+ * @function
+ */
+export const tapReport = documents => {
+    const lines = [ 'TAP version 13' ]
+    documents.forEach( ( { file, results }, index ) => {
+        const cases = testCases( results )
+        lines.push( `# Subtest: ${file}`, `    1..${cases.length}` )
+        cases.forEach( ( testCase, caseIndex ) => {
+            lines.push( `    ${testCase.passed ? 'ok' : 'not ok'} `
+                      + `${caseIndex + 1} - ${escapeTAP( testCase.name )}` )
+            if ( !testCase.passed )
+                lines.push( '      ---',
+                            `      result: ${testCase.result}`,
+                            `      reason: ${JSON.stringify( testCase.reason )}`,
+                            '      ...' )
+        } )
+        const passed = cases.every( testCase => testCase.passed )
+        lines.push( `${passed ? 'ok' : 'not ok'} ${index + 1} - ${escapeTAP( file )}` )
+    } )
+    lines.push( `1..${documents.length}` )
+    return lines.join( '\n' ) + '\n'
+}
+
+/**
+ * Create a report of the given validation results using the reporter with the
+ * given name, which must be one of those in
+ * {@link module:Reporters.reporterNames reporterNames}.
+ * 
+ * @param {string} name - the name of the reporter to use
+ * @param {Object[]} documents - the validation results, in the format
+ *   described at the top of this module
+ * @returns {string} the report
+ * @function
+ */
+export const report = ( name, documents ) =>
+    name == 'junit' ? junitReport( documents ) : tapReport( documents )
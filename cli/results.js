@@ -0,0 +1,120 @@
+/**
+ * @file Presenting validation results in the command-line interface
+ * 
+ * When {@link module:CLI the command-line interface} prints validation results
+ * as text (its default mode), it uses this module to format each result, and
+ * to summarize the results of all the documents it processed in a table.
+ * That summary also determines whether the CLI exits with the code that
+ * indicates failures, as described in the CLI's own documentation.
+ * 
+ * @module Results
+ */
+
+import chalk from 'chalk'
+import { describeResult } from './reporters.js'
+
+// Internal use only
+// Spaces with which to pad results in the table format
+const eighty = '                                        '
+             + '                                        '
+
+/**
+ * Format one validation result as a line of text, indented to show its
+ * nesting depth, and showing the atom's type and description, followed by a
+ * colored badge for its result (if it has one).  In the table format, the
+ * badges all begin in the same column, and the descriptions are cut short if
+ * they would extend into that column.
+ * 
+ * @param {Object} result - one validation result, as returned by
+ *   {@link module:HeadlessLurch.validationResults validationResults()}
+ * @param {boolean} [table] - whether to use the table format (the default)
+ * @returns {string} the formatted result, which contains terminal color codes
+ *   if chalk is using colors
+ * @function
+ */
+export const formatResult = ( result, table = true ) => {
+    let indent = ''
+    for ( let i = 0 ; i < result.depth ; i++ ) indent += '    '
+    const type = chalk.gray( result.type )
+    const repr = chalk.inverse( describeResult( result ) )
+    const validation =
+        !result.result ? '' :
+        result.result == 'valid' ? chalk.bgGreen( ' ✓ valid ' ) :
+        result.result == 'invalid' ? chalk.bgRed( ' ✗ invalid ' ) :
+        result.result == 'indeterminate' ? chalk.bgYellow( ' ? indeterminate ' ) :
+        chalk.bgRed( ' ! error ' )
+    return table ?
+        ( `${indent}${type}: ${repr}` + eighty ).substring( 0, 60 ) + validation :
+        `${indent}${type}: ${repr}${validation}`
+}
+
+/**
+ * A summary of the validation results of a series of documents, recording how
+ * many of each kind of result each document had, and whether any of them
+ * count as failures.
+ */
+export class ResultsSummary {
+
+    /**
+     * The kinds of results counted, which are the columns of the
+     * {@link ResultsSummary#table summary table}.
+     */
+    static columns = [ 'valid', 'invalid', 'indeterminate', 'error' ]
+
+    /**
+     * Construct a summary with no documents in it.
+     * 
+     * @param {string[]} failOn - the validation results that count as
+     *   failures, as chosen by the CLI's `--fail-on` and `--strict` switches
+     */
+    constructor ( failOn ) {
+        this.failOn = failOn
+        this.rows = [ ]
+        // Whether any failures have been found; clients that find failures
+        // of other kinds (such as unmet expectations) can also set this
+        this.failed = false
+    }
+
+    /**
+     * Record the validation results of one document, as a new row of the
+     * summary.  When processing many documents at once, call this in the order
+     * of the documents, so that the table is in that order, too.
+     * 
+     * @param {string} file - the document's file
+     * @param {Object[]} results - its validation results, as returned by
+     *   {@link module:HeadlessLurch.validationResults validationResults()}
+     */
+    record ( file, results ) {
+        if ( results.some( result => this.failOn.includes( result.result ) ) )
+            this.failed = true
+        const counts = { }
+        ResultsSummary.columns.forEach( column => counts[column] =
+            results.filter( result => result.result == column ).length )
+        this.rows.push( { file, counts } )
+    }
+
+    /**
+     * Create a table of the recorded counts, with a header row, one row per
+     * document, and a row of totals, each with the file (or the word "File" or
+     * "Total") in a column as wide as the longest of those, followed by the
+     * counts in columns 15 characters wide.
+     * 
+     * @returns {string[]} the lines of the table
+     */
+    table () {
+        const columns = ResultsSummary.columns
+        const totals = { }
+        columns.forEach( column => totals[column] = this.rows.reduce(
+            ( total, row ) => total + row.counts[column], 0 ) )
+        const rows = [ ...this.rows, { file : 'Total', counts : totals } ]
+        const width = Math.max( ...rows.map( row => row.file.length ) )
+        const line = ( file, cells ) => file.padEnd( width ) + cells.map(
+            cell => `${cell}`.padStart( 15 ) ).join( '' )
+        return [
+            line( 'File', columns ),
+            ...rows.map( row =>
+                line( row.file, columns.map( column => row.counts[column] ) ) )
+        ]
+    }
+
+}
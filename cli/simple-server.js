@@ -9,7 +9,12 @@ import fs from 'fs'
 import path from 'path'
 const port = 8080
 
-const startServer = ( options = { } ) => {
+// Start the server with the given options, which can include a port (or 0 to
+// let the operating system choose an unused one) and whether to log each
+// request.  Returns a promise that resolves to the server once it is
+// listening, or rejects if it cannot listen (e.g., if the port is in use).
+// To find which port it is listening on, use server.address().port.
+const startServer = ( options = { } ) => new Promise( ( resolve, reject ) => {
 
     // Use these default values for the options:
     options = Object.assign( {
@@ -74,18 +79,27 @@ const startServer = ( options = { } ) => {
     } )
 
     // Start the server, or give a useful error if you can't:
-    server.on( 'error', err => {
-        if ( /address already in use/.test( `${err}` ) ) {
-            console.log( `Cannot launch server; port ${options.port} is in use.` )
-            process.exit()
-        } else {
-            throw err
-        }
+    server.once( 'error', err => {
+        if ( err.code == 'EADDRINUSE' )
+            reject( new Error( `Cannot launch server; port ${options.port} is in use.` ) )
+        else
+            reject( err )
+    } )
+    server.listen( options.port, () => {
+        if ( options.verbose )
+            console.log( `Listening on port ${server.address().port}` )
+        resolve( server )
     } )
-    server.listen( options.port )
-    if ( options.verbose )
-        console.log( `Listening on port ${port}` )
 
-}
+} )
+
+// Stop the given server, which was returned by startServer().  Returns a promise
+// that resolves once the server has closed.  Any open connections (such as
+// those a browser keeps alive) are closed immediately, rather than waiting for
+// them to time out.
+const stopServer = server => new Promise( ( resolve, reject ) => {
+    server.close( err => err ? reject( err ) : resolve() )
+    server.closeAllConnections()
+} )
 
-export { startServer }
+export { startServer, stopServer }
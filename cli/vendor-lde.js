@@ -0,0 +1,57 @@
+/**
+ * @file Download a local copy of the Lurch Deductive Engine (LDE)
+ * 
+ * The Lurch app loads the LDE from jsDelivr by default, but it can instead load
+ * it from a copy stored in the `vendor/lde/` folder of this repository, as
+ * documented in `lde-cdn.js`.  This script creates that copy.  Run it from the
+ * repository root, on a machine with internet access:
+ * 
+ * `node cli/vendor-lde.js`
+ * 
+ * It downloads every file in the `src/` folder of the LDE repository, at each
+ * of the git refs listed in the `LDERefs` object in `lde-cdn.js`, into
+ * `vendor/lde/<ref>/src/`.  Afterwards, the app can be loaded with the query
+ * parameter `?lde=local` (which the CLI does by default), and the LDE will be
+ * served by the CLI's simple server (`cli/simple-server.js`) along with the
+ * rest of the app, even if the machine later has no internet access.
+ * 
+ * The `vendor/` folder is listed in `.gitignore`, so each copy of the
+ * repository must run this script itself.  Re-run it whenever the refs in
+ * `lde-cdn.js` change.
+ * 
+ * @module VendorLDE
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const repoRoot = join( dirname( fileURLToPath( import.meta.url ) ), '..' )
+
+// Read the refs out of lde-cdn.js, rather than repeating them here, so that
+// the two files never disagree.  (We cannot import lde-cdn.js, because it
+// loads the LDE itself, from URLs that Node cannot import.)
+const appSource = readFileSync( join( repoRoot, 'lde-cdn.js' ), 'utf8' )
+const refs = [ 'main', 'validation' ].map( key =>
+    new RegExp( `${key} : '([^']+)'` ).exec( appSource )[1] )
+
+const listingURL = ref =>
+    `https://data.jsdelivr.com/v1/packages/gh/lurchmath/lde@${ref}?structure=flat`
+const fileURL = ( ref, path ) =>
+    `https://cdn.jsdelivr.net/gh/lurchmath/lde@${ref}${path}`
+
+for ( const ref of new Set( refs ) ) {
+    console.log( `Fetching the list of LDE files at ${ref}...` )
+    const listing = await ( await fetch( listingURL( ref ) ) ).json()
+    const paths = listing.files.map( file => file.name )
+        .filter( path => path.startsWith( '/src/' ) )
+    for ( const path of paths ) {
+        const response = await fetch( fileURL( ref, path ) )
+        if ( !response.ok )
+            throw new Error( `Could not download ${path} at ${ref}` )
+        const destination = join( repoRoot, 'vendor', 'lde', ref, path )
+        mkdirSync( dirname( destination ), { recursive : true } )
+        writeFileSync( destination, Buffer.from( await response.arrayBuffer() ) )
+    }
+    console.log( `Saved ${paths.length} files into vendor/lde/${ref}/` )
+}
@@ -0,0 +1,156 @@
+/**
+ * @file Tools for the watch mode of the command-line interface
+ * 
+ * When {@link module:CLI the command-line interface} watches a folder (with
+ * its `--watch` switch), it re-validates each document whenever that document
+ * or any file it imports changes, and reports how the document's validation
+ * results differ from those of the previous run.  This module provides the
+ * two tools that requires:
+ * 
+ *  * an {@link ImportGraph}, which records which files import which others,
+ *    so that the CLI can find every document affected by a change, and
+ *  * {@link module:Watch.diffResults diffResults()}, which compares two runs
+ *    of validation results for the same document.
+ * 
+ * @module Watch
+ */
+
+import { documentImports } from './documents.js'
+import { describeResult } from './reporters.js'
+
+/**
+ * A graph of which files import which others, so that when a file changes,
+ * the CLI can process every document that imports it, directly or indirectly.
+ * The graph maps each file to the files it imports (as found by
+ * {@link module:Documents.documentImports documentImports()}), and
+ * includes every file imported by any document added to it, even files
+ * outside the folder being watched.  Clients should normalize all paths, so
+ * that the same file always has the same path.
+ * 
+ * The header and dependency files named in the CLI's configuration file (if
+ * any) are added to every document, so the graph treats every other file as
+ * importing them.
+ */
+export class ImportGraph {
+
+    /**
+     * Construct a graph with no files in it.
+     * 
+     * @param {string[]} [configFiles] - the header and dependency files that
+     *   every document imports, as described above
+     */
+    constructor ( configFiles = [ ] ) {
+        this.configFiles = configFiles.filter( file => file )
+        this.imports = new Map()
+    }
+
+    /**
+     * Read the given file to find what it imports, and record that in the
+     * graph, replacing anything recorded about it before.  Then do the same
+     * for each file it imports that is not yet in the graph, and so on.  A
+     * file that cannot be read (perhaps because it was deleted) is recorded
+     * as importing nothing except the configuration files.
+     * 
+     * @param {string} file - the file to add or update
+     */
+    update ( file ) {
+        let imports = [ ]
+        try {
+            imports = documentImports( file )
+        } catch ( error ) {
+            // the file does not exist (perhaps it was deleted), so imports nothing
+        }
+        if ( !this.configFiles.includes( file ) )
+            imports = [ ...imports, ...this.configFiles ]
+        this.imports.set( file, imports )
+        imports.forEach( imported => {
+            if ( !this.imports.has( imported ) ) this.update( imported )
+        } )
+    }
+
+    /**
+     * Whether the given file is in the graph, either because it was added with
+     * {@link ImportGraph#update update()} or because a file in the graph
+     * imports it.
+     * 
+     * @param {string} file - the file to look up
+     * @returns {boolean} whether the file is in the graph
+     */
+    has ( file ) { return this.imports.has( file ) }
+
+    /**
+     * All the files in the graph, in the order they were added.
+     * 
+     * @returns {string[]} the files in the graph
+     */
+    files () { return Array.from( this.imports.keys() ) }
+
+    /**
+     * Find all files that import the given one, directly or indirectly.
+     * 
+     * @param {string} file - the file whose importers should be found
+     * @returns {string[]} the given file, followed by all files that import
+     *   it, directly or indirectly, each listed once
+     */
+    importersOf ( file ) {
+        const result = [ file ]
+        for ( let i = 0 ; i < result.length ; i++ )
+            this.imports.forEach( ( imports, importer ) => {
+                if ( imports.includes( result[i] ) && !result.includes( importer ) )
+                    result.push( importer )
+            } )
+        return result
+    }
+
+}
+
+/**
+ * Compare two runs of validation results for the same document, returning a
+ * list of the differences.  Atoms are matched across the two runs by their
+ * type and description (as given by
+ * {@link module:Reporters.describeResult describeResult()}), and, among atoms
+ * whose type and description are the same, by the order in which they appear.
+ * Atoms with no result in either run are ignored.
+ * 
+ * Each difference is an object with the fields `change` (one of `"changed"`,
+ * `"added"`, or `"removed"`), `atom` (the atom's type and description, with a
+ * number appended if earlier atoms had the same ones), `before` and `after`
+ * (its results in the two runs, where applicable), and `reason` (the reason
+ * for its result in the second run, if any).
+ * 
+ * @param {Object[]} before - the results of the earlier run, as returned by
+ *   {@link module:HeadlessLurch.validationResults validationResults()}
+ * @param {Object[]} after - the results of the later run, in the same form
+ * @returns {Object[]} the differences, as described above, first those for
+ *   atoms in the later run (in order), then those for atoms that were removed
+ * @function
+ */
+export const diffResults = ( before, after ) => {
+    const byName = results => {
+        const map = new Map()
+        results.forEach( result => {
+            const name = `${result.type}: ${describeResult( result )}`
+            let key = name
+            for ( let i = 2 ; map.has( key ) ; i++ ) key = `${name} (${i})`
+            map.set( key, result )
+        } )
+        return map
+    }
+    const old = byName( before )
+    const now = byName( after )
+    const changes = [ ]
+    now.forEach( ( result, atom ) => {
+        const was = old.get( atom )
+        if ( !was && result.result )
+            changes.push( { change : 'added', atom,
+                after : result.result, reason : result.reason } )
+        else if ( was && was.result != result.result )
+            changes.push( { change : 'changed', atom,
+                before : was.result, after : result.result, reason : result.reason } )
+    } )
+    old.forEach( ( result, atom ) => {
+        if ( !now.has( atom ) && result.result )
+            changes.push( { change : 'removed', atom, before : result.result } )
+    } )
+    return changes
+}
@@ -27,6 +27,9 @@ import ExpositoryMath from './expository-math.js'
 import Dependencies from './dependencies.js'
 import Shells from './shells.js'
 import Validation from './validation.js'
+import FeedbackPanel from './feedback-panel.js'
+import FeedbackPopover from './feedback-popover.js'
+import FeedbackReport from './feedback-report.js'
 import AutoCompleter from './auto-completer.js'
 import Embedding from './embed-listener.js'
 import Export from './export.js'
@@ -195,7 +198,8 @@ window.Lurch = {
             ),
             document : buildMenu( 'Document',
                 'viewdependencyurls',
-                'validate clearvalidation',
+                'validate validateselection validatefresh clearvalidation feedbackpanel',
+                'nextfeedback previousfeedback exportfeedback',
                 'docsettings togglemeaning'
             ),
             help : buildMenu( 'Help', 'aboutlurch' )
@@ -301,6 +305,9 @@ window.Lurch = {
                     Shells.install( editor )
                     Dependencies.install( editor )
                     Validation.install( editor )
+                    FeedbackPanel.install( editor )
+                    FeedbackPopover.install( editor )
+                    FeedbackReport.install( editor )
                     AutoCompleter.install( editor )
                     Export.install( editor )
                     if ( !Headers.isEditor() ) {
@@ -46,6 +46,21 @@
  *    by a `<proof>...</proof>` tag containing the contents of the blockquote,
  *    or a `<subproof>...</subproof>` tag instead if it is an inner blockquote
  *    (that is, one with a blockquote ancestor).
+ *  - Any inline code block followed by an HTML comment of the form
+ *    `<!-- expect: invalid -->` will be given the expected result in that
+ *    comment, as described in the next section.
+ * 
+ * ## Expected results
+ * 
+ * Authors of example documents (such as documents of intentionally incorrect
+ * proofs, for testing that Lurch catches the mistakes) can record which
+ * validation result they expect each expression or shell to receive.  In HTML
+ * notation, add an `expect` attribute to a `<lurch>` tag or shell tag, as in
+ * `<lurch expect="invalid">...</lurch>`.  In Markdown notation, that works as
+ * well, or you can follow an expression in backticks with a comment, as in
+ * `` `P and Q` <!-- expect: invalid --> ``.  The expected result is stored in
+ * the atom's `expect` metadata, for tools to compare with the actual result;
+ * see {@link module:CLI the command-line interface} for one such tool.
  * 
  * To make it easy for the outer page to define where copies of the Lurch app
  * should appear, and what they should contain, we provide a script you can
@@ -75,12 +90,30 @@ import { setHeader } from './header-editor.js'
 
 // Internal use only.
 // Replace an HTML element <foo>...</foo> with <newTag>...</newTag>, but the
-// same children.  Attributes are not currently copied over.  If that feature
-// becomes important later, it could be added to this function.
+// same children, and return the new element.  Attributes are not currently
+// copied over.  If that feature becomes important later, it could be added to
+// this function.
 const changeTag = ( element, newTag ) => {
     const newElement = document.createElement( newTag )
     while ( element.firstChild ) newElement.appendChild( element.firstChild )
     element.replaceWith( newElement )
+    return newElement
+}
+
+// Internal use only.
+// If the given element is followed by a comment of the form
+// <!-- expect: result -->, with only whitespace between them, then move the
+// result into the element's expect attribute and delete the comment.
+const expectationRE = /^\s*expect\s*:\s*(.*?)\s*$/
+const moveExpectationComment = element => {
+    let next = element.nextSibling
+    while ( next?.nodeType == Node.TEXT_NODE && next.textContent.trim() == '' )
+        next = next.nextSibling
+    const match = next?.nodeType == Node.COMMENT_NODE
+               && expectationRE.exec( next.textContent )
+    if ( !match ) return
+    element.setAttribute( 'expect', match[1] )
+    next.remove()
 }
 
 // Internal use only.
@@ -156,9 +189,10 @@ const markdownConverter = () => loadScript(
         // replace $...$ with <latex>...</latex> to support $latex$
         markdown = markdown.replace( /\$([^$]+)\$/g, '<latex>$1</latex>' )
         wrapper.innerHTML = converter.makeHtml( markdown )
-        // replace <code>...</code> with <lurch>...</lurch> to support `lurchNotation`
+        // replace <code>...</code> with <lurch>...</lurch> to support `lurchNotation`,
+        // together with any expected result given in a comment after it
         Array.from( wrapper.querySelectorAll( 'code' ) ).forEach( codeElt =>
-            changeTag( codeElt, 'lurch' ) )
+            moveExpectationComment( changeTag( codeElt, 'lurch' ) ) )
         // replace <blockquote>...</blockquote> with <subproof>...</subproof> to support `lurchNotation`
         Array.from( wrapper.querySelectorAll( 'blockquote' ) ).forEach( quoteElt =>
             changeTag( quoteElt,
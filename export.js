@@ -4,14 +4,21 @@
  * content as LaTeX, which makes it handy for pasting into a LaTeX editor, such
  * as Overleaf.
  * 
+ * It also provides functions for converting an entire document to LaTeX, to
+ * the simplified HTML described in {@link module:EmbedListener the
+ * embed-listener.js module}, or to the Markdown format described there, which
+ * {@link module:CLI the command-line interface} uses to convert documents in
+ * batches.
+ * 
  * @module Export
  */
 
 import { Atom } from './atoms.js'
 import { Shell } from './shells.js'
 import { Dialog, LongTextInputItem, CheckBoxItem } from './dialog.js'
-import { escapeLatex } from './utilities.js'
+import { escapeLatex, unescapeHTML } from './utilities.js'
 import { appSettings } from './settings-install.js'
+import { getHeader } from './header-editor.js'
 
 // Internal use only
 // The preamble that will be prefixed to any LaTeX document created by this
@@ -109,6 +116,171 @@ const cleanUpLatex = latex => {
     return latex
 }
 
+// Internal use only
+// Convert a string of HTML (which can contain an entire document) to LaTeX,
+// using the two functions above
+const htmlToLatex = ( html, editor ) => {
+    const offScreenDiv = document.createElement( 'div' )
+    offScreenDiv.innerHTML = html
+    return cleanUpLatex( htmlNodeToLatex( offScreenDiv, editor ) )
+}
+
+/**
+ * Convert the document in the given editor to LaTeX, in the same way that the
+ * menu item installed by this module does, optionally wrapping the result in a
+ * LaTeX document environment, preceded by a preamble that defines the
+ * environments the result uses (such as `theorem`).  The result does not
+ * include the document header, nor any validation feedback.
+ * 
+ * @param {tinymce.Editor} editor - the editor whose document should be
+ *   converted
+ * @param {boolean} [addWrapper=false] - whether to wrap the result in a
+ *   LaTeX document environment, as described above
+ * @returns {string} the LaTeX representation of the document
+ * @function
+ */
+export const documentToLatex = ( editor, addWrapper = false ) => {
+    const latex = htmlToLatex( editor.getContent(), editor )
+    return addWrapper ? latexPreamble + latex + latexPostamble : latex
+}
+
+// Internal use only
+// Call the given function on the document header (if there is one) and on the
+// document content, as DOM nodes, and combine the results, placing the header
+// in a DIV with class "header," as documented in embed-listener.js
+const convertDocument = ( editor, convert, separator ) => {
+    const offScreenDiv = document.createElement( 'div' )
+    offScreenDiv.innerHTML = editor.getContent()
+    const header = getHeader( editor )
+    const body = convert( offScreenDiv )
+    return header && header.childNodes.length > 0 ?
+        `<div class="header">${separator}${convert( header )}${separator}</div>`
+      + `${separator}${body}` : body
+}
+
+/**
+ * Convert the document in the given editor to the simplified HTML described
+ * in {@link module:EmbedListener the embed-listener.js module}, in which each
+ * atom is represented by a simple tag, such as `<lurch>...</lurch>` or
+ * `<theorem>...</theorem>`.  The document header, if any, is included in a
+ * DIV with class "header."  Validation feedback is not included, but any
+ * expected results are.
+ * 
+ * @param {tinymce.Editor} editor - the editor whose document should be
+ *   converted
+ * @returns {string} the simplified HTML representation of the document
+ * @function
+ */
+export const documentToSimplifiedHTML = editor =>
+    convertDocument( editor, node => Array.from( node.childNodes ).map( child =>
+        Atom.simplifiedHTML( child, editor ) ).join( '' ), '\n' ) + '\n'
+
+// Internal use only
+// Escape text so that, in the Markdown format documented in embed-listener.js,
+// it will be treated as plain text, including characters that would otherwise
+// begin Markdown formatting, HTML tags, or expository math
+const escapeMarkdown = text => text.replace( /[\\`*_]/g, '\\$&' )
+    .replaceAll( '&', '&amp;' ).replaceAll( '<', '&lt;' )
+    .replaceAll( '$', '&#36;' )
+
+// Internal use only
+// Convert the simplified HTML representation of a non-shell atom to the
+// Markdown format documented in embed-listener.js, if that format has a
+// notation for it; otherwise, keep the simplified HTML, which is also valid in
+// that format
+const embedToMarkdown = html => {
+    let match = /^<lurch( expect="([^"]*)")?>([^<`]*)<\/lurch>$/.exec( html )
+    if ( match )
+        return '`' + unescapeHTML( match[3] ) + '`'
+             + ( match[1] ? ` <!-- expect: ${unescapeHTML( match[2] )} -->` : '' )
+    match = /^<latex>([^<$]*)<\/latex>$/.exec( html )
+    if ( match )
+        return '$' + unescapeHTML( match[1] ) + '$'
+    return html
+}
+
+// Internal use only
+// Convert an HTML node (which can contain an entire document) to the Markdown
+// format documented in embed-listener.js, recursively.  Content with no
+// Markdown notation is kept as simplified HTML, which is valid in Markdown.
+const htmlNodeToMarkdown = ( node, editor ) => {
+    // Utility function for recurring on all children and joining their results
+    const recur = () => Array.from( node.childNodes ).map( child =>
+        htmlNodeToMarkdown( child, editor ) ).join( '' )
+    // If it's an atom, use its simplified HTML, in Markdown form if possible,
+    // except that for a shell, we use its tag (as in simplified HTML), with its
+    // contents in Markdown, separated by blank lines so that they are parsed
+    // as Markdown
+    if ( Atom.isAtomElement( node ) ) {
+        const atom = Atom.from( node, editor )
+        if ( !( atom instanceof Shell ) )
+            return embedToMarkdown( atom.toEmbed() )
+        const tagName = atom.constructor.subclassName
+        return `\n\n<${tagName}${atom.embedAttributes()}>\n\n${recur()}`
+             + `\n\n</${tagName}>\n\n`
+    }
+    // If it's a text node, just use its (escaped) contents
+    if ( !node.tagName )
+        return escapeMarkdown( node.textContent.replaceAll( '\u00a0', ' ' ) ) // nbsp
+    // Handle the most common HTML tags that might show up in a Lurch document
+    switch ( node.tagName.toLowerCase() ) {
+        case 'br' : return '<br>\n'
+        case 'hr' : return '\n\n---\n\n'
+        case 'p' :
+        case 'div' : return `\n\n${recur()}\n\n`
+        case 'span' : return node.style.textDecoration == 'underline' ?
+            Atom.simplifiedHTML( node, editor ) : recur()
+        case 'a' : return `[${recur()}](${node.getAttribute( 'href' )})`
+        case 'strong' :
+        case 'b' : return `**${recur()}**`
+        case 'em' :
+        case 'i' : return `*${recur()}*`
+        case 'li' : return recur()
+        case 'ol' :
+        case 'ul' : return '\n\n' + Array.from( node.children ).map(
+            ( item, index ) => ( node.tagName == 'OL' ? `${index + 1}. ` : '- ' )
+                // indent the item's contents, including nested lists, to line
+                // up with the start of its text
+                + htmlNodeToMarkdown( item, editor ).trim()
+                    .replace( /\n/g, '\n    ' ) ).join( '\n' ) + '\n\n'
+        case 'h1' :
+        case 'h2' :
+        case 'h3' :
+        case 'h4' :
+        case 'h5' :
+        case 'h6' :
+            return `\n\n${'#'.repeat( parseInt( node.tagName[1] ) )} ${recur().trim()}\n\n`
+        default : return Atom.simplifiedHTML( node, editor )
+    }
+}
+
+// Internal use only
+// The Markdown code that comes out of the above function has extra whitespace,
+// and this function removes it, as described below
+const cleanUpMarkdown = markdown =>
+    // Trim the end of each line and reduce many blank lines to just one
+    markdown.replace( /[^\S\r\n]+\n/g, '\n' )
+            .replace( /\n\n\n+/g, '\n\n' )
+            .trim() + '\n'
+
+/**
+ * Convert the document in the given editor to the Markdown format described
+ * in {@link module:EmbedListener the embed-listener.js module}, in which
+ * expressions are written in backticks, expository math in dollar signs, and
+ * shells as simple tags, such as `<theorem>...</theorem>`.  Content that has
+ * no Markdown notation (such as underlined text) is written as simplified
+ * HTML, which is also valid in that format.  The document header, if any, is
+ * included in a DIV with class "header."  Validation feedback is not included,
+ * but any expected results are.
+ * 
+ * @param {tinymce.Editor} editor - the editor whose document should be
+ *   converted
+ * @returns {string} the Markdown representation of the document
+ * @function
+ */
+export const documentToMarkdown = editor => cleanUpMarkdown(
+    convertDocument( editor, node => htmlNodeToMarkdown( node, editor ), '\n\n' ) )
+
 /**
  * This function should be called in the editor's setup routine.  It installs
  * one feature into the editor:
@@ -116,11 +288,19 @@ const cleanUpLatex = latex => {
  *  * a menu item for exporting the current document (or just the selection in
  *    it) as LaTeX, for pasting into a LaTeX editor, such as Overleaf
  * 
+ * It also exposes the conversion functions in this module as the editor's
+ * `Export` property.
+ * 
  * @param {tinymce.Editor} editor - the editor in which to install the feature
  *   described above
  * @function
  */
 export const install = editor => {
+    // Expose the conversion functions publicly through the editor, for use in
+    // the CLI through Puppeteer.
+    editor.Export = {
+        documentToLatex, documentToSimplifiedHTML, documentToMarkdown
+    }
     editor.ui.registry.addMenuItem( 'exportlatex', {
         icon : 'new-tab',
         text : 'Export as LaTeX...',
@@ -128,13 +308,9 @@ export const install = editor => {
         onAction : () => {
             // Compute the LaTeX versions of the whole document and of just the
             // user's current selection
-            const offScreenDiv = document.createElement( 'div' )
-            offScreenDiv.innerHTML = editor.getContent()
-            const fullLatex = cleanUpLatex(
-                htmlNodeToLatex( offScreenDiv, editor ) )
-            offScreenDiv.innerHTML = editor.selection.getContent()
-            const selectedLatex = cleanUpLatex(
-                htmlNodeToLatex( offScreenDiv, editor ) )
+            const fullLatex = htmlToLatex( editor.getContent(), editor )
+            const selectedLatex =
+                htmlToLatex( editor.selection.getContent(), editor )
             // Create a function that can compute the text to copy to the
             // clipboard, based on the above data, plus options the user will
             // specify via checkboxes in the dialog
@@ -26,7 +26,7 @@ import { represent } from './notation.js'
 import { appSettings } from './settings-install.js'
 import { Dialog, TextInputItem, LongTextInputItem } from './dialog.js'
 import { MathItem } from './math-live.js'
-import { escapeLatex } from './utilities.js'
+import { escapeLatex, escapeHTML } from './utilities.js'
 
 /**
  * An Atom that represents a piece of mathematical notation used only for
@@ -179,9 +179,11 @@ export class ExpositoryMath extends Atom {
      * which contain LaTeX notation.  This function can convert any expository
      * math atom into the corresponding `latex` element, as a string.
      * 
-     * @returns {string} the representation of the atom as a `lurch` element
+     * @returns {string} the representation of the atom as a `latex` element
      */
-    toEmbed () { return `<latex>${this.getMetadata( 'latex' )}</latex>` }
+    toEmbed () {
+        return `<latex>${escapeHTML( this.getMetadata( 'latex' ) )}</latex>`
+    }
 
 }
 
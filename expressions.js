@@ -25,6 +25,7 @@ import {
     Expression as LCExpression, Declaration as LCDeclaration
 } from './lde-cdn.js'
 import { DeclarationType } from './declarations.js'
+import { escapeHTML } from './utilities.js'
 
 let converter = null
 
@@ -843,6 +844,10 @@ export class Expression extends Atom {
             result.unshift( {
                 text : 'View meaning',
                 onAction : () => Dialog.meaningOfAtom( this )
+            }, {
+                text : 'Show feedback for this expression only',
+                onAction : () => this.editor.execCommand(
+                    'validateOnly', false, [ this.element ] )
             } )
         return result
     }
@@ -853,12 +858,18 @@ export class Expression extends Atom {
      * create a copy of the Lurch app and put that document into it.  We allow
      * for representing expressions using `<lurch>...</lurch>` elements, which
      * contain Lurch notation.  This function can convert any expression atom
-     * into the corresponding `lurch` element, as a string.
+     * into the corresponding `lurch` element, as a string.  If the atom has an
+     * expected validation result (see
+     * {@link module:Atoms.Atom.unsimplifyDOM unsimplifyDOM()}), it is included
+     * as the element's `expect` attribute.
      * 
      * @returns {string} the representation of the atom as a `lurch` element
      */
     toEmbed () {
-        const wrap = lurchNotation => `<lurch>${lurchNotation}</lurch>`
+        const expect = this.getMetadata( 'expect' )
+        const attribute = expect ? ` expect="${escapeHTML( expect )}"` : ''
+        const wrap = lurchNotation =>
+            `<lurch${attribute}>${escapeHTML( lurchNotation )}</lurch>`
         if ( this.isInBeginnerMode() ) {
             const { latex, given } = this.loadBeginnerModeData()
             if ( latex.trim() == '' ) return ''
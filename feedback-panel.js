@@ -0,0 +1,187 @@
+/**
+ * This module installs into the editor a collapsible panel (a TinyMCE sidebar)
+ * summarizing the validation feedback in the document.  It shows three things:
+ * 
+ *  1. A count of how many atoms and shells in the document have each type of
+ *     validation result (valid, invalid, indeterminate, or error).
+ *  2. Feedback about the document as a whole, which the
+ *     {@link module:Validation validation module} receives from the worker
+ *     under the ID `"documentEnvironment"` (such as scoping errors in the
+ *     document's header), and which cannot be attached to any one atom.
+ *  3. A list of each atom or shell whose validation result is not valid,
+ *     together with the reason it was given that result.  Clicking any entry
+ *     in that list scrolls the document to that atom and selects it.
+ * 
+ * The panel updates itself whenever validation finishes or validation feedback
+ * is cleared, by listening for the events that the validation module dispatches
+ * in the editor.
+ * 
+ * This module also installs commands for moving the cursor to the next or
+ * previous flagged atom in the document, so that users can step through the
+ * problems in a long document without hunting for them.
+ * 
+ * @module FeedbackPanel
+ */
+
+import { Atom } from './atoms.js'
+import { Dialog } from './dialog.js'
+import { escapeHTML } from './utilities.js'
+
+// Internal use only
+// The name under which we register the panel as a TinyMCE sidebar
+const sidebarName = 'documentfeedback'
+
+// Internal use only
+// The validation results we count, in the order we display them
+const resultTypes = [ 'valid', 'invalid', 'indeterminate', 'error' ]
+
+/**
+ * Scroll the given editor so that the given atom (or shell) is visible, and
+ * place the editor's selection on it, so that the user can see which part of
+ * the document a piece of feedback is about.
+ * 
+ * @param {Atom} atom - the atom to scroll to
+ * @function
+ */
+export const scrollToAtom = atom => {
+    atom.element.scrollIntoView( { behavior : 'smooth', block : 'center' } )
+    atom.editor.selection.select( atom.element )
+    atom.editor.focus()
+}
+
+/**
+ * Find all atoms and shells in the given editor whose validation result is
+ * invalid, indeterminate, or error, as placed into the document by
+ * {@link module:Atoms.Atom#setValidationResult setValidationResult()}, and
+ * return them in the order they appear in the document.
+ * 
+ * @param {tinymce.Editor} editor - the editor in which to search
+ * @returns {Object[]} an array of objects, each with the fields `atom` (the
+ *   {@link Atom} instance), `result`, and `reason`, as returned by
+ *   {@link module:Atoms.Atom#getValidationResult getValidationResult()}
+ * @function
+ */
+export const flaggedAtoms = editor => Atom.allIn( editor ).map( atom =>
+    ( { atom, ...atom.getValidationResult() } )
+).filter( item => item.result && item.result != 'valid' )
+
+// Internal use only
+// Move the cursor in the given editor to the next (if forward is true) or
+// previous (otherwise) flagged atom, relative to the current selection,
+// wrapping around the end (or beginning) of the document if necessary.
+const goToFlaggedAtom = ( editor, forward ) => {
+    const flagged = flaggedAtoms( editor )
+    if ( flagged.length == 0 )
+        return Dialog.notify( editor, 'info', 'No flagged items to visit', 2000 )
+    const here = editor.selection.getNode()
+    // Elements containing the cursor are neither before nor after it
+    const isAfter = element => ( here.compareDocumentPosition( element )
+        & ( Node.DOCUMENT_POSITION_FOLLOWING | Node.DOCUMENT_POSITION_CONTAINS ) )
+        == Node.DOCUMENT_POSITION_FOLLOWING
+    const isBefore = element => ( here.compareDocumentPosition( element )
+        & ( Node.DOCUMENT_POSITION_PRECEDING | Node.DOCUMENT_POSITION_CONTAINS ) )
+        == Node.DOCUMENT_POSITION_PRECEDING
+    const target = forward ?
+        ( flagged.find( item => isAfter( item.atom.element ) ) || flagged[0] ) :
+        ( flagged.findLast( item => isBefore( item.atom.element ) )
+       || flagged[flagged.length - 1] )
+    scrollToAtom( target.atom )
+}
+
+/**
+ * Install into the given editor the document feedback panel described at the
+ * top of this module, plus a menu item for showing and hiding it, and menu
+ * items for moving to the next or previous flagged atom.
+ * 
+ * @param {tinymce.Editor} editor - the editor in which to install the panel
+ * @function
+ */
+export const install = editor => {
+
+    // Feedback about the document as a whole, collected during validation
+    let documentResults = [ ]
+    editor.on( 'validationStarted', () => documentResults = [ ] )
+    editor.on( 'documentFeedback', event =>
+        documentResults.push( ...event.results ) )
+
+    // The element containing the panel's contents, once TinyMCE creates it
+    let panel = null
+
+    // Fill the panel with the current feedback, as described at the top of
+    // this module, if the panel exists.
+    const update = () => {
+        if ( !panel ) return
+        const counts = { }
+        resultTypes.forEach( type => counts[type] = 0 )
+        Atom.allIn( editor ).forEach( atom => {
+            const feedback = atom.getValidationResult()
+            if ( feedback )
+                counts[feedback.result] = ( counts[feedback.result] || 0 ) + 1
+        } )
+        const flagged = flaggedAtoms( editor )
+        panel.innerHTML = `
+            <div class="lurch-feedback-panel">
+            <h3>Feedback summary</h3>
+            <table>${resultTypes.map( type => `
+                <tr class="feedback-count-${type}">
+                    <td>${type}</td><td>${counts[type]}</td>
+                </tr>` ).join( '' )}
+            </table>
+            <h3>Whole document</h3>
+            ${documentResults.length == 0 ? '<p>No feedback</p>' : `<ul>
+                ${documentResults.map( item => `
+                <li class="feedback-entry-${item.result}">
+                    ${escapeHTML( item.reason || item.result )}
+                </li>` ).join( '' )}
+            </ul>`}
+            <h3>Flagged items</h3>
+            ${flagged.length == 0 ? '<p>None</p>' : `<ul>
+                ${flagged.map( ( item, index ) => `
+                <li class="feedback-entry-${item.result}" data-index="${index}">
+                    <b>${item.result}</b>:
+                    ${escapeHTML( item.reason || 'no reason given' )}
+                </li>` ).join( '' )}
+            </ul>`}
+            </div>
+        `
+        panel.querySelectorAll( 'li[data-index]' ).forEach( entry =>
+            entry.addEventListener( 'click', () => scrollToAtom(
+                flagged[parseInt( entry.dataset.index )].atom ) ) )
+    }
+    ;[ 'validationFinished', 'validationCleared' ].forEach( eventName =>
+        editor.on( eventName, () => setTimeout( update ) ) )
+
+    // Register the panel as a sidebar that TinyMCE can show or hide
+    editor.ui.registry.addSidebar( sidebarName, {
+        tooltip : 'Document feedback',
+        icon : 'checklist',
+        onSetup : api => {
+            panel = api.element()
+            return () => panel = null
+        },
+        onShow : update
+    } )
+
+    // Add menu item for showing or hiding the panel
+    editor.ui.registry.addMenuItem( 'feedbackpanel', {
+        text : 'Show/Hide feedback panel',
+        tooltip : 'Summarize the feedback for the whole document in a panel',
+        onAction : () => editor.execCommand( 'ToggleSidebar', false, sidebarName )
+    } )
+
+    // Add menu items for moving to the next or previous flagged atom
+    editor.ui.registry.addMenuItem( 'nextfeedback', {
+        text : 'Go to next flagged item',
+        tooltip : 'Move the cursor to the next invalid or indeterminate item',
+        shortcut : 'alt+shift+N',
+        onAction : () => goToFlaggedAtom( editor, true )
+    } )
+    editor.ui.registry.addMenuItem( 'previousfeedback', {
+        text : 'Go to previous flagged item',
+        tooltip : 'Move the cursor to the previous invalid or indeterminate item',
+        shortcut : 'alt+shift+P',
+        onAction : () => goToFlaggedAtom( editor, false )
+    } )
+}
+
+export default { install }
@@ -0,0 +1,109 @@
+/**
+ * This module installs into the editor a popover that appears when the user
+ * hovers their mouse over an atom (or the boundary of a shell) that has
+ * validation feedback.  Unlike the browser's built-in hover text, which can
+ * show only one short string, the popover lists every piece of feedback the
+ * atom received during validation (scoping, instantiation, inference, algebra,
+ * and internal errors), each with its type, result, and reason, ranked from
+ * most to least severe.  For internal errors, the user can expand the entry to
+ * see the raw error message, which is useful when reporting bugs.
+ * 
+ * The feedback shown comes from
+ * {@link module:Atoms.Atom#getAllValidationFeedback getAllValidationFeedback()},
+ * falling back on the single result from
+ * {@link module:Atoms.Atom#getValidationResult getValidationResult()} for
+ * atoms that do not have any detailed feedback stored in them.
+ * 
+ * @module FeedbackPopover
+ */
+
+import { Atom } from './atoms.js'
+import { Shell } from './shells.js'
+import { escapeHTML } from './utilities.js'
+
+// Internal use only
+// How long to wait after the mouse leaves an atom before hiding its popover,
+// so that the user has time to move the mouse into the popover itself
+const hideDelay = 300
+
+// Internal use only
+// Create the HTML content of a popover showing the given feedback items, each
+// of which is an object in the format produced by
+// Message.makeFeedbackPresentable().
+const popoverHTML = items => items.map( item => `
+    <div class="feedback-entry-${item.type == 'error' ? 'error' : item.result}">
+        ${item.type ? `<b>${escapeHTML( item.type )}</b>` : ''}
+        (${escapeHTML( item.result )}):
+        ${escapeHTML( item.reason || 'no reason given' )}
+        ${item.message ? `<details>
+            <summary>Details</summary>
+            <pre>${escapeHTML( item.message )}</pre>
+        </details>` : ''}
+    </div>
+` ).join( '' )
+
+/**
+ * Install into the given editor the feedback popover described at the top of
+ * this module.
+ * 
+ * @param {tinymce.Editor} editor - the editor in which to install the popover
+ * @function
+ */
+export const install = editor => {
+
+    // The popover lives in the outer page, not the editor's iframe, so that it
+    // never becomes part of the document
+    const popover = document.createElement( 'div' )
+    popover.classList.add( 'lurch-feedback-popover' )
+    popover.style.display = 'none'
+    document.body.appendChild( popover )
+
+    let hideTimer = null
+    const cancelHide = () => {
+        clearTimeout( hideTimer )
+        hideTimer = null
+    }
+    const hide = () => {
+        cancelHide()
+        popover.style.display = 'none'
+    }
+    const hideSoon = () => {
+        cancelHide()
+        hideTimer = setTimeout( hide, hideDelay )
+    }
+    popover.addEventListener( 'mouseenter', cancelHide )
+    popover.addEventListener( 'mouseleave', hideSoon )
+
+    // Show the popover for the given atom, just below it, if it has feedback
+    const show = atom => {
+        let items = atom.getAllValidationFeedback()
+        if ( items.length == 0 ) {
+            const shown = atom.getValidationResult()
+            if ( !shown ) return hide()
+            items = [ shown ]
+        }
+        cancelHide()
+        popover.innerHTML = popoverHTML( items )
+        const frame = editor.iframeElement.getBoundingClientRect()
+        const target = atom.element.getBoundingClientRect()
+        popover.style.left = `${frame.left + target.left + window.scrollX}px`
+        popover.style.top = `${frame.top + target.bottom + window.scrollY}px`
+        popover.style.display = 'block'
+    }
+
+    // When the mouse moves over an atom, show its feedback.  For shells, do so
+    // only when the mouse is over the shell itself (such as its border), not
+    // its contents, which may have their own feedback.
+    editor.on( 'mouseover', event => {
+        const atom = Atom.findAbove( event.target, editor )
+        if ( !atom ) return hideSoon()
+        if ( atom instanceof Shell && event.target != atom.element )
+            return hideSoon()
+        show( atom )
+    } )
+    editor.on( 'mouseout', hideSoon )
+    ;[ 'keydown', 'validationCleared' ].forEach( eventName =>
+        editor.on( eventName, hide ) )
+}
+
+export default { install }
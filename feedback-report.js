@@ -0,0 +1,132 @@
+/**
+ * This module installs into the editor a menu item for exporting a report of
+ * the validation feedback in the document, in both JSON and CSV formats.  The
+ * report lists every atom (including shells) in the document, together with
+ * the feedback it received the last time the document was validated.  The
+ * feedback comes from the data stored in each atom when the
+ * {@link module:Validation validation module} applied the {@link Message}
+ * objects sent by the worker; see
+ * {@link module:Atoms.Atom#getAllValidationFeedback getAllValidationFeedback()}.
+ * 
+ * @module FeedbackReport
+ */
+
+import { Atom } from './atoms.js'
+import { Dialog, LongTextInputItem, ButtonItem } from './dialog.js'
+
+// Internal use only
+// The columns of the CSV version of the report, in order
+const columns = [ 'type', 'lurch', 'latex', 'depth', 'result', 'reason', 'code' ]
+
+/**
+ * Create a report of the validation feedback currently in the given editor.
+ * The result is an array with one entry for each atom (including shells) in
+ * the document, in the order they appear, each of which is an object with the
+ * following fields.
+ * 
+ *  * `type` - the type of atom (e.g., "expression" or "theorem" etc.)
+ *  * `lurch` - the meaning of the atom in Lurch notation, if it has one
+ *  * `latex` - the LaTeX representation of the atom, if it has one
+ *  * `depth` - the nesting depth of the atom, an integer greater than 0, as
+ *    computed by {@link module:Atoms.Atom#nestingDepth nestingDepth()}
+ *  * `result` - the validation result shown on the atom (e.g., "valid" or
+ *    "invalid"), or undefined if it has none
+ *  * `reason` - the explanation given to the user for that result
+ *  * `code` - the feedback code for that result, as documented in
+ *    {@link Message.makeFeedbackPresentable makeFeedbackPresentable()}
+ *  * `feedback` - the array of all feedback the atom received, as returned by
+ *    {@link module:Atoms.Atom#getAllValidationFeedback
+ *    getAllValidationFeedback()}, of which the previous three fields are a
+ *    summary
+ * 
+ * @param {tinymce.Editor} editor - the editor whose document should be used
+ * @returns {Object[]} the report, as described above
+ * @function
+ */
+export const feedbackReport = editor => Atom.allIn( editor ).map( atom => {
+    const shown = atom.getValidationResult()
+    const feedback = atom.getAllValidationFeedback()
+    const main = feedback.find( item => item.result == shown?.result )
+    return {
+        type : atom.getMetadata( 'type' ),
+        lurch : atom.getMetadata( 'lurchNotation' ),
+        latex : atom.getMetadata( 'latex' ),
+        depth : atom.nestingDepth(),
+        result : shown?.result,
+        reason : main?.reason || shown?.reason,
+        code : main?.code,
+        feedback
+    }
+} )
+
+/**
+ * Convert a report created by
+ * {@link module:FeedbackReport.feedbackReport feedbackReport()} into CSV
+ * format, with a header row followed by one row per atom.  The columns are
+ * `type`, `lurch`, `latex`, `depth`, `result`, `reason`, and `code`; the
+ * `feedback` field of each entry is omitted, because it is not tabular.
+ * 
+ * @param {Object[]} report - the report to convert
+ * @returns {string} the report in CSV format
+ * @function
+ */
+export const reportToCSV = report => {
+    const quote = value => {
+        const text = value === undefined || value === null ? '' : `${value}`
+        return /[",\n\r]/.test( text ) ? `"${text.replace( /"/g, '""' )}"` : text
+    }
+    return [ columns, ...report.map( row => columns.map( key => row[key] ) ) ]
+        .map( row => row.map( quote ).join( ',' ) ).join( '\n' ) + '\n'
+}
+
+// Internal use only
+// Let the user download the given text as a file with the given name
+const download = ( text, filename, type ) => {
+    const link = document.createElement( 'a' )
+    link.setAttribute( 'download', filename )
+    link.href = URL.createObjectURL( new Blob( [ text ], { type } ) )
+    link.click()
+}
+
+/**
+ * Install into the given editor a menu item for exporting the feedback report
+ * described in {@link module:FeedbackReport.feedbackReport feedbackReport()}.
+ * It shows the report in a dialog, in JSON and CSV formats on separate tabs,
+ * with a button on each tab for downloading that version of the report.
+ * 
+ * @param {tinymce.Editor} editor - the editor in which to install the feature
+ *   described above
+ * @function
+ */
+export const install = editor => {
+    editor.ui.registry.addMenuItem( 'exportfeedback', {
+        icon : 'new-tab',
+        text : 'Export feedback report...',
+        tooltip : 'Export the validation feedback for each atom as JSON or CSV',
+        onAction : () => {
+            const report = feedbackReport( editor )
+            if ( !report.some( row => row.result ) )
+                return Dialog.notify( editor, 'warning',
+                    'There is no feedback in the document to report.  '
+                  + 'Check the document first.' )
+            const json = JSON.stringify( report, null, 4 )
+            const csv = reportToCSV( report )
+            const dialog = new Dialog( 'Export feedback report', editor )
+            dialog.json.size = 'medium'
+            dialog.setTabs( 'JSON', 'CSV' )
+            dialog.addItem( new LongTextInputItem( 'json', 'Report' ), 'JSON' )
+            dialog.addItem( new ButtonItem( 'Download JSON', () =>
+                download( json, 'feedback-report.json', 'application/json' )
+            ), 'JSON' )
+            dialog.addItem( new LongTextInputItem( 'csv', 'Report' ), 'CSV' )
+            dialog.addItem( new ButtonItem( 'Download CSV', () =>
+                download( csv, 'feedback-report.csv', 'text/csv' )
+            ), 'CSV' )
+            dialog.setInitialData( { json, csv } )
+            dialog.removeButton( 'Cancel' )
+            dialog.show()
+        }
+    } )
+}
+
+export default { install }
@@ -0,0 +1,203 @@
+/**
+ * This file grades a folder of student submissions in bulk, so that graders do
+ * not need to open each file in the app and validate it by hand.  If your
+ * students' files are in a folder with path `/foo/bar`, run this script as
+ * follows: `node grading-tools/grade.js /foo/bar path/to/output-folder`
+ * 
+ * Each subfolder of the given folder is treated as one student's submission,
+ * consisting of all the `.lurch` and `.html` files in it (and in its
+ * subfolders).  Each such file directly inside the given folder is treated as
+ * a submission by itself, named for the file.  Each file is loaded into an
+ * invisible copy of the Lurch app and validated, using
+ * {@link module:HeadlessLurch the same tools as the command-line interface}.
+ * Add `--jobs N` to validate N files at once.
+ * 
+ * If the folder contains a rubric (`rubric.json`, `rubric.yaml`, or
+ * `rubric.yml`), or one is named with `--rubric path/to/rubric.json`, each
+ * submission is also scored using that rubric, as documented in `rubric.js`
+ * in this folder.  If the rubric names its assignment, and that file is in the
+ * submissions folder, it is not graded as a submission.
+ * 
+ * The script writes two things into the output folder, which it creates if
+ * needed:
+ * 
+ *  1. A gradebook, `gradebook.csv`, with one row per student, with columns
+ *     for the number of valid, invalid, and indeterminate steps in that
+ *     student's files, the number of theorems they proved completely, the
+ *     status of each theorem, and a link to the rendered copy of each file.
+ *     A theorem (or lemma or corollary) counts as complete if it is followed
+ *     by a proof containing at least one step with a validation result, and
+ *     all of the proof's results are valid.  Its status is "complete",
+ *     "incomplete", or "no proof".  Theorems are numbered in the order they
+ *     appear in the student's files, so if every student answers the same
+ *     questions in the same order, each theorem column is one question.  If
+ *     there is a rubric, the gradebook also has a column for the student's
+ *     score on each problem, their total score, the points possible, and
+ *     notes explaining the scores.
+ *  2. A static website showing each file, rendered with its validation
+ *     markers, and listing its flagged steps, as created by the CLI's
+ *     `--report` switch; see {@link module:ReportSite the report site module}.
+ *     The gradebook links to its pages, which can be opened in a browser.
+ * 
+ * If a file cannot be loaded or validated, its student's row says so in the
+ * `errors` column, and the other files are graded as usual.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import {
+    LurchSessionPool, startAppServer, closeApp
+} from '../cli/headless-lurch.js'
+import { writeReportSite } from '../cli/report-site.js'
+import {
+    theoremStatuses, loadRubric, findRubric, scoreSubmission, headersDiffer,
+    findSubmissions
+} from './rubric.js'
+
+// Read the command-line arguments: two folders, and optionally --jobs N and
+// --rubric path
+const args = process.argv.slice( 2 )
+const takeOption = name => {
+    const index = args.indexOf( name )
+    return index == -1 ? undefined : args.splice( index, 2 )[1]
+}
+const jobs = Number( takeOption( '--jobs' ) ?? 1 )
+let rubricFile = takeOption( '--rubric' )
+if ( args.length != 2 || !Number.isInteger( jobs ) || jobs < 1 ) {
+    console.log( 'Usage: node grade.js [--jobs N] [--rubric file] '
+               + '<submissions-folder> <output-folder>' )
+    process.exit( 2 )
+}
+const [ submissionsFolder, outputFolder ] = args
+try {
+    if ( !fs.statSync( submissionsFolder ).isDirectory() ) {
+        console.log( `${submissionsFolder} is not a folder` )
+        process.exit( 2 )
+    }
+} catch ( e ) {
+    console.log( `${submissionsFolder} does not exist` )
+    process.exit( 2 )
+}
+
+// Load the rubric, if there is one
+rubricFile ??= findRubric( submissionsFolder )
+let rubric = null
+if ( rubricFile ) {
+    try {
+        rubric = loadRubric( rubricFile )
+    } catch ( e ) {
+        console.log( e.message )
+        process.exit( 2 )
+    }
+    console.log( `Scoring with rubric ${rubricFile}` )
+}
+
+// Find the submissions: one per subfolder, and one per file not in a subfolder.
+// Each is an object with the student's name and the files they submitted,
+// relative to the submissions folder.
+const submissions = findSubmissions( submissionsFolder, rubric?.assignment )
+if ( submissions.length == 0 ) {
+    console.log( `No .lurch or .html files found in ${submissionsFolder}` )
+    process.exit( 2 )
+}
+
+// Write a table of values as CSV, quoting any value that needs it
+const toCSV = rows => rows.map( row => row.map( value => {
+    const text = value === undefined || value === null ? '' : `${value}`
+    return /[",\n\r]/.test( text ) ? `"${text.replace( /"/g, '""' )}"` : text
+} ).join( ',' ) ).join( '\n' ) + '\n'
+
+;( async () => {
+
+    // Start the app, then validate all the files, using all the apps in the
+    // pool, and keeping each file's results and rendered HTML for later
+    // (If the rubric needs to compare each file's header to the assignment's,
+    // we load the assignment first, to get its header.)
+    await startAppServer()
+    const pool = await LurchSessionPool.open( jobs )
+    const checkHeaders = rubric?.zeroIfHeaderModified
+    let assignmentHeader = null
+    if ( checkHeaders ) {
+        await pool.sessions[0].openDocument( rubric.assignment )
+        assignmentHeader = await pool.sessions[0].headerContents()
+    }
+    const files = submissions.flatMap( submission => submission.files )
+    const graded = await pool.map( files, async ( session, file ) => {
+        try {
+            await session.openDocument( path.join( submissionsFolder, file ) )
+            const results = await session.validationResults()
+            const headerModified = checkHeaders
+                && headersDiffer( await session.headerContents(), assignmentHeader )
+            return { file, results, headerModified, html : await session.documentHTML() }
+        } catch ( error ) {
+            return { file, error }
+        }
+    }, ( { file, error } ) => console.log(
+        error ? `   FAILED: ${file} (${error.message})` : `   GRADED: ${file}` ) )
+
+    // Write the site showing all the files that could be validated
+    const rendered = graded.filter( file => !file.error )
+    writeReportSite( outputFolder, rendered, [ 'invalid', 'error' ] )
+
+    // Compute each student's row in the gradebook, then write the gradebook,
+    // with enough theorem columns for the student with the most theorems
+    const rows = submissions.map( submission => {
+        const mine = graded.filter( file => submission.files.includes( file.file ) )
+        const results = mine.flatMap( file => file.results || [ ] )
+        const count = kind => results.filter( result => result.result == kind ).length
+        const theorems = mine.flatMap( file => theoremStatuses( file.results || [ ] ) )
+        return {
+            student : submission.student,
+            valid : count( 'valid' ),
+            invalid : count( 'invalid' ),
+            indeterminate : count( 'indeterminate' ),
+            completed : theorems.filter( status => status == 'complete' ).length,
+            theorems,
+            scores : rubric && scoreSubmission( rubric,
+                mine.map( file => file.results || [ ] ),
+                mine.some( file => file.headerModified ) ),
+            links : mine.filter( file => !file.error ).map( file =>
+                `${file.file}.html`.split( path.sep ).join( '/' ) ).join( ' ' ),
+            errors : mine.filter( file => file.error ).map( file =>
+                `${file.file}: ${file.error.message}` ).join( '; ' )
+        }
+    } )
+    const numTheorems = Math.max( ...rows.map( row => row.theorems.length ) )
+    const theoremColumns = Array.from( { length : numTheorems },
+        ( _, index ) => `theorem ${index + 1}` )
+    const scoreColumns = !rubric ? [ ] : [
+        ...rubric.problems.map( item => `${item.name} (${item.points})` ),
+        'score', 'possible', 'score notes'
+    ]
+    const scoreCells = scores => !scores ? [ ] : [
+        ...scores.problems.map( item => item.score ),
+        scores.score, scores.possible,
+        scores.problems.map( item => `${item.name}: ${item.note}` ).join( '; ' )
+    ]
+    const gradebook = path.join( outputFolder, 'gradebook.csv' )
+    fs.writeFileSync( gradebook, toCSV( [
+        [ 'student', 'valid', 'invalid', 'indeterminate', 'theorems completed',
+          ...theoremColumns, ...scoreColumns, 'rendered files', 'errors' ],
+        ...rows.map( row => [
+            row.student, row.valid, row.invalid, row.indeterminate,
+            `${row.completed}/${row.theorems.length}`,
+            ...theoremColumns.map( ( _, index ) => row.theorems[index] ),
+            ...scoreCells( row.scores ), row.links, row.errors
+        ] )
+    ] ) )
+    if ( rubric )
+        rows.forEach( row => console.log(
+            `    SCORED: ${row.student} (${row.scores.score}/${row.scores.possible})` ) )
+    console.log( `
+-----
+Wrote ${gradebook} and ${path.join( outputFolder, 'index.html' )}.
+Links in the gradebook are relative to ${outputFolder}.
+-----
+` )
+    await closeApp()
+
+} )().catch( async error => {
+    console.log( `Error: ${error.message}` )
+    await closeApp()
+    process.exit( 3 )
+} )
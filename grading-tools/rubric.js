@@ -0,0 +1,334 @@
+/**
+ * This file defines rubrics, which turn the validation results of a student's
+ * submission into a score, and is used by the grading tools in this folder
+ * (`grade.js` and `show-folder.js`).  A rubric is a JSON or YAML file, usually
+ * stored next to the assignment it grades, such as the following.
+ * 
+ * ```yaml
+ * assignment: hw1.lurch
+ * zeroIfHeaderModified: true
+ * problems:
+ *   - id: subset-trans
+ *     points: 10
+ *     deductPerInvalidStep: 1
+ *   - theorem: 2
+ *     name: Second theorem
+ *     points: 5
+ *     withoutValidConclusion: 2
+ * ```
+ * 
+ * Its fields are as follows.
+ * 
+ *  * `problems` (required) - the list of problems, each of which is worth
+ *    some points, described below
+ *  * `assignment` - the path (relative to the rubric) of the document given
+ *    to the students, which is needed only for the next field
+ *  * `zeroIfHeaderModified` - if true, any submission whose header does not
+ *    contain the same mathematics as the header of the assignment (for
+ *    example, because the student changed its rules) gets a score of zero
+ * 
+ * Each problem names the part of the submission it grades in one of two ways.
+ * 
+ *  * `id` - the id of a shell in the submission, which is set by writing
+ *    the shell with an `id` attribute when creating the assignment in Markdown
+ *    or simplified HTML, as in `<theorem id="subset-trans">...</theorem>`
+ *    (see the documentation for the command-line interface)
+ *  * `theorem` - a number n, meaning the nth theorem (or lemma or corollary)
+ *    in the submission
+ * 
+ * If the part named is a theorem, lemma, or corollary, the problem grades the
+ * proof that follows it; otherwise, it grades that shell itself, which is
+ * handy for exercise shells such as a proof or subproof given an id.  The
+ * other fields of the problem say how to score what it grades.
+ * 
+ *  * `points` (required) - the number of points the problem is worth, which
+ *    the student earns in full if the final conclusion of the proof (the
+ *    last step directly inside it that has a validation result) is valid
+ *  * `withoutValidConclusion` - the points the student earns if that final
+ *    conclusion is not valid (default 0)
+ *  * `deductPerInvalidStep` - the points deducted for each invalid step
+ *    anywhere in the proof (default 0)
+ *  * `deductPerIndeterminateStep` - the same, for indeterminate steps, and
+ *    steps that caused errors (default 0)
+ *  * `name` - the name of the problem in gradebooks (defaults to its `id` or
+ *    to "theorem n")
+ * 
+ * The score for a problem is never less than zero nor more than its points.
+ * A problem whose theorem has no proof, or that names a part of the document
+ * that does not exist, scores zero.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import yaml from 'js-yaml'
+
+/**
+ * The types of atom that state a theorem, which is proven by the proof shell
+ * that follows it.
+ */
+export const theoremTypes = [ 'theorem', 'lemma', 'corollary' ]
+
+/**
+ * The atoms inside the one at the given index in the given list of validation
+ * results (as returned by `validationResults()` in `cli/headless-lurch.js`),
+ * which are those after it that are nested more deeply than it is.  (The
+ * results are listed in document order, each with its nesting depth.)
+ * 
+ * @param {Object[]} results - the validation results for one document
+ * @param {number} index - the index of an atom in that list
+ * @returns {Object[]} the results for the atoms inside that one, in order
+ */
+export const contentsOf = ( results, index ) => {
+    let end = index + 1
+    while ( end < results.length && results[end].depth > results[index].depth )
+        end++
+    return results.slice( index + 1, end )
+}
+
+/**
+ * Find the proof of the theorem at the given index in the given list of
+ * validation results (as returned by `validationResults()` in
+ * `cli/headless-lurch.js`).  This is the next atom at the same depth after
+ * the theorem's contents, if that atom is a proof.
+ * 
+ * @param {Object[]} results - the validation results for one document
+ * @param {number} index - the index of a theorem in that list
+ * @returns {number} the index of the theorem's proof in the list, or -1 if
+ *   the theorem is not followed by a proof
+ */
+export const proofOf = ( results, index ) => {
+    const proofIndex = index + 1 + contentsOf( results, index ).length
+    const proof = results[proofIndex]
+    return proof?.type == 'proof' && proof.depth == results[index].depth ?
+        proofIndex : -1
+}
+
+/**
+ * Find the status of each theorem in the given list of validation results,
+ * in order.  A theorem is "complete" if its proof contains at least one step
+ * with a validation result and all of the proof's results are valid,
+ * "incomplete" if it has a proof that is not complete, and "no proof" if it
+ * is not followed by a proof.
+ * 
+ * @param {Object[]} results - the validation results for one document
+ * @returns {string[]} the status of each theorem in the document
+ */
+export const theoremStatuses = results => results.map( ( result, index ) => {
+    if ( !theoremTypes.includes( result.type ) ) return null
+    const proofIndex = proofOf( results, index )
+    if ( proofIndex == -1 ) return 'no proof'
+    const validated = [ results[proofIndex], ...contentsOf( results, proofIndex ) ]
+        .filter( step => step.result )
+    return validated.length > 0 && validated.every( step => step.result == 'valid' ) ?
+        'complete' : 'incomplete'
+} ).filter( status => status )
+
+/**
+ * Read a rubric from a JSON or YAML file (chosen by its extension, `.json`,
+ * `.yaml`, or `.yml`), check that it is in the format documented at the top
+ * of this file, and fill in the defaults for any omitted fields.  The path to
+ * its assignment, if any, is made relative to the current folder instead of
+ * to the rubric, so that it can be opened directly.
+ * 
+ * @param {string} filename - the file containing the rubric
+ * @returns {Object} the rubric
+ * @throws an error explaining what is wrong with the rubric, if it cannot be
+ *   read or is not in the correct format
+ */
+export const loadRubric = filename => {
+    const text = fs.readFileSync( filename, 'utf8' )
+    const rubric = /\.ya?ml$/.test( filename ) ? yaml.load( text ) : JSON.parse( text )
+    const problem = message => new Error( `Invalid rubric ${filename}: ${message}` )
+    if ( typeof rubric != 'object' || !Array.isArray( rubric?.problems ) )
+        throw problem( 'it must have a list of problems' )
+    if ( rubric.zeroIfHeaderModified && typeof rubric.assignment != 'string' )
+        throw problem( 'zeroIfHeaderModified requires an assignment' )
+    if ( rubric.assignment )
+        rubric.assignment = path.join( path.dirname( filename ), rubric.assignment )
+    rubric.problems = rubric.problems.map( ( item, index ) => {
+        if ( typeof item?.id != 'string' && !Number.isInteger( item?.theorem ) )
+            throw problem( `problem ${index + 1} needs an id or a theorem number` )
+        const numbers = [ 'points', 'withoutValidConclusion',
+                          'deductPerInvalidStep', 'deductPerIndeterminateStep' ]
+        numbers.forEach( key => {
+            if ( item.hasOwnProperty( key ) && typeof item[key] != 'number' )
+                throw problem( `${key} in problem ${index + 1} must be a number` )
+        } )
+        if ( !item.hasOwnProperty( 'points' ) )
+            throw problem( `problem ${index + 1} needs a number of points` )
+        return {
+            name : item.id || `theorem ${item.theorem}`,
+            withoutValidConclusion : 0,
+            deductPerInvalidStep : 0,
+            deductPerIndeterminateStep : 0,
+            ...item
+        }
+    } )
+    return rubric
+}
+
+/**
+ * The total number of points a submission can earn under the given rubric.
+ * 
+ * @param {Object} rubric - a rubric, as returned by `loadRubric()`
+ * @returns {number} the sum of the points of its problems
+ */
+export const pointsPossible = rubric =>
+    rubric.problems.reduce( ( total, item ) => total + item.points, 0 )
+
+/**
+ * Find the part of a submission that the given problem grades: the atom whose
+ * id is the problem's `id`, if it has one, and otherwise the nth theorem (or
+ * lemma or corollary) in the submission, where n is the problem's `theorem`.
+ * Theorems are counted across all of the submission's files, in order.
+ * 
+ * @param {Object} item - a problem from a rubric, as returned by `loadRubric()`
+ * @param {Object[][]} files - the validation results for each file in the
+ *   submission, in order
+ * @returns {Object|undefined} an object whose `results` field is the results
+ *   for the file containing the part, and whose `index` field is the part's
+ *   index in those results, or undefined if the submission has no such part
+ */
+export const findProblem = ( item, files ) => {
+    let theoremsSeen = 0
+    for ( const results of files ) {
+        for ( let index = 0 ; index < results.length ; index++ ) {
+            const result = results[index]
+            if ( theoremTypes.includes( result.type ) ) theoremsSeen++
+            if ( item.id ? result.id == item.id : theoremsSeen == item.theorem
+                                               && theoremTypes.includes( result.type ) )
+                return { results, index }
+        }
+    }
+}
+
+/**
+ * Score one problem from a rubric, following the rules documented at the top
+ * of this file.
+ * 
+ * @param {Object} item - a problem from a rubric, as returned by `loadRubric()`
+ * @param {Object[][]} files - the validation results for each file in the
+ *   submission, in order
+ * @returns {Object} an object with the fields `score` (the points earned) and
+ *   `note` (a short explanation of the score)
+ */
+export const scoreProblem = ( item, files ) => {
+    const found = findProblem( item, files )
+    if ( !found ) return { score : 0, note : 'not found' }
+    let { results, index } = found
+    if ( theoremTypes.includes( results[index].type ) ) {
+        index = proofOf( results, index )
+        if ( index == -1 ) return { score : 0, note : 'no proof' }
+    }
+    const contents = contentsOf( results, index )
+    const steps = [ results[index], ...contents ].filter( step => step.result )
+    const conclusion = contents.filter( step => step.result
+        && step.depth == results[index].depth + 1 ).pop()
+    const invalid = steps.filter( step => step.result == 'invalid' ).length
+    const indeterminate = steps.filter( step =>
+        step.result == 'indeterminate' || step.result == 'error' ).length
+    const earned = ( conclusion?.result == 'valid' ? item.points : item.withoutValidConclusion )
+                 - invalid * item.deductPerInvalidStep
+                 - indeterminate * item.deductPerIndeterminateStep
+    const notes = [
+        conclusion?.result == 'valid' ? 'conclusion valid' : 'conclusion not valid',
+        invalid ? `${invalid} invalid` : '',
+        indeterminate ? `${indeterminate} indeterminate` : ''
+    ]
+    return {
+        score : Math.min( item.points, Math.max( 0, earned ) ),
+        note : notes.filter( note => note ).join( ', ' )
+    }
+}
+
+/**
+ * Score a submission using the given rubric.
+ * 
+ * @param {Object} rubric - a rubric, as returned by `loadRubric()`
+ * @param {Object[][]} files - the validation results for each file in the
+ *   submission, in order, as returned by `validationResults()` in
+ *   `cli/headless-lurch.js`
+ * @param {boolean} [headerModified=false] - whether the submission's header
+ *   differs from that of the assignment, which the caller must check if the
+ *   rubric's `zeroIfHeaderModified` field is true
+ * @returns {Object} an object with the fields `score` (the total score),
+ *   `possible` (the total points possible), and `problems` (an array with an
+ *   entry for each problem in the rubric, in order, each with the fields
+ *   `name`, `score`, `points`, and `note`, which explains the score)
+ */
+export const scoreSubmission = ( rubric, files, headerModified = false ) => {
+    const zero = headerModified && rubric.zeroIfHeaderModified
+    const problems = rubric.problems.map( item => {
+        const { score, note } = zero ? { score : 0, note : 'header modified' } :
+                                       scoreProblem( item, files )
+        return { name : item.name, score, points : item.points, note }
+    } )
+    return {
+        score : problems.reduce( ( total, item ) => total + item.score, 0 ),
+        possible : pointsPossible( rubric ),
+        problems
+    }
+}
+
+/**
+ * Whether two header summaries (as returned by `headerContents()` in
+ * `cli/headless-lurch.js`) differ, meaning that the headers they summarize
+ * do not contain the same mathematics.
+ * 
+ * @param {Object[]} header - the summary of one document's header
+ * @param {Object[]} original - the summary of another document's header
+ * @returns {boolean} true if they differ, false if they are the same
+ */
+export const headersDiffer = ( header, original ) =>
+    JSON.stringify( header ) != JSON.stringify( original )
+
+/**
+ * Find the rubric for a folder of submissions, if there is one: a file named
+ * `rubric.json`, `rubric.yaml`, or `rubric.yml` in that folder.
+ * 
+ * @param {string} folder - the folder containing the submissions
+ * @returns {string|undefined} the path to the rubric, or undefined if there
+ *   is none
+ */
+export const findRubric = folder => [ 'rubric.json', 'rubric.yaml', 'rubric.yml' ]
+    .map( name => path.join( folder, name ) ).find( file => fs.existsSync( file ) )
+
+// Whether a file might be a Lurch document, judging by its name
+const isLurchFile = name => name.endsWith( '.lurch' ) || name.endsWith( '.html' )
+
+/**
+ * Find the submissions in a folder of student work.  Each subfolder is one
+ * student's submission, consisting of all the `.lurch` and `.html` files in it
+ * (and in its subfolders), and each such file directly inside the folder is a
+ * submission by itself, named for the file.  The assignment, if it is in the
+ * folder, is not part of any submission, and submissions with no files are
+ * omitted.
+ * 
+ * @param {string} folder - the folder containing the submissions
+ * @param {string} [assignment] - the path to the assignment given to the
+ *   students (such as the `assignment` field of a rubric), if any
+ * @returns {Object[]} the submissions, sorted by name, each an object with the
+ *   fields `student` (the name of the subfolder or file, without its
+ *   extension) and `files` (the paths to the files in the submission, relative
+ *   to the given folder, sorted)
+ */
+export const findSubmissions = ( folder, assignment ) => {
+    const isAssignment = file => assignment
+        && path.resolve( folder, file ) == path.resolve( assignment )
+    return fs.readdirSync( folder ).sort().map( name => {
+        const fullPath = path.join( folder, name )
+        if ( fs.statSync( fullPath ).isDirectory() )
+            return {
+                student : name,
+                files : fs.readdirSync( fullPath, { recursive : true } )
+                    .filter( inner => isLurchFile( inner )
+                                   && fs.statSync( path.join( fullPath, inner ) ).isFile() )
+                    .sort().map( inner => path.join( name, inner ) )
+            }
+        if ( isLurchFile( name ) )
+            return { student : name.replace( /\.(lurch|html)$/, '' ), files : [ name ] }
+    } ).map( submission => submission && {
+        ...submission,
+        files : submission.files.filter( file => !isAssignment( file ) )
+    } ).filter( submission => submission?.files.length > 0 )
+}
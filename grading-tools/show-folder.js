@@ -8,6 +8,17 @@
  * all files and folders under the given path that end with *.lurch/*.html, and
  * thus might be Lurch files.  You can click any one of them to open the file in
  * the copy of the app that is in this repository, for viewing and/or grading.
+ * 
+ * To see each file's score next to its name, add `--rubric path/to/rubric.json`
+ * (or a YAML rubric), in the format documented in `rubric.js` in this folder.
+ * The script then validates each file in an invisible copy of the app, as
+ * `grade.js` does, and scores each submission with the rubric.  Submissions
+ * are found in each given folder as `grade.js` finds them: each subfolder is
+ * one student's submission, and each file directly inside the folder is a
+ * submission by itself.  Every file in a submission shows that submission's
+ * score, and the assignment named in the rubric is not scored.  Scores appear
+ * as submissions are graded; reload the page to see more.  Hover over a score
+ * to see how it was computed.
  */
 
 // This code was modified from the answer to a StackOverflow question.
@@ -18,6 +29,12 @@ import http from 'http'
 import url from 'url'
 import fs from 'fs'
 import path from 'path'
+import {
+    LurchSessionPool, startAppServer
+} from '../cli/headless-lurch.js'
+import {
+    loadRubric, scoreSubmission, headersDiffer, findSubmissions
+} from './rubric.js'
 const port = 8888
 
 // Load stylesheet so we don't have to serve it dynamically, which would require
@@ -26,12 +43,24 @@ const CSS = fs.readFileSync( path.join(
     path.dirname( url.fileURLToPath( import.meta.url ) ),
     'file-list-styles.css' ) )
 
-// Ensure the user passed one or more folders to us to display as student work:
+// Ensure the user passed one or more folders to us to display as student work,
+// and possibly a rubric to score them with:
 const folders = process.argv.slice( 2 )
-if ( folders.length == 0 ) {
-    console.log( 'Usage: node show-folder.js <folder> [<folder> ...]' )
+const rubricIndex = folders.indexOf( '--rubric' )
+const rubricFile = rubricIndex == -1 ? null : folders.splice( rubricIndex, 2 )[1]
+if ( folders.length == 0 || rubricFile === undefined ) {
+    console.log( 'Usage: node show-folder.js [--rubric <file>] <folder> [<folder> ...]' )
     process.exit()
 }
+let rubric = null
+if ( rubricFile ) {
+    try {
+        rubric = loadRubric( rubricFile )
+    } catch ( e ) {
+        console.log( e.message )
+        process.exit()
+    }
+}
 folders.forEach( folder => {
     try {
         if ( !fs.statSync( folder ).isDirectory() ) {
@@ -44,6 +73,59 @@ folders.forEach( folder => {
     }
 } )
 
+// If there is a rubric, we score each submission with it, in the background,
+// once the server has started.  This map holds the results, keyed by the full
+// path of each file in each submission; each is either the object returned by
+// scoreSubmission() or an error.
+const scores = new Map()
+const submissions = !rubric ? [ ] : folders.flatMap( folder =>
+    findSubmissions( folder, rubric.assignment ).map( submission => ( {
+        ...submission,
+        files : submission.files.map( file => path.resolve( folder, file ) )
+    } ) ) )
+const submitted = new Set( submissions.flatMap( submission => submission.files ) )
+const escapeAttribute = text => `${text}`.replace( /&/g, '&amp;' )
+    .replace( /"/g, '&quot;' ).replace( /</g, '&lt;' )
+const scoreToHTML = fullPath => {
+    if ( !rubric || !submitted.has( fullPath ) ) return ''
+    const scored = scores.get( fullPath )
+    if ( !scored )
+        return `<span class="score pending">scoring...</span>`
+    if ( scored instanceof Error )
+        return `<span class="score failed" title="${escapeAttribute( scored.message )}">could not score</span>`
+    const notes = scored.problems.map( item =>
+        `${item.name}: ${item.score}/${item.points} (${item.note})` ).join( '\n' )
+    return `<span class="score" title="${escapeAttribute( notes )}">${scored.score}/${scored.possible}</span>`
+}
+const scoreAllFiles = async () => {
+    await startAppServer()
+    const pool = await LurchSessionPool.open( 1 )
+    const session = pool.sessions[0]
+    let assignmentHeader = null
+    if ( rubric.zeroIfHeaderModified ) {
+        await session.openDocument( rubric.assignment )
+        assignmentHeader = await session.headerContents()
+    }
+    for ( const submission of submissions ) {
+        try {
+            const files = [ ]
+            let headerModified = false
+            for ( const file of submission.files ) {
+                await session.openDocument( file )
+                files.push( await session.validationResults() )
+                headerModified ||= rubric.zeroIfHeaderModified
+                    && headersDiffer( await session.headerContents(), assignmentHeader )
+            }
+            const scored = scoreSubmission( rubric, files, headerModified )
+            submission.files.forEach( file => scores.set( file, scored ) )
+            console.log( `    SCORED: ${submission.student} (${scored.score}/${scored.possible})` )
+        } catch ( error ) {
+            submission.files.forEach( file => scores.set( file, error ) )
+            console.log( `    FAILED: ${submission.student} (${error.message})` )
+        }
+    }
+}
+
 // Utility functions to generate the nested lists of folders and files:
 const fileToHTML = ( name, fullPath ) => {
     // We encode the URI component TWICE here, for good reason:
@@ -61,6 +143,7 @@ const fileToHTML = ( name, fullPath ) => {
         encodeURIComponent( encodeURIComponent( path.resolve( fullPath ) ) ) )
     return `<div class="file">
         <a href="/index.html?load=${encodedPath}" target="_blank">${name}</a>
+        ${scoreToHTML( path.resolve( fullPath ) )}
     </div>`
 }
 const folderToHTML = ( name, fullPath ) => {
@@ -183,3 +266,6 @@ console.log( `
 Visit http://localhost:${port} to view files for grading.
 -----
 ` )
+if ( rubric )
+    scoreAllFiles().catch( error =>
+        console.log( `Cannot score files: ${error.message}` ) )
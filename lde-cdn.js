@@ -1,16 +1,94 @@
-
 /**
  * This file imports all needed classes from the main branch of the LDE repo.
  * We do it in this file so that anywhere else in the app, it can just load this
  * file and know it's getting the right classes.  Then if we need to change the
  * URL, we can do it here in one place, rather than in many places throughout
  * the codebase.
+ * 
+ * The LDE can come from either of two sources:
+ * 
+ *  - `"cdn"` (the default) loads it from jsDelivr, which requires an internet
+ *    connection.
+ *  - `"local"` loads it from a copy vendored into the `vendor/lde/` folder of
+ *    this repository, which must first be downloaded by running
+ *    `node cli/vendor-lde.js`, as documented in that script.  This allows the
+ *    app (including its CLI) to validate documents without reaching jsDelivr.
+ *    (Other libraries the app uses, such as TinyMCE, still come from their
+ *    own CDNs.)  The `vendor/` folder is not committed to the repository, so
+ *    if that script has not been run, loading this file fails with an error
+ *    saying so.
+ * 
+ * The source is chosen by the `lde` query parameter in the URL of the current
+ * page (or of the current Web Worker, when this file is loaded into one), as
+ * in `index.html?lde=local`.  This is the only way to choose the source,
+ * because this file is loaded as soon as the app's code is, before
+ * {@link Lurch.createApp createApp()} is called, so options passed to that
+ * function come too late.  The validation worker loads the LDE from the same
+ * source as the page that starts it.
+ */
+
+/**
+ * The git refs (branch name or commit hash) of the two parts of the LDE that
+ * we import, the main module and the global validation module.  The script
+ * `cli/vendor-lde.js` downloads these same refs when creating a local copy.
+ */
+export const LDERefs = {
+    main : 'master',
+    validation : 'a584652687e37356dad01cd7eeea84cecad56b52'
+}
+
+/**
+ * The source from which the LDE was loaded, either `"cdn"` or `"local"`, as
+ * documented at the top of this file.
  */
+export const LDESource =
+    new URLSearchParams( self.location?.search ).get( 'lde' ) == 'local' ?
+        'local' : 'cdn'
 
-export {
+// Internal use only
+// Compute the URL of a file in the LDE repository, at the given ref, from the
+// source chosen above
+const LDEURL = ( ref, path ) => LDESource == 'local' ?
+    new URL( `vendor/lde/${ref}/${path}`, import.meta.url ).href :
+    `https://cdn.jsdelivr.net/gh/lurchmath/lde@${ref}/${path}`
+
+// Internal use only
+// Import the given file from the LDE, as above, but if it is missing from the
+// local copy, throw an error that says how to create that copy, rather than
+// just the browser's message about a failed import
+const importLDE = async ( ref, path ) => {
+    try {
+        return await import( LDEURL( ref, path ) )
+    } catch ( error ) {
+        if ( LDESource != 'local' ) throw error
+        throw new Error( `Could not load ${path} from the local copy of the `
+          + `LDE in vendor/lde/${ref}/.  Create that copy by running `
+          + `node cli/vendor-lde.js while online.  (${error.message})` )
+    }
+}
+
+const mainLDE = await importLDE( LDERefs.main, 'src/index.js' )
+export const {
     LogicConcept, MathConcept,
     Environment, Declaration, Expression, LurchSymbol
-} from 'https://cdn.jsdelivr.net/gh/lurchmath/lde@master/src/index.js'
+} = mainLDE
+
+const branchLDE = await importLDE(
+    LDERefs.validation, 'src/experimental/global-validation.js' )
+export const LDE = branchLDE.default
 
-import branchLDE from 'https://cdn.jsdelivr.net/gh/lurchmath/lde@a584652687e37356dad01cd7eeea84cecad56b52/src/experimental/global-validation.js'
-export const LDE = branchLDE
+// Internal use only
+// Whether a git ref is a full commit hash, which always names the same code,
+// rather than a branch name, which can come to name different code later
+const isCommitHash = ref => /^[0-9a-f]{40}$/.test( ref )
+
+/**
+ * The version of the LDE imported above, for use by any code that needs to
+ * know when results computed by the LDE may have become out of date, such as
+ * the validation cache.  It is undefined if any of the {@link LDERefs} is a
+ * branch name, because then the code loaded can change without this value
+ * changing, so no value would identify it; pin every ref to a commit hash to
+ * make it available.
+ */
+export const LDEVersion = Object.values( LDERefs ).every( isCommitHash ) ?
+    `${LDERefs.main}+${LDERefs.validation}` : undefined
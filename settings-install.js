@@ -11,7 +11,7 @@ import { Settings } from './settings.js'
 import {
     SettingsMetadata, SettingsCategoryMetadata, ShowWarningSettingMetadata,
     CategorySettingMetadata, LongTextSettingMetadata, BoolSettingMetadata,
-    NoteMetadata
+    TextSettingMetadata, NoteMetadata
 } from './settings-metadata.js'
 
 /**
@@ -145,6 +145,13 @@ export const appSettings = new Settings(
                 [ 'Hierarchy', 'Code' ],
                 'Hierarchy'
             ),
+            new TextSettingMetadata(
+                'validation timeout',
+                'Seconds to wait before cancelling validation (0 for no limit)',
+                120,
+                text => /^\s*\d+(\.\d*)?\s*$/.test( text ) ? [ ] :
+                    [ 'The validation timeout must be a nonnegative number' ]
+            ),
             new LongTextSettingMetadata(
                 'declaration type templates',
                 'Phrases for variable and constant declarations',
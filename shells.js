@@ -33,7 +33,7 @@
  */
 
 import { getHeader } from './header-editor.js'
-import { onlyBefore, isOnScreen } from './utilities.js'
+import { onlyBefore, isOnScreen, escapeHTML } from './utilities.js'
 import { Atom, className as atomClassName } from './atoms.js'
 import { addAutocompleteFunction } from './auto-completer.js'
 import { Dialog, SelectBoxItem } from './dialog.js'
@@ -258,6 +258,16 @@ export class Shell extends Atom {
             // // recursive, like the documentLC() function in
             // // validation-messages.js to make the above action meaningful.
         }
+        // allow validating just this environment, from anywhere inside it
+        if ( this.constructor != Preview ) {
+            const name = this.constructor == Shell ? 'environment' :
+                this.constructor.subclassName
+            result.unshift( {
+                text : `Show feedback for this ${name} only`,
+                onAction : () => this.editor.execCommand(
+                    'validateOnly', false, [ this.element ] )
+            } )
+        }
         return result
     }
 
@@ -272,10 +282,28 @@ export class Shell extends Atom {
     setValidationResult ( result, reason ) {
         if ( !result ) {
             delete this.element.dataset['validation_result']
-            this.setHoverText( null )
+            this.clearValidationFeedback()
         } else {
             this.element.dataset['validation_result'] = result
-            this.setHoverText( reason )
+            this.storeValidationReason( reason )
+        }
+    }
+
+    /**
+     * Override the default implementation, which reads a child element, to
+     * instead read the validation result from the attribute of the element in
+     * which {@link module:Shells.Shell#setValidationResult
+     * setValidationResult()} stores it.
+     *
+     * @see {@link module:Atoms.Atom#getValidationResult
+     * getValidationResult() for Atoms}
+     */
+    getValidationResult () {
+        const result = this.element.dataset['validation_result']
+        if ( !result ) return
+        return {
+            result,
+            reason : this.getValidationReason()
         }
     }
 
@@ -366,6 +394,55 @@ export class Shell extends Atom {
         ].filter( isOnScreen ).filter( predicate )
     }
 
+    /**
+     * This is the reverse of {@link module:Shells.Shell.accessibles
+     * accessibles()}.  Rather than asking which earlier nodes are accessible to
+     * the given `target`, it asks which later nodes the `target` is accessible
+     * to.  Those are precisely the nodes whose meaning could be impacted by a
+     * change to the `target`, and thus whose validation results could change
+     * when the `target` changes.
+     *
+     * Nodes inside the `target` (if it is a shell) are not included; the
+     * caller can find those with a simple `querySelectorAll()` if needed.
+     * Nodes in the document header are never included, because they precede
+     * all document content.  All nodes are returned in the order that they
+     * appear in the document.
+     *
+     * @param {tinymce.Editor} editor - the editor in which to search
+     * @param {Node} target - the node whose dependents should be found
+     * @param {string?} className - the class name of the nodes to include
+     *   (which defaults to the class name used to mark atoms)
+     * @returns {Node[]} the ordered array of nodes to which `target` is
+     *   accessible
+     * @see {@link module:Shells.Shell.accessibles accessibles()}
+     */
+    static dependents ( editor, target, className = atomClassName ) {
+        return Array.from(
+            editor.dom.doc.querySelectorAll( `.${className}` )
+        ).filter( isOnScreen ).filter( node =>
+            !target.contains( node )
+         && ( target.compareDocumentPosition( node )
+            & Node.DOCUMENT_POSITION_FOLLOWING )
+         && Shell.isAccessibleTo( target, node, editor ) )
+    }
+
+    /**
+     * The attributes that should appear on the tag representing this shell in
+     * simplified HTML, as computed by {@link Shell#toEmbed toEmbed()}.  These
+     * are the shell's expected validation result (as the `expect` attribute)
+     * and its `id`, each only if the shell has that metadata.  The result is
+     * ready to place directly after the tag name, with a space before each
+     * attribute, or is empty if there are no attributes.
+     * 
+     * @returns {string} the attributes, as they would appear in HTML
+     */
+    embedAttributes () {
+        return [ 'expect', 'id' ].map( key => {
+            const value = this.getMetadata( key )
+            return value ? ` ${key}="${escapeHTML( value )}"` : ''
+        } ).join( '' )
+    }
+
     /**
      * When embedding a copy of the Lurch app in a larger page, users will want
      * to write simple HTML describing a Lurch document, then have a script
@@ -373,15 +450,20 @@ export class Shell extends Atom {
      * for representing shells using `<classname>...</classname>` elements,
      * where the tag name comes from the name of the Shell subclass.  The
      * content of the tag will be the simplified HTML representation of the
-     * contents of the shell.
+     * contents of the shell.  If the shell has an expected validation result
+     * (see {@link module:Atoms.Atom.unsimplifyDOM unsimplifyDOM()}), it is
+     * included as the tag's `expect` attribute, and similarly for its `id`;
+     * see {@link Shell#embedAttributes embedAttributes()}.
      * 
-     * @returns {string} the representation of the atom as a `lurch` element
+     * @returns {string} the representation of the shell as an element whose
+     *   tag is the shell's subclass name
      */
     toEmbed () {
-        return `<${this.subclassName}>`
+        const tagName = this.constructor.subclassName
+        return `<${tagName}${this.embedAttributes()}>`
             + Array.from( this.element.childNodes ).map(
-                child => Atom.simplifiedHTML( child ) ).join( '' )
-            + `</${this.subclassName}>`
+                child => Atom.simplifiedHTML( child, this.editor ) ).join( '' )
+            + `</${tagName}>`
     }
 
     /**
@@ -654,21 +736,6 @@ export class Proof extends Shell {
     static latexEnvironment = 'proof'
     finalize ( shellLC ) {
         shellLC.makeIntoA( 'Proof' )
-        if ( this.element.validateThisOnly )
-            shellLC.setAttribute( 'target', true )
-    }
-    contextMenu ( forThis ) {
-        const result = super.contextMenu( forThis )
-        result.unshift( {
-            text : 'Show feedback for this proof only',
-            onAction : () => {
-                this.element.validateThisOnly = true
-                this.editor.ui.registry.getAll().menuItems.clearvalidation.onAction()
-                this.editor.ui.registry.getAll().menuItems.validate.onAction()
-                delete this.element.validateThisOnly
-            }
-        } )
-        return result
     }
 }
 
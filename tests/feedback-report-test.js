@@ -0,0 +1,91 @@
+// What this module DOES test:
+//  - that we can import the necessary functions for testing
+//  - converting feedback reports to CSV, including quoting of fields
+//  - computing the nesting depth of atoms, which reports include
+// What this module DOES NOT test:
+//  - creating reports from the feedback in a live editor
+//  - the menu item and dialog for exporting reports
+
+import { reportToCSV } from '../feedback-report.js'
+import { Atom, className } from '../atoms.js'
+
+describe( 'Feedback reports', () => {
+
+    it( 'Should import correct identifiers', () => {
+        expect( reportToCSV ).to.be.ok
+        expect( Atom ).to.be.ok
+    } )
+
+    it( 'Should write a header row even for empty reports', () => {
+        expect( reportToCSV( [ ] ) ).to.equal(
+            'type,lurch,latex,depth,result,reason,code\n' )
+    } )
+
+    it( 'Should write one row per atom, in column order', () => {
+        const csv = reportToCSV( [
+            { type : 'expression', lurch : 'P', latex : 'P', depth : 1,
+              result : 'valid', reason : 'Good', code : 'valid',
+              feedback : [ { result : 'valid' } ] },
+            { type : 'theorem', depth : 2 }
+        ] )
+        expect( csv.split( '\n' ) ).to.eql( [
+            'type,lurch,latex,depth,result,reason,code',
+            'expression,P,P,1,valid,Good,valid',
+            'theorem,,,2,,,',
+            ''
+        ] )
+    } )
+
+    it( 'Should leave missing values empty', () => {
+        const row = reportToCSV( [
+            { type : 'expression', lurch : null, latex : undefined, depth : 0 }
+        ] ).split( '\n' )[1]
+        expect( row ).to.equal( 'expression,,,0,,,' )
+    } )
+
+    it( 'Should quote fields containing commas, quotes, or newlines', () => {
+        const csv = reportToCSV( [ {
+            type : 'expression',
+            lurch : 'f(x,y)',
+            latex : '\\text{"a"}',
+            depth : 1,
+            result : 'invalid',
+            reason : 'first line\nsecond line',
+            code : 'carriage\rreturn'
+        } ] )
+        expect( csv.split( '\n' ).slice( 1 ).join( '\n' ) ).to.equal(
+            'expression,"f(x,y)","\\text{""a""}",1,invalid,'
+          + '"first line\nsecond line","carriage\rreturn"\n' )
+    } )
+
+    it( 'Should not quote fields that do not need it', () => {
+        const row = reportToCSV( [ {
+            type : 'expression', lurch : '(x y)', latex : 'x \\cdot y',
+            depth : 3, result : 'valid', reason : 'It\'s fine; really',
+            code : 'valid'
+        } ] ).split( '\n' )[1]
+        expect( row ).to.equal(
+            'expression,(x y),x \\cdot y,3,valid,It\'s fine; really,valid' )
+    } )
+
+    it( 'Should compute the nesting depth of atoms', () => {
+        const atomElement = tagName => {
+            const element = document.createElement( tagName )
+            element.classList.add( className )
+            return element
+        }
+        const outer = atomElement( 'div' )
+        const middle = atomElement( 'div' )
+        const inner = atomElement( 'span' )
+        const wrapper = document.createElement( 'p' )
+        outer.appendChild( wrapper )
+        wrapper.appendChild( middle )
+        middle.appendChild( inner )
+        const container = document.createElement( 'div' )
+        container.appendChild( outer )
+        expect( new Atom( outer ).nestingDepth() ).to.equal( 1 )
+        expect( new Atom( middle ).nestingDepth() ).to.equal( 2 )
+        expect( new Atom( inner ).nestingDepth() ).to.equal( 3 )
+    } )
+
+} )
@@ -0,0 +1,172 @@
+// What this module DOES test:
+//  - reading switches and their values from command-line arguments
+//  - computing the CLI's settings from them, and rejecting inconsistent ones
+//  - checking that the files and folders named exist and are of the right kind
+// What this module DOES NOT test:
+//  - running the CLI itself
+
+import { expect } from 'chai'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import {
+    exitCodes, CLIError, failingResults, usage, parseArguments, checkPaths
+} from '../../cli/arguments.js'
+
+// Parse the arguments in the given string, with no environment variables
+const parse = ( text, env = { } ) => parseArguments( text.split( ' ' ), env )
+
+// Expect parsing the given arguments to throw a CLIError with the given
+// message (or the usage summary, if there is none) and exit code
+const expectError = ( text, message, exitCode = exitCodes.usage ) => {
+    let error = null
+    try {
+        parse( text )
+    } catch ( caught ) {
+        error = caught
+    }
+    expect( error ).to.be.instanceof( CLIError )
+    expect( error.exitCode ).to.equal( exitCode )
+    if ( message ) {
+        expect( error.message ).to.equal( message )
+        expect( error.showUsage ).to.equal( false )
+    } else {
+        expect( error.showUsage ).to.equal( true )
+    }
+}
+
+describe( 'Command-line arguments', () => {
+
+    it( 'Should use the default settings when there are no switches', () => {
+        expect( parse( 'doc.md' ) ).to.eql( {
+            paths : [ 'doc.md' ], commands : [ ], options : { },
+            mode : 'text', resultsMode : true, latexWrapper : false,
+            watch : false, failOn : [ 'invalid', 'error' ], jobs : 1,
+            port : undefined, table : true, validates : true,
+            recursive : false, ldeSource : 'local'
+        } )
+    } )
+
+    it( 'Should read switches and values in either form', () => {
+        const settings = parse( '--no-table in --jobs 4 --reporter=tap --recursive out '
+                              + '--include *.md --include=proofs/** --lde-cdn' )
+        expect( settings.paths ).to.eql( [ 'in', 'out' ] )
+        expect( settings.commands ).to.eql(
+            [ 'no-table', 'jobs', 'reporter', 'recursive', 'include', 'include',
+              'lde-cdn' ] )
+        expect( settings.options ).to.eql( {
+            jobs : '4', reporter : 'tap', include : [ '*.md', 'proofs/**' ]
+        } )
+        expect( settings.jobs ).to.equal( 4 )
+        expect( settings.recursive ).to.equal( true )
+        expect( settings.ldeSource ).to.equal( 'cdn' )
+    } )
+
+    it( 'Should compute modes and what they do', () => {
+        expect( parse( '--latex --latex-wrapper --no-table doc.md' ) ).to.include( {
+            mode : 'latex', resultsMode : false, validates : false,
+            latexWrapper : true, table : false
+        } )
+        expect( parse( '--pdf doc.md' ) ).to.include(
+            { mode : 'pdf', resultsMode : false, validates : true } )
+        expect( parse( '--reporter junit doc.md' ) ).to.include(
+            { mode : 'reporter', resultsMode : true, validates : true } )
+        expect( parse( '--watch --ndjson folder' ) ).to.include(
+            { mode : 'ndjson', watch : true } )
+    } )
+
+    it( 'Should compute which results are failures', () => {
+        expect( parse( '--strict doc.md' ).failOn ).to.eql( failingResults )
+        expect( parse( '--fail-on indeterminate,error doc.md' ).failOn )
+            .to.eql( [ 'indeterminate', 'error' ] )
+        expectError( '--strict --fail-on error doc.md',
+            '--strict and --fail-on are mutually exclusive' )
+        expectError( '--fail-on invalid,wrong doc.md' )
+    } )
+
+    it( 'Should reject unknown switches and invalid values', () => {
+        expectError( '--unknown doc.md' )
+        expectError( '--json=yes doc.md' )
+        expectError( '--reporter xml doc.md' )
+        expectError( 'doc.md --jobs' )
+        expectError( '--jobs 0 doc.md', '--jobs must be a positive whole number' )
+        expectError( '--jobs 1.5 doc.md', '--jobs must be a positive whole number' )
+    } )
+
+    it( 'Should require one or two paths', () => {
+        expectError( '--json' )
+        expectError( 'a b c' )
+    } )
+
+    it( 'Should reject inconsistent switches', () => {
+        expectError( '--json --html doc.md', '--html, --html-only, --pdf, '
+            + '--latex, --markdown, --simple-html, --json, --ndjson, '
+            + '--reporter, --check, --report are mutually exclusive' )
+        expectError( '--latex-wrapper doc.md',
+            '--latex-wrapper can be used only with --latex' )
+        expectError( '--watch --check folder', 'cannot watch a folder with --check' )
+        expectError( '--watch --html folder', 'cannot watch a folder with --html' )
+    } )
+
+    it( 'Should read the port from the switch or the environment', () => {
+        expect( parse( '--port 8080 doc.md' ).port ).to.equal( 8080 )
+        expect( parse( 'doc.md', { LURCH_PORT : '9000' } ).port ).to.equal( 9000 )
+        expect( parse( '--port=0 doc.md', { LURCH_PORT : '9000' } ).port )
+            .to.equal( 0 )
+        const message = 'the port must be a whole number from 0 to 65535'
+        expectError( '--port 65536 doc.md', message )
+        expectError( '--port -1 doc.md', message )
+        expectError( '--port= doc.md', message )
+        expect( () => parse( 'doc.md', { LURCH_PORT : 'http' } ) )
+            .to.throw( CLIError, message )
+    } )
+
+    it( 'Should list every switch in the usage summary', () => {
+        const text = usage()
+        expect( text ).to.match( /^Usages: / )
+        expect( text ).to.include( '--lde-cdn' )
+        expect( text ).to.include( '--reporter <junit|tap>' )
+        expect( text ).to.include(
+            '--fail-on <invalid|indeterminate|error>[,...]' )
+        expect( text ).to.include( '--jobs <number>' )
+        expect( text ).to.include( '--config <file>' )
+    } )
+
+    describe( 'Checking paths', () => {
+
+        let folder
+        beforeEach( () => {
+            folder = mkdtempSync( join( tmpdir(), 'lurch-arguments-test-' ) )
+            writeFileSync( join( folder, 'doc.md' ), 'Doc' )
+        } )
+        afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+
+        it( 'Should accept files and folders that exist', () => {
+            checkPaths( parse( join( folder, 'doc.md' ) ) )
+            checkPaths( parse( folder ) )
+            checkPaths( parse( `--html ${folder} ${folder}` ) )
+        } )
+
+        it( 'Should reject missing files and folders', () => {
+            const missing = join( folder, 'missing.md' )
+            expect( () => checkPaths( parse( missing ) ) ).to.throw(
+                CLIError, `${missing} does not exist` )
+            try {
+                checkPaths( parse( missing ) )
+            } catch ( error ) {
+                expect( error.exitCode ).to.equal( exitCodes.loadError )
+            }
+        } )
+
+        it( 'Should convert only folders, and only into documents', () => {
+            const file = join( folder, 'doc.md' )
+            expect( () => checkPaths( parse( `--html ${file} ${folder}` ) ) )
+                .to.throw( CLIError, `${file} is not a directory` )
+            expect( () => checkPaths( parse( `--json ${folder} ${folder}` ) ) )
+                .to.throw( CLIError,
+                    'Cannot convert one directory to another as --json' )
+        } )
+
+    } )
+
+} )
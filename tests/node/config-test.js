@@ -0,0 +1,119 @@
+// What this module DOES test:
+//  - reading and checking configuration files for the CLI
+//  - making the paths of the files they name relative to the current folder
+// What this module DOES NOT test:
+//  - passing the configuration to the app
+
+import { expect } from 'chai'
+import { mkdtempSync, writeFileSync, rmSync, mkdirSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { exitCodes, CLIError } from '../../cli/arguments.js'
+import { configKeys, readConfig } from '../../cli/config.js'
+
+describe( 'Configuration files', () => {
+
+    // A temporary folder in which each test writes its files, which the tests
+    // also make the current folder, so that they can test the default file
+    let folder
+    let original
+    const file = name => join( folder, name )
+    const write = ( name, contents ) => writeFileSync( file( name ),
+        typeof contents == 'string' ? contents : JSON.stringify( contents ) )
+    beforeEach( () => {
+        folder = mkdtempSync( join( tmpdir(), 'lurch-config-test-' ) )
+        original = process.cwd()
+        process.chdir( folder )
+    } )
+    afterEach( () => {
+        process.chdir( original )
+        rmSync( folder, { recursive : true, force : true } )
+    } )
+
+    // Expect reading the given file to throw a CLIError with the given
+    // message and exit code
+    const expectError = ( name, message, exitCode = exitCodes.usage ) => {
+        let error = null
+        try {
+            readConfig( name )
+        } catch ( caught ) {
+            error = caught
+        }
+        expect( error ).to.be.instanceof( CLIError )
+        expect( error.message ).to.equal( message )
+        expect( error.exitCode ).to.equal( exitCode )
+    }
+
+    it( 'Should have no configuration when there is no file', () => {
+        expect( readConfig() ).to.eql( { } )
+    } )
+
+    it( 'Should read the default file if there is one', () => {
+        write( 'lurch.config.json', { appDefaults : { notation : 'Lurch' } } )
+        expect( readConfig() ).to.eql( { appDefaults : { notation : 'Lurch' } } )
+    } )
+
+    it( 'Should read files named relative to the configuration file', () => {
+        mkdirSync( file( 'settings' ) )
+        mkdirSync( file( 'library' ) )
+        write( 'library/header.md', 'Header' )
+        write( 'library/rules.md', 'Rules' )
+        write( 'settings/custom.json', {
+            documentDefaults : { 'shell style' : 'minimal' },
+            header : '../library/header.md',
+            dependencies : [ '../library/rules.md' ]
+        } )
+        expect( readConfig( 'settings/custom.json' ) ).to.eql( {
+            documentDefaults : { 'shell style' : 'minimal' },
+            header : join( 'library', 'header.md' ),
+            dependencies : [ join( 'library', 'rules.md' ) ]
+        } )
+    } )
+
+    it( 'Should reject missing files', () => {
+        expectError( 'missing.json', 'missing.json does not exist',
+            exitCodes.loadError )
+        write( 'config.json', { header : 'header.md' } )
+        expectError( 'config.json',
+            'header.md (named in config.json) does not exist',
+            exitCodes.loadError )
+        write( 'config.json', { dependencies : [ 'rules.md' ] } )
+        expectError( 'config.json',
+            'rules.md (named in config.json) does not exist',
+            exitCodes.loadError )
+    } )
+
+    it( 'Should reject files that are not JSON objects', () => {
+        write( 'config.json', '{ "header" : ' )
+        expect( () => readConfig( 'config.json' ) ).to.throw( CLIError,
+            /^in config\.json, / )
+        write( 'config.json', [ ] )
+        expectError( 'config.json',
+            'in config.json, the contents must be a JSON object' )
+        write( 'config.json', 'null' )
+        expectError( 'config.json',
+            'in config.json, the contents must be a JSON object' )
+    } )
+
+    it( 'Should reject unknown keys and values of the wrong types', () => {
+        write( 'config.json', { headers : 'header.md' } )
+        expectError( 'config.json', 'in config.json, unknown key "headers"; '
+            + `valid keys: ${configKeys.join( ', ' )}` )
+        write( 'config.json', { appDefaults : [ 'notation' ] } )
+        expectError( 'config.json', 'in config.json, '
+            + 'appDefaults must be an object mapping settings to values' )
+        write( 'config.json', { documentDefaults : 'minimal' } )
+        expectError( 'config.json', 'in config.json, '
+            + 'documentDefaults must be an object mapping settings to values' )
+        write( 'config.json', { header : [ 'header.md' ] } )
+        expectError( 'config.json',
+            'in config.json, header must be the name of a file' )
+        write( 'config.json', { dependencies : 'rules.md' } )
+        expectError( 'config.json',
+            'in config.json, dependencies must be an array of names of files' )
+        write( 'config.json', { dependencies : [ 'rules.md', 3 ] } )
+        expectError( 'config.json',
+            'in config.json, dependencies must be an array of names of files' )
+    } )
+
+} )
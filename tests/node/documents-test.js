@@ -0,0 +1,220 @@
+// What this module DOES test:
+//  - finding elements by id and sections by heading in document contents
+//  - selecting parts of documents for import tags' select attributes
+//  - reading documents from files with their imports, and recording the
+//    locations of expected results in them
+//  - adding default headers and dependencies to documents
+//  - finding the files a document imports
+// What this module DOES NOT test:
+//  - loading documents into the app, which needs a headless browser
+
+import { expect } from 'chai'
+import { mkdtempSync, writeFileSync, rmSync, mkdirSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import {
+    findElement, findSection, selectParts, readDocumentWithImports,
+    withDefaultHeader, documentImports
+} from '../../cli/documents.js'
+
+describe( 'Reading documents', () => {
+
+    describe( 'Finding elements by id', () => {
+
+        const contents = 'Intro\n'
+                       + '<theorem id="first">\nA <b>bold</b> claim\n</theorem>\n'
+                       + '<div id=\'outer\'><div>inner</div> more</div>\n'
+                       + '<proof id="second"><lurch id="x">P</lurch></proof>\n'
+
+        it( 'Should find elements with or without a tag', () => {
+            expect( findElement( contents, 'theorem#first' ) ).to.eql( {
+                text : '<theorem id="first">\nA <b>bold</b> claim\n</theorem>',
+                index : 6
+            } )
+            expect( findElement( contents, '#second' )?.text ).to.equal(
+                '<proof id="second"><lurch id="x">P</lurch></proof>' )
+            expect( findElement( contents, '#x' )?.text ).to.equal(
+                '<lurch id="x">P</lurch>' )
+        } )
+
+        it( 'Should include nested elements with the same tag', () => {
+            expect( findElement( contents, 'div#outer' )?.text ).to.equal(
+                "<div id='outer'><div>inner</div> more</div>" )
+        } )
+
+        it( 'Should treat self-closing elements as complete', () => {
+            const text = 'Start <theorem id="empty"/> then\n'
+                       + '<theorem id="full">claim</theorem>'
+            expect( findElement( text, 'theorem#empty' ) ).to.eql( {
+                text : '<theorem id="empty"/>',
+                index : 6
+            } )
+            expect( findElement( '<br id="only" />', '#only' )?.text )
+                .to.equal( '<br id="only" />' )
+            // The element after it is still found in full
+            expect( findElement( text, '#full' )?.text ).to.equal(
+                '<theorem id="full">claim</theorem>' )
+        } )
+
+        it( 'Should return null for missing or unclosed elements', () => {
+            expect( findElement( contents, 'proof#first' ) ).to.equal( null )
+            expect( findElement( contents, '#missing' ) ).to.equal( null )
+            expect( findElement( '<theorem id="a">open', '#a' ) ).to.equal( null )
+        } )
+
+    } )
+
+    describe( 'Finding sections by heading', () => {
+
+        const markdown = '# Notes\n'
+                       + 'Intro\n'
+                       + '## Part One ##\n'
+                       + 'First\n'
+                       + '### Detail\n'
+                       + 'Deeper\n'
+                       + '## Part Two\n'
+                       + 'Second\n'
+
+        it( 'Should find Markdown sections up to the next heading at their level', () => {
+            expect( findSection( markdown, 'Part One' ) ).to.eql( {
+                text : '## Part One ##\nFirst\n### Detail\nDeeper\n',
+                index : 14
+            } )
+            expect( findSection( markdown, 'Detail' )?.text ).to.equal(
+                '### Detail\nDeeper\n' )
+            expect( findSection( markdown, 'Part Two' )?.text ).to.equal(
+                '## Part Two\nSecond\n' )
+            expect( findSection( markdown, 'Notes' )?.text ).to.equal( markdown )
+        } )
+
+        it( 'Should find HTML sections and mix them with Markdown ones', () => {
+            const html = '<h1>Title</h1><p>One</p>'
+                       + '<h2 class="x">The <em>Main</em> Part</h2><p>Two</p>'
+                       + '<h2>Other</h2><p>Three</p>\n'
+                       + '# Last\nFour'
+            expect( findSection( html, 'the main part' )?.text ).to.equal(
+                '<h2 class="x">The <em>Main</em> Part</h2><p>Two</p>' )
+            expect( findSection( html, 'Other' )?.text ).to.equal(
+                '<h2>Other</h2><p>Three</p>\n' )
+        } )
+
+        it( 'Should ignore case and extra spaces, and return null if missing', () => {
+            expect( findSection( markdown, '  part   ONE ' )?.index ).to.equal( 14 )
+            expect( findSection( markdown, 'Part Three' ) ).to.equal( null )
+            expect( findSection( markdown, 'Intro' ) ).to.equal( null )
+        } )
+
+    } )
+
+    describe( 'Selecting parts', () => {
+
+        const contents = '# Rules\n<rule id="r1">R1</rule>\n'
+                       + '# Theorems\n<theorem id="t1">T1</theorem>\n'
+
+        it( 'Should select parts in the order named', () => {
+            const parts = selectParts( contents,
+                ' #t1 , section:Rules,rule#r1, ', 'lib.md' )
+            expect( parts.map( part => part.text ) ).to.eql( [
+                '<theorem id="t1">T1</theorem>',
+                '# Rules\n<rule id="r1">R1</rule>\n',
+                '<rule id="r1">R1</rule>'
+            ] )
+            expect( parts.map( part => part.index ) ).to.eql( [ 43, 0, 8 ] )
+        } )
+
+        it( 'Should reject invalid and unmatched selectors', () => {
+            expect( () => selectParts( contents, 'theorem', 'lib.md' ) )
+                .to.throw( 'Invalid import selector "theorem"' )
+            expect( () => selectParts( contents, '#t1, #t2', 'lib.md' ) )
+                .to.throw( 'Nothing matches "#t2" in lib.md' )
+            expect( () => selectParts( contents, 'section: Proofs', 'lib.md' ) )
+                .to.throw( 'Nothing matches "section: Proofs" in lib.md' )
+        } )
+
+    } )
+
+    describe( 'Reading files', () => {
+
+        // A temporary folder in which each test writes its files
+        let folder
+        const file = name => join( folder, name )
+        const write = ( name, contents ) => writeFileSync( file( name ), contents )
+        beforeEach( () => {
+            folder = mkdtempSync( join( tmpdir(), 'lurch-documents-test-' ) )
+        } )
+        afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+
+        it( 'Should replace import tags with file contents, recursively', () => {
+            mkdirSync( file( 'lib' ) )
+            write( 'main.md', 'Main\n<import src="lib/a.md"/>\nEnd' )
+            write( 'lib/a.md', "A <import src='b.md' />" )
+            write( 'lib/b.md', 'B' )
+            expect( readDocumentWithImports( file( 'main.md' ) ) )
+                .to.equal( 'Main\nA B\nEnd' )
+            expect( documentImports( file( 'main.md' ) ) ).to.eql(
+                [ file( 'lib/a.md' ) ] )
+            expect( documentImports( file( 'lib/a.md' ) ) ).to.eql(
+                [ file( 'lib/b.md' ) ] )
+            expect( documentImports( file( 'lib/b.md' ) ) ).to.eql( [ ] )
+        } )
+
+        it( 'Should import only the selected parts of files', () => {
+            write( 'main.md', '<import select="#t2, section:Rules" src="lib.md"/>' )
+            write( 'lib.md', '# Rules\nR <import src="rules.md"/>\n'
+                           + '# Theorems\n<theorem id="t2">T</theorem>\n'
+                           + '<import src="missing.md"/>' )
+            write( 'rules.md', 'more rules' )
+            // The import of missing.md is in an unselected part, so it is not
+            // done, and causes no error
+            expect( readDocumentWithImports( file( 'main.md' ) ) ).to.equal(
+                '<theorem id="t2">T</theorem>\n# Rules\nR more rules\n' )
+        } )
+
+        it( 'Should reject circular imports and imports without sources', () => {
+            write( 'a.md', '<import src="b.md"/>' )
+            write( 'b.md', '<import src="a.md"/>' )
+            expect( () => readDocumentWithImports( file( 'a.md' ) ) )
+                .to.throw( 'Circular import detected.' )
+            write( 'c.md', '<import select="#x"/>' )
+            expect( () => readDocumentWithImports( file( 'c.md' ) ) )
+                .to.throw( `Import tag with no src attribute in ${file( 'c.md' )}` )
+        } )
+
+        it( 'Should record expected results in imports by file and line', () => {
+            write( 'main.md', 'Main\n<import src="lib.md" select="section:Two"/>\n'
+                            + '`P` <!-- expect: valid -->' )
+            write( 'lib.md', '# One\n`Q` <!-- expect: error -->\n'
+                           + '# Two\n\n`R` <!-- expect: invalid -->\n' )
+            const expectations = [ ]
+            const contents = readDocumentWithImports( file( 'main.md' ), expectations )
+            expect( expectations ).to.eql( [
+                { file : file( 'main.md' ), line : 3, expected : 'valid' },
+                { file : file( 'lib.md' ), line : 5, expected : 'invalid' }
+            ] )
+            expect( contents ).to.equal( 'Main\n# Two\n\n'
+                + '`R` <!-- expect: invalid @ 1 -->\n\n'
+                + '`P` <!-- expect: valid @ 0 -->' )
+        } )
+
+        it( 'Should add a default header only to documents without one', () => {
+            write( 'header.md', 'Header <import src="rules.md"/>' )
+            write( 'rules.md', 'Rules' )
+            write( 'dep.md', 'Dependency' )
+            expect( withDefaultHeader( 'Body', file( 'header.md' ) ) ).to.equal(
+                '<div class="header">\n\n\n\nHeader Rules\n\n</div>\n\nBody' )
+            expect( withDefaultHeader( 'Body', file( 'header.md' ),
+                [ file( 'dep.md' ), file( 'rules.md' ) ] ) ).to.equal(
+                '<div class="header">\n\nDependency\n\nRules\n\n'
+              + 'Header Rules\n\n</div>\n\nBody' )
+            const existing = '<div id="h" class="header">Own</div>\nBody'
+            expect( withDefaultHeader( existing, file( 'header.md' ) ) )
+                .to.equal( existing )
+            expect( withDefaultHeader( existing, file( 'header.md' ),
+                [ file( 'dep.md' ) ] ) ).to.equal(
+                '<div id="h" class="header">\n\nDependency\n\nOwn</div>\nBody' )
+            expect( withDefaultHeader( 'Body' ) ).to.equal( 'Body' )
+        } )
+
+    } )
+
+} )
@@ -0,0 +1,102 @@
+// What this module DOES test:
+//  - finding annotations of expected results in document contents, recording
+//    their locations, and tagging them with the indices of those locations
+//  - comparing validation results with those expectations
+// What this module DOES NOT test:
+//  - carrying the tags through the app into validation results, which needs
+//    a headless browser
+
+import { expect } from 'chai'
+import {
+    locateExpectations, checkExpectations
+} from '../../cli/expectations.js'
+
+describe( 'Expectations', () => {
+
+    it( 'Should find annotations in attributes and comments', () => {
+        const expectations = [ ]
+        const contents = 'Intro\n'
+                       + '<lurch expect="invalid">P and Q</lurch>\n'
+                       + '`R` <!-- expect: valid -->\n'
+                       + "<theorem expect='none'>\nTheorem\n</theorem>\n"
+        const tagged = locateExpectations( contents, 'doc.md', expectations )
+        expect( expectations ).to.eql( [
+            { file : 'doc.md', line : 2, expected : 'invalid' },
+            { file : 'doc.md', line : 3, expected : 'valid' },
+            { file : 'doc.md', line : 4, expected : 'none' }
+        ] )
+        expect( tagged ).to.equal( 'Intro\n'
+                                 + '<lurch expect="invalid @ 0">P and Q</lurch>\n'
+                                 + '`R` <!-- expect: valid @ 1 -->\n'
+                                 + "<theorem expect='none @ 2'>\nTheorem\n</theorem>\n" )
+    } )
+
+    it( 'Should continue numbering across files and parts of files', () => {
+        const expectations = [ { file : 'main.md', line : 1, expected : 'valid' } ]
+        const tagged = locateExpectations(
+            'x\n<!--expect:error-->', 'lib.md', expectations, 10 )
+        expect( expectations[1] ).to.eql(
+            { file : 'lib.md', line : 11, expected : 'error' } )
+        expect( tagged ).to.equal( 'x\n<!--expect:error @ 1 -->' )
+    } )
+
+    it( 'Should leave contents without annotations unchanged', () => {
+        const expectations = [ ]
+        const contents = '<lurch>P</lurch> <!-- a comment --> expected="x"'
+        expect( locateExpectations( contents, 'doc.md', expectations ) )
+            .to.equal( contents )
+        expect( expectations ).to.eql( [ ] )
+    } )
+
+    it( 'Should report no mismatches when every expectation is met', () => {
+        const expectations = [
+            { file : 'doc.md', line : 2, expected : 'invalid' },
+            { file : 'doc.md', line : 5, expected : 'none' }
+        ]
+        expect( checkExpectations( 'doc.md', expectations, [
+            { type : 'expression', lurch : 'P', result : 'invalid',
+              expect : 'invalid @ 0' },
+            { type : 'expression', lurch : 'Q', expect : 'none @ 1' },
+            { type : 'expression', lurch : 'R', result : 'valid' }
+        ] ) ).to.eql( [ ] )
+    } )
+
+    it( 'Should report unmet expectations by file and line', () => {
+        const expectations = [
+            { file : 'doc.md', line : 2, expected : 'invalid' },
+            { file : 'lib.md', line : 7, expected : 'valid' }
+        ]
+        expect( checkExpectations( 'doc.md', expectations, [
+            { type : 'expression', lurch : 'P', result : 'valid',
+              reason : 'Good', expect : 'invalid @ 0' },
+            { type : 'expression', latex : 'x', expect : 'valid @ 1' }
+        ] ) ).to.eql( [
+            'doc.md:2: expected invalid but got valid for `P` (Good)',
+            'lib.md:7: expected valid but got none for $x$'
+        ] )
+    } )
+
+    it( 'Should report annotations that are not on any step', () => {
+        const expectations = [
+            { file : 'header.md', line : 3, expected : 'valid' },
+            { file : 'doc.md', line : 4, expected : 'valid' }
+        ]
+        expect( checkExpectations( 'doc.md', expectations, [
+            { type : 'expression', lurch : 'P', result : 'valid',
+              expect : 'valid @ 1' }
+        ] ) ).to.eql( [
+            'header.md:3: expected valid but this annotation is not on any '
+          + 'step in the document'
+        ] )
+    } )
+
+    it( 'Should report annotations whose locations are unknown', () => {
+        expect( checkExpectations( 'doc.md', [ ], [
+            { type : 'expression', lurch : 'P', result : 'valid',
+              expect : 'invalid' }
+        ] ) ).to.eql( [
+            'doc.md (unknown line): expected invalid but got valid for `P`'
+        ] )
+    } )
+
+} )
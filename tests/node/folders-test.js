@@ -0,0 +1,82 @@
+// What this module DOES test:
+//  - deciding which files are documents to process, using --include and
+//    --exclude patterns
+//  - finding those documents in folders, with and without subfolders
+// What this module DOES NOT test:
+//  - processing the documents
+
+import { expect } from 'chai'
+import { mkdtempSync, writeFileSync, rmSync, mkdirSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { documentFilter, findDocuments } from '../../cli/folders.js'
+
+describe( 'Finding documents in folders', () => {
+
+    it( 'Should accept only Markdown, HTML, and Lurch files', () => {
+        const isDocument = documentFilter()
+        expect( isDocument( 'a.md' ) ).to.equal( true )
+        expect( isDocument( 'a.html' ) ).to.equal( true )
+        expect( isDocument( join( 'sub', 'a.lurch' ) ) ).to.equal( true )
+        expect( isDocument( 'a.txt' ) ).to.equal( false )
+        expect( isDocument( 'a.md.bak' ) ).to.equal( false )
+        expect( isDocument( 'md' ) ).to.equal( false )
+    } )
+
+    it( 'Should match patterns without slashes against names only', () => {
+        const isDocument = documentFilter( { include : [ 'chapter-*.md' ] } )
+        expect( isDocument( 'chapter-1.md' ) ).to.equal( true )
+        expect( isDocument( join( 'book', 'chapter-2.md' ) ) ).to.equal( true )
+        expect( isDocument( 'appendix.md' ) ).to.equal( false )
+        // The pattern does not change which kinds of files are documents
+        expect( isDocument( 'chapter-1.txt' ) ).to.equal( false )
+    } )
+
+    it( 'Should match patterns with slashes against relative paths', () => {
+        const isDocument = documentFilter( {
+            include : [ 'book/**', '*.html' ],
+            exclude : [ 'book/drafts/**', 'old-*' ]
+        } )
+        expect( isDocument( join( 'book', 'one.md' ) ) ).to.equal( true )
+        expect( isDocument( join( 'book', 'part', 'two.md' ) ) ).to.equal( true )
+        expect( isDocument( join( 'notes', 'page.html' ) ) ).to.equal( true )
+        expect( isDocument( join( 'notes', 'page.md' ) ) ).to.equal( false )
+        expect( isDocument( join( 'book', 'drafts', 'three.md' ) ) ).to.equal( false )
+        expect( isDocument( join( 'book', 'old-four.md' ) ) ).to.equal( false )
+    } )
+
+    describe( 'Searching folders', () => {
+
+        // A temporary folder containing some documents and other files
+        let folder
+        beforeEach( () => {
+            folder = mkdtempSync( join( tmpdir(), 'lurch-folders-test-' ) )
+            mkdirSync( join( folder, 'sub', 'deeper' ), { recursive : true } )
+            mkdirSync( join( folder, 'folder.md' ) )
+            ;[ 'b.md', 'a.html', 'notes.txt', join( 'sub', 'c.lurch' ),
+               join( 'sub', 'deeper', 'd.md' ) ].forEach( file =>
+                writeFileSync( join( folder, file ), 'Contents' ) )
+        } )
+        afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+
+        it( 'Should find documents directly inside a folder', () => {
+            expect( findDocuments( folder ) ).to.eql( [ 'a.html', 'b.md' ] )
+        } )
+
+        it( 'Should find documents in subfolders if asked', () => {
+            expect( findDocuments( folder, { recursive : true } ) ).to.eql( [
+                'a.html', 'b.md', join( 'sub', 'c.lurch' ),
+                join( 'sub', 'deeper', 'd.md' )
+            ] )
+        } )
+
+        it( 'Should use the include and exclude patterns', () => {
+            expect( findDocuments( folder, {
+                recursive : true, include : [ '*.md', '*.lurch' ],
+                exclude : [ 'sub/deeper/**' ]
+            } ) ).to.eql( [ 'b.md', join( 'sub', 'c.lurch' ) ] )
+        } )
+
+    } )
+
+} )
@@ -0,0 +1,127 @@
+// What this module DOES test:
+//  - writing the report site's index and document pages into a folder
+//  - the badges saying whether each document passed, under the results that
+//    count as failing, and counting its results of each kind
+//  - linking pages in subfolders to the site's root, and linking the index to
+//    documents whose names contain characters special in URLs
+//  - escaping the reasons for flagged steps
+// What this module DOES NOT test:
+//  - getting validation results or rendered documents from the app, which
+//    needs a headless browser
+
+import { expect } from 'chai'
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { writeReportSite } from '../../cli/report-site.js'
+
+// A document with one result of each kind, except that the indeterminate one
+// is only a warning, plus one atom with no result
+const mixed = {
+    file : 'mixed.md',
+    results : [
+        { type : 'expression', contentType : 'Statement', lurch : 'A',
+          result : 'valid', reason : 'Valid' },
+        { type : 'expression', contentType : 'Statement', lurch : 'B',
+          result : 'indeterminate', reason : 'Could not tell' },
+        { type : 'expression', given : true, latex : 'x' }
+    ],
+    html : '<div id="loadlink"><a href="http://localhost:8080/">Open</a></div>'
+         + '<p>Rendered mixed</p>'
+}
+
+// A document in a subfolder, with an invalid result whose reason needs escaping
+const nested = {
+    file : join( 'week 1', 'hw#1.md' ),
+    results : [
+        { type : 'expression', contentType : 'Statement', lurch : 'P & Q',
+          result : 'invalid', reason : 'Not <quite> "right" & wrong' }
+    ],
+    html : '<p>Rendered nested</p>'
+}
+
+describe( 'Report sites', () => {
+
+    let folder
+    beforeEach( () => {
+        folder = mkdtempSync( join( tmpdir(), 'lurch-report-site-test-' ) )
+    } )
+    afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+    const read = ( ...path ) => readFileSync( join( folder, ...path ), 'utf8' )
+
+    it( 'Should write an index, a page per document, and a stylesheet', () => {
+        const index = writeReportSite( folder, [ mixed, nested ], [ 'invalid', 'error' ] )
+        expect( index ).to.equal( join( folder, 'index.html' ) )
+        expect( existsSync( join( folder, 'lurch.css' ) ) ).to.equal( true )
+        expect( existsSync( join( folder, 'mixed.md.html' ) ) ).to.equal( true )
+        expect( existsSync( join( folder, 'week 1', 'hw#1.md.html' ) ) ).to.equal( true )
+        expect( read( 'index.html' ) ).to.contain( '2 documents' )
+    } )
+
+    it( 'Should badge each document in the index', () => {
+        writeReportSite( folder, [ mixed, nested ], [ 'invalid', 'error' ] )
+        const rows = read( 'index.html' ).split( '<tr>' ).slice( 2 )
+        expect( rows[0] ).to.contain( '>pass<' )
+        expect( rows[0] ).to.contain( '✓ 1 valid' )
+        expect( rows[0] ).to.contain( '? 1 indeterminate' )
+        expect( rows[0] ).not.to.contain( 'invalid' )
+        expect( rows[1] ).to.contain( '>fail<' )
+        expect( rows[1] ).to.contain( '✗ 1 invalid' )
+    } )
+
+    it( 'Should decide which documents pass using the failing results', () => {
+        writeReportSite( folder, [ mixed ], [ 'indeterminate' ] )
+        expect( read( 'index.html' ) ).to.contain( '>fail<' )
+        expect( read( 'mixed.md.html' ) ).to.contain( '>fail<' )
+        writeReportSite( folder, [ mixed ], [ 'invalid' ] )
+        expect( read( 'index.html' ) ).to.contain( '>pass<' )
+        expect( read( 'mixed.md.html' ) ).to.contain( '>pass<' )
+    } )
+
+    it( 'Should link to pages with encoded paths', () => {
+        writeReportSite( folder, [ mixed, nested ], [ 'invalid', 'error' ] )
+        const index = read( 'index.html' )
+        expect( index ).to.contain( 'href="mixed.md.html"' )
+        expect( index ).to.contain( 'href="week%201/hw%231.md.html"' )
+        expect( index ).to.contain( `>${join( 'week 1', 'hw#1.md' )}</a>` )
+    } )
+
+    it( 'Should link pages in subfolders to the root of the site', () => {
+        writeReportSite( folder, [ mixed, nested ], [ 'invalid', 'error' ] )
+        const top = read( 'mixed.md.html' )
+        expect( top ).to.contain( 'href="lurch.css"' )
+        expect( top ).to.contain( 'href="index.html"' )
+        const inner = read( 'week 1', 'hw#1.md.html' )
+        expect( inner ).to.contain( 'href="../lurch.css"' )
+        expect( inner ).to.contain( 'href="../index.html"' )
+    } )
+
+    it( 'Should list flagged steps with escaped reasons', () => {
+        writeReportSite( folder, [ mixed, nested ], [ 'invalid', 'error' ] )
+        const inner = read( 'week 1', 'hw#1.md.html' )
+        expect( inner ).to.contain( '<code>`P &amp; Q`</code>' )
+        expect( inner ).to.contain(
+            '&mdash; Not &lt;quite&gt; &quot;right&quot; &amp; wrong' )
+        expect( inner ).not.to.contain( '<quite>' )
+        expect( inner ).to.contain( '<p>Rendered nested</p>' )
+        const top = read( 'mixed.md.html' )
+        expect( top ).to.contain( 'Could not tell' )
+        // Valid steps are not flagged
+        expect( top ).not.to.contain( '&mdash; Valid' )
+    } )
+
+    it( 'Should drop the link to the CLI\'s server from rendered documents', () => {
+        writeReportSite( folder, [ mixed ], [ 'invalid', 'error' ] )
+        const top = read( 'mixed.md.html' )
+        expect( top ).to.contain( '<p>Rendered mixed</p>' )
+        expect( top ).not.to.contain( 'loadlink' )
+        expect( top ).not.to.contain( 'localhost' )
+    } )
+
+    it( 'Should say when no steps were flagged', () => {
+        writeReportSite( folder, [ { ...mixed, results : mixed.results.slice( 0, 1 ) } ],
+            [ 'invalid', 'error' ] )
+        expect( read( 'mixed.md.html' ) ).to.contain( 'No steps were flagged.' )
+    } )
+
+} )
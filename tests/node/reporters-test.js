@@ -0,0 +1,120 @@
+// What this module DOES test:
+//  - describing atoms by their validation results
+//  - JUnit XML reports, including counts of tests and failures, and escaping
+//    of text that is not valid XML as it stands
+//  - TAP reports, including the results of subtests and escaping of the #
+//    character in test descriptions
+// What this module DOES NOT test:
+//  - getting validation results from the app, which needs a headless browser
+
+import { expect } from 'chai'
+import {
+    reporterNames, describeResult, junitReport, tapReport, report
+} from '../../cli/reporters.js'
+
+// One valid atom and one invalid atom, plus one atom with no result (which is
+// therefore not a test case)
+const sampleResults = [
+    { type : 'expression', contentType : 'Statement', lurch : 'A and B',
+      result : 'valid', reason : 'Valid' },
+    { type : 'expression', given : true, latex : 'x<y' },
+    { type : 'expression', contentType : 'Statement', lurch : 'B & "C"',
+      result : 'invalid', reason : 'Not <quite> right & "wrong"' }
+]
+
+describe( 'Reporters', () => {
+
+    it( 'Should provide the reporters the CLI offers', () => {
+        expect( reporterNames ).to.eql( [ 'junit', 'tap' ] )
+        expect( report( 'junit', [ ] ) ).to.equal( junitReport( [ ] ) )
+        expect( report( 'tap', [ ] ) ).to.equal( tapReport( [ ] ) )
+    } )
+
+    it( 'Should describe atoms in a short form', () => {
+        expect( describeResult( { given : true, latex : 'x^2' } ) )
+            .to.equal( 'Given $x^2$' )
+        expect( describeResult( { contentType : 'Statement', lurch : 'P' } ) )
+            .to.equal( '`P`' )
+        expect( describeResult( { contentType : 'Assumption', lurch : 'P' } ) )
+            .to.equal( 'Assume `P`' )
+        expect( describeResult( {
+            contentType : 'Declaration', symbol : 'x', lurch : 'x>0'
+        } ) ).to.equal( 'Declaration: x, x>0' )
+        expect( describeResult( { contentType : 'Rule', symbol : 'R' } ) )
+            .to.equal( 'Rule: R' )
+        expect( describeResult( { lurch : 'Q' } ) ).to.equal( '`Q`' )
+        expect( describeResult( { latex : 'y' } ) ).to.equal( '$y$' )
+        expect( describeResult( { } ) ).to.equal( '' )
+    } )
+
+    it( 'Should count tests and failures in JUnit reports', () => {
+        const xml = junitReport( [
+            { file : 'one.lurch', results : sampleResults },
+            { file : 'two.lurch', results : [ ] }
+        ] )
+        expect( xml ).to.match( /^<\?xml version="1.0" encoding="UTF-8"\?>\n/ )
+        expect( xml ).to.include(
+            '<testsuite name="one.lurch" tests="2" failures="1" errors="0">' )
+        expect( xml ).to.include(
+            '<testsuite name="two.lurch" tests="0" failures="0" errors="0">' )
+        expect( xml.match( /<testcase /g ) ).to.have.length( 2 )
+        expect( xml.match( /<failure /g ) ).to.have.length( 1 )
+        expect( xml ).to.include( '<testcase name="1. expression: `A and B`" '
+                                + 'classname="one.lurch"/>' )
+        expect( xml ).to.match( /<\/testsuites>\n$/ )
+    } )
+
+    it( 'Should escape XML special characters in JUnit reports', () => {
+        const xml = junitReport( [
+            { file : 'a&b\'s <file>.lurch', results : sampleResults }
+        ] )
+        expect( xml ).to.include(
+            'name="a&amp;b&apos;s &lt;file&gt;.lurch"' )
+        expect( xml ).to.include(
+            'name="2. expression: `B &amp; &quot;C&quot;`"' )
+        const reason = 'Not &lt;quite&gt; right &amp; &quot;wrong&quot;'
+        expect( xml ).to.include(
+            `<failure type="invalid" message="${reason}">${reason}</failure>` )
+        // Nothing unescaped remains between the tags
+        xml.replace( /<[^<>]*>/g, '' ).split( '\n' ).forEach( text =>
+            expect( text ).not.to.match( /[<>"]|&(?!(amp|lt|gt|quot|apos);)/ ) )
+    } )
+
+    it( 'Should report subtests and failures in TAP reports', () => {
+        const tap = tapReport( [
+            { file : 'one.lurch', results : sampleResults },
+            { file : 'two.lurch', results : sampleResults.slice( 0, 1 ) }
+        ] )
+        expect( tap.split( '\n' ) ).to.eql( [
+            'TAP version 13',
+            '# Subtest: one.lurch',
+            '    1..2',
+            '    ok 1 - expression: `A and B`',
+            '    not ok 2 - expression: `B & "C"`',
+            '      ---',
+            '      result: invalid',
+            '      reason: "Not <quite> right & \\"wrong\\""',
+            '      ...',
+            'not ok 1 - one.lurch',
+            '# Subtest: two.lurch',
+            '    1..1',
+            '    ok 1 - expression: `A and B`',
+            'ok 2 - two.lurch',
+            '1..2',
+            ''
+        ] )
+    } )
+
+    it( 'Should escape # and backslashes in TAP test descriptions', () => {
+        const tap = tapReport( [ {
+            file : 'week #3\\proofs.lurch',
+            results : [ { type : 'expression', lurch : 'x # y',
+                          result : 'valid' } ]
+        } ] )
+        expect( tap ).to.include( '    ok 1 - expression: `x \\# y`\n' )
+        expect( tap ).to.include( 'ok 1 - week \\#3\\\\proofs.lurch\n' )
+        // The subtest comment is not a test point, so it needs no escaping
+        expect( tap ).to.include( '# Subtest: week #3\\proofs.lurch\n' )
+    } )
+
+} )
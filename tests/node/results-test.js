@@ -0,0 +1,95 @@
+// What this module DOES test:
+//  - formatting validation results as text, in and out of the table format
+//  - summarizing the results of many documents, and deciding whether any of
+//    them are failures
+// What this module DOES NOT test:
+//  - printing results to the terminal
+
+import { expect } from 'chai'
+import chalk from 'chalk'
+import { formatResult, ResultsSummary } from '../../cli/results.js'
+
+// Remove any terminal color codes from the given text
+const plain = text => text.replace( /\x1b\[[0-9;]*m/g, '' )
+
+// A validation result for an expression with the given meaning and result
+const step = ( lurch, result, depth = 1 ) => ( {
+    type : 'expression', contentType : 'Statement', lurch, result, depth
+} )
+
+describe( 'Presenting results', () => {
+
+    describe( 'Formatting results', () => {
+
+        it( 'Should show the type, description, and result', () => {
+            expect( plain( formatResult( step( 'P', 'valid' ), false ) ) )
+                .to.equal( '    expression: `P` ✓ valid ' )
+            expect( plain( formatResult( step( 'Q', 'invalid', 2 ), false ) ) )
+                .to.equal( '        expression: `Q` ✗ invalid ' )
+            expect( plain( formatResult( step( 'R', 'indeterminate', 0 ), false ) ) )
+                .to.equal( 'expression: `R` ? indeterminate ' )
+            expect( plain( formatResult( step( 'S', 'error', 0 ), false ) ) )
+                .to.equal( 'expression: `S` ! error ' )
+            expect( plain( formatResult( step( 'T', undefined, 0 ), false ) ) )
+                .to.equal( 'expression: `T`' )
+        } )
+
+        it( 'Should line up results in the table format', () => {
+            // Without colors, so that the column is counted in characters
+            const level = chalk.level
+            chalk.level = 0
+            try {
+                const short = formatResult( step( 'P', 'valid' ) )
+                const long = formatResult( step( 'P'.repeat( 80 ), 'invalid' ) )
+                expect( short.indexOf( '✓' ) ).to.equal( 61 )
+                expect( long.indexOf( '✗' ) ).to.equal( 61 )
+                expect( short ).to.match( /^    expression: `P` +✓ valid $/ )
+                expect( long ).to.equal(
+                    ( '    expression: `' + 'P'.repeat( 80 ) ).substring( 0, 60 )
+                  + ' ✗ invalid ' )
+            } finally {
+                chalk.level = level
+            }
+        } )
+
+    } )
+
+    describe( 'Summarizing results', () => {
+
+        it( 'Should count the results of each document in a table', () => {
+            const summary = new ResultsSummary( [ 'invalid', 'error' ] )
+            summary.record( 'first.md', [
+                step( 'P', 'valid' ), step( 'Q', 'valid' ),
+                step( 'R', 'indeterminate' ), step( 'S' )
+            ] )
+            summary.record( 'a.md', [ step( 'P', 'error' ), step( 'Q', 'valid' ) ] )
+            const cell = value => `${value}`.padStart( 15 )
+            expect( summary.table() ).to.eql( [
+                'File    ' + [ 'valid', 'invalid', 'indeterminate', 'error' ]
+                    .map( cell ).join( '' ),
+                'first.md' + [ 2, 0, 1, 0 ].map( cell ).join( '' ),
+                'a.md    ' + [ 1, 0, 0, 1 ].map( cell ).join( '' ),
+                'Total   ' + [ 3, 0, 1, 1 ].map( cell ).join( '' )
+            ] )
+        } )
+
+        it( 'Should have a table even with no documents', () => {
+            expect( new ResultsSummary( [ ] ).table() ).to.have.length( 2 )
+        } )
+
+        it( 'Should record failures as the CLI defines them', () => {
+            const summary = new ResultsSummary( [ 'invalid', 'error' ] )
+            summary.record( 'a.md', [ step( 'P', 'valid' ),
+                                      step( 'Q', 'indeterminate' ) ] )
+            expect( summary.failed ).to.equal( false )
+            summary.record( 'b.md', [ step( 'P', 'invalid' ) ] )
+            expect( summary.failed ).to.equal( true )
+            const strict = new ResultsSummary(
+                [ 'invalid', 'indeterminate', 'error' ] )
+            strict.record( 'a.md', [ step( 'Q', 'indeterminate' ) ] )
+            expect( strict.failed ).to.equal( true )
+        } )
+
+    } )
+
+} )
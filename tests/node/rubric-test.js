@@ -0,0 +1,305 @@
+// What this module DOES test:
+//  - reading rubrics, and rejecting those in the wrong format
+//  - walking the nesting depths of validation results to find the contents
+//    and proof of a theorem
+//  - finding the part of a submission that a problem grades
+//  - scoring problems and submissions with a rubric's partial-credit rules
+//  - finding the submissions in a folder of student work
+// What this module DOES NOT test:
+//  - validating the submissions, which needs the Lurch app
+
+import { expect } from 'chai'
+import { mkdtempSync, writeFileSync, rmSync, mkdirSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import {
+    contentsOf, proofOf, theoremStatuses, loadRubric, pointsPossible,
+    findProblem, scoreProblem, scoreSubmission, findSubmissions
+} from '../../grading-tools/rubric.js'
+
+// The validation results for a document with a theorem, its proof (which
+// contains a subproof), and a second theorem with no proof, each result in the
+// form returned by validationResults() in cli/headless-lurch.js
+const document = () => [
+    { type : 'theorem', depth : 0, id : 'first' },            // 0
+    { type : 'expression', depth : 1 },                       // 1
+    { type : 'proof', depth : 0, id : 'first-proof' },        // 2
+    { type : 'expression', depth : 1, result : 'valid' },     // 3
+    { type : 'subproof', depth : 1 },                         // 4
+    { type : 'expression', depth : 2, result : 'invalid' },   // 5
+    { type : 'expression', depth : 1, result : 'valid' },     // 6
+    { type : 'lemma', depth : 0, id : 'second' },             // 7
+    { type : 'expression', depth : 1 },                       // 8
+    { type : 'expression', depth : 0 }                        // 9
+]
+
+// A proof of a theorem with the given results for its steps, the last of which
+// is its conclusion
+const proven = ( ...steps ) => [
+    { type : 'theorem', depth : 0 },
+    { type : 'proof', depth : 0 },
+    ...steps.map( result => ( { type : 'expression', depth : 1, result } ) )
+]
+
+// A problem as loadRubric() would return it
+const problem = fields => ( {
+    name : 'problem',
+    withoutValidConclusion : 0,
+    deductPerInvalidStep : 0,
+    deductPerIndeterminateStep : 0,
+    ...fields
+} )
+
+describe( 'Walking validation results', () => {
+
+    it( 'Should find the contents of an atom by depth', () => {
+        const results = document()
+        expect( contentsOf( results, 0 ) ).to.eql( results.slice( 1, 2 ) )
+        expect( contentsOf( results, 2 ) ).to.eql( results.slice( 3, 7 ) )
+        expect( contentsOf( results, 4 ) ).to.eql( results.slice( 5, 6 ) )
+        expect( contentsOf( results, 3 ) ).to.eql( [ ] )
+        expect( contentsOf( results, 9 ) ).to.eql( [ ] )
+    } )
+
+    it( 'Should find the proof after a theorem\'s contents', () => {
+        const results = document()
+        expect( proofOf( results, 0 ) ).to.equal( 2 )
+        // The next atom at the same depth is not a proof
+        expect( proofOf( results, 7 ) ).to.equal( -1 )
+        // A proof nested more deeply is not the theorem's proof
+        const nested = [
+            { type : 'theorem', depth : 0 },
+            { type : 'proof', depth : 1 }
+        ]
+        expect( proofOf( nested, 0 ) ).to.equal( -1 )
+        expect( proofOf( [ { type : 'theorem', depth : 0 } ], 0 ) ).to.equal( -1 )
+    } )
+
+    it( 'Should report the status of each theorem', () => {
+        expect( theoremStatuses( document() ) ).to.eql( [ 'incomplete', 'no proof' ] )
+        expect( theoremStatuses( proven( 'valid', 'valid' ) ) ).to.eql( [ 'complete' ] )
+        // A proof with no results is not complete
+        expect( theoremStatuses( proven( undefined ) ) ).to.eql( [ 'incomplete' ] )
+    } )
+
+} )
+
+describe( 'Reading rubrics', () => {
+
+    let folder
+    beforeEach( () => {
+        folder = mkdtempSync( join( tmpdir(), 'lurch-rubric-test-' ) )
+    } )
+    afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+    const write = ( name, text ) => {
+        writeFileSync( join( folder, name ), text )
+        return join( folder, name )
+    }
+
+    it( 'Should read YAML rubrics and fill in defaults', () => {
+        const rubric = loadRubric( write( 'rubric.yaml', [
+            'assignment: hw1.lurch',
+            'zeroIfHeaderModified: true',
+            'problems:',
+            '  - id: subset-trans',
+            '    points: 10',
+            '    deductPerInvalidStep: 1',
+            '  - theorem: 2',
+            '    name: Second theorem',
+            '    points: 5'
+        ].join( '\n' ) ) )
+        expect( rubric.assignment ).to.equal( join( folder, 'hw1.lurch' ) )
+        expect( rubric.problems ).to.eql( [
+            {
+                name : 'subset-trans', id : 'subset-trans', points : 10,
+                withoutValidConclusion : 0, deductPerInvalidStep : 1,
+                deductPerIndeterminateStep : 0
+            },
+            {
+                name : 'Second theorem', theorem : 2, points : 5,
+                withoutValidConclusion : 0, deductPerInvalidStep : 0,
+                deductPerIndeterminateStep : 0
+            }
+        ] )
+        expect( pointsPossible( rubric ) ).to.equal( 15 )
+    } )
+
+    it( 'Should read JSON rubrics', () => {
+        const rubric = loadRubric( write( 'rubric.json',
+            JSON.stringify( { problems : [ { theorem : 1, points : 3 } ] } ) ) )
+        expect( rubric.problems[0].name ).to.equal( 'theorem 1' )
+        expect( rubric.assignment ).to.be.undefined
+    } )
+
+    it( 'Should reject rubrics in the wrong format', () => {
+        const rejects = ( rubric, message ) => {
+            const file = write( 'rubric.json', JSON.stringify( rubric ) )
+            expect( () => loadRubric( file ) ).to.throw(
+                `Invalid rubric ${file}: ${message}` )
+        }
+        rejects( [ ], 'it must have a list of problems' )
+        rejects( { problems : 'all' }, 'it must have a list of problems' )
+        rejects( { zeroIfHeaderModified : true, problems : [ ] },
+            'zeroIfHeaderModified requires an assignment' )
+        rejects( { problems : [ { points : 1 } ] },
+            'problem 1 needs an id or a theorem number' )
+        rejects( { problems : [ { id : 'a', points : 1 }, { theorem : 1.5, points : 1 } ] },
+            'problem 2 needs an id or a theorem number' )
+        rejects( { problems : [ { id : 'a', points : '10' } ] },
+            'points in problem 1 must be a number' )
+        rejects( { problems : [ { id : 'a', points : 1, deductPerInvalidStep : true } ] },
+            'deductPerInvalidStep in problem 1 must be a number' )
+        rejects( { problems : [ { id : 'a' } ] },
+            'problem 1 needs a number of points' )
+    } )
+
+    it( 'Should reject files that cannot be read or parsed', () => {
+        expect( () => loadRubric( join( folder, 'missing.json' ) ) ).to.throw()
+        const file = write( 'rubric.json', '{ "problems" : [' )
+        expect( () => loadRubric( file ) ).to.throw()
+    } )
+
+} )
+
+describe( 'Scoring with rubrics', () => {
+
+    it( 'Should find a problem by id', () => {
+        const results = document()
+        expect( findProblem( problem( { id : 'second' } ), [ results ] ) )
+            .to.eql( { results, index : 7 } )
+        expect( findProblem( problem( { id : 'first-proof' } ), [ results ] ) )
+            .to.eql( { results, index : 2 } )
+        expect( findProblem( problem( { id : 'third' } ), [ results ] ) )
+            .to.be.undefined
+    } )
+
+    it( 'Should find the nth theorem across files', () => {
+        const one = document()
+        const two = proven( 'valid' )
+        expect( findProblem( problem( { theorem : 1 } ), [ one, two ] ) )
+            .to.eql( { results : one, index : 0 } )
+        // A lemma counts as a theorem
+        expect( findProblem( problem( { theorem : 2 } ), [ one, two ] ) )
+            .to.eql( { results : one, index : 7 } )
+        expect( findProblem( problem( { theorem : 3 } ), [ one, two ] ) )
+            .to.eql( { results : two, index : 0 } )
+        expect( findProblem( problem( { theorem : 4 } ), [ one, two ] ) )
+            .to.be.undefined
+    } )
+
+    it( 'Should give full credit for a valid conclusion', () => {
+        expect( scoreProblem( problem( { theorem : 1, points : 10 } ),
+            [ proven( 'valid', 'valid' ) ] ) )
+            .to.eql( { score : 10, note : 'conclusion valid' } )
+        expect( scoreProblem( problem( { theorem : 1, points : 10,
+                                         withoutValidConclusion : 4 } ),
+            [ proven( 'valid', 'invalid' ) ] ) )
+            .to.eql( { score : 4, note : 'conclusion not valid, 1 invalid' } )
+    } )
+
+    it( 'Should judge the conclusion directly inside the proof only', () => {
+        // The last step of the proof in document() is its conclusion, though
+        // a step in its subproof comes later than some of its steps
+        expect( scoreProblem( problem( { id : 'first', points : 10 } ), [ document() ] ) )
+            .to.eql( { score : 10, note : 'conclusion valid, 1 invalid' } )
+    } )
+
+    it( 'Should deduct for each invalid or indeterminate step', () => {
+        const item = problem( { theorem : 1, points : 10, deductPerInvalidStep : 1,
+                                deductPerIndeterminateStep : 2 } )
+        expect( scoreProblem( item, [ proven( 'invalid', 'invalid', 'valid' ) ] ) )
+            .to.eql( { score : 8, note : 'conclusion valid, 2 invalid' } )
+        expect( scoreProblem( item, [ proven( 'indeterminate', 'error', 'valid' ) ] ) )
+            .to.eql( { score : 6, note : 'conclusion valid, 2 indeterminate' } )
+        // Steps inside subproofs count too
+        expect( scoreProblem( item, [ document() ] ).score ).to.equal( 9 )
+    } )
+
+    it( 'Should keep scores between zero and the points possible', () => {
+        const item = problem( { theorem : 1, points : 10, withoutValidConclusion : 3,
+                                deductPerInvalidStep : 2 } )
+        expect( scoreProblem( item, [ proven( 'invalid', 'invalid', 'invalid' ) ] ) )
+            .to.eql( { score : 0, note : 'conclusion not valid, 3 invalid' } )
+        const generous = problem( { theorem : 1, points : 10, withoutValidConclusion : 20 } )
+        expect( scoreProblem( generous, [ proven( 'invalid' ) ] ).score ).to.equal( 10 )
+    } )
+
+    it( 'Should score zero for missing parts and proofs', () => {
+        expect( scoreProblem( problem( { id : 'nowhere', points : 5 } ), [ document() ] ) )
+            .to.eql( { score : 0, note : 'not found' } )
+        expect( scoreProblem( problem( { id : 'second', points : 5,
+                                         withoutValidConclusion : 2 } ), [ document() ] ) )
+            .to.eql( { score : 0, note : 'no proof' } )
+    } )
+
+    it( 'Should score a submission problem by problem', () => {
+        const rubric = { problems : [
+            problem( { name : 'one', theorem : 1, points : 10 } ),
+            problem( { name : 'two', theorem : 2, points : 5, withoutValidConclusion : 1 } )
+        ] }
+        expect( scoreSubmission( rubric, [ proven( 'valid' ), proven( 'invalid' ) ] ) )
+            .to.eql( {
+                score : 11,
+                possible : 15,
+                problems : [
+                    { name : 'one', score : 10, points : 10, note : 'conclusion valid' },
+                    { name : 'two', score : 1, points : 5,
+                      note : 'conclusion not valid, 1 invalid' }
+                ]
+            } )
+    } )
+
+    it( 'Should score zero if the header was modified, when required', () => {
+        const rubric = { problems : [ problem( { theorem : 1, points : 10 } ) ] }
+        const files = [ proven( 'valid' ) ]
+        // Without zeroIfHeaderModified, a modified header does not matter
+        expect( scoreSubmission( rubric, files, true ).score ).to.equal( 10 )
+        rubric.zeroIfHeaderModified = true
+        expect( scoreSubmission( rubric, files, false ).score ).to.equal( 10 )
+        expect( scoreSubmission( rubric, files, true ) ).to.eql( {
+            score : 0,
+            possible : 10,
+            problems : [
+                { name : 'problem', score : 0, points : 10, note : 'header modified' }
+            ]
+        } )
+    } )
+
+} )
+
+describe( 'Finding submissions', () => {
+
+    let folder
+    beforeEach( () => {
+        folder = mkdtempSync( join( tmpdir(), 'lurch-submissions-test-' ) )
+        mkdirSync( join( folder, 'alice', 'part2' ), { recursive : true } )
+        mkdirSync( join( folder, 'carol' ) )
+        writeFileSync( join( folder, 'alice', 'part1.lurch' ), '' )
+        writeFileSync( join( folder, 'alice', 'part2', 'answer.html' ), '' )
+        writeFileSync( join( folder, 'alice', 'notes.txt' ), '' )
+        writeFileSync( join( folder, 'bob.lurch' ), '' )
+        writeFileSync( join( folder, 'carol', 'notes.txt' ), '' )
+        writeFileSync( join( folder, 'hw1.lurch' ), '' )
+        writeFileSync( join( folder, 'rubric.json' ), '' )
+    } )
+    afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+
+    it( 'Should group the files in each subfolder into one submission', () => {
+        expect( findSubmissions( folder ) ).to.eql( [
+            { student : 'alice', files : [
+                join( 'alice', 'part1.lurch' ), join( 'alice', 'part2', 'answer.html' )
+            ] },
+            { student : 'bob', files : [ 'bob.lurch' ] },
+            { student : 'hw1', files : [ 'hw1.lurch' ] }
+        ] )
+    } )
+
+    it( 'Should leave out the assignment', () => {
+        expect( findSubmissions( folder, join( folder, 'hw1.lurch' ) )
+            .map( submission => submission.student ) ).to.eql( [ 'alice', 'bob' ] )
+        // An assignment elsewhere leaves out nothing
+        expect( findSubmissions( folder, join( folder, 'alice', 'hw1.lurch' ) ) )
+            .to.have.length( 3 )
+    } )
+
+} )
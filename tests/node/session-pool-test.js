@@ -0,0 +1,74 @@
+// What this module DOES test:
+//  - distributing tasks among the sessions in a pool, and reporting their
+//    results in the order of the items
+//  - stopping work on further items once a task fails
+// What this module DOES NOT test:
+//  - opening sessions, which needs a headless browser (so these tests use
+//    plain objects in place of sessions)
+
+import { expect } from 'chai'
+import { LurchSessionPool } from '../../cli/headless-lurch.js'
+
+// A promise that resolves after the given number of milliseconds
+const delay = ms => new Promise( resolve => setTimeout( resolve, ms ) )
+
+describe( 'Session pools', () => {
+
+    it( 'Should run every task and report results in order', async () => {
+        const pool = new LurchSessionPool( [ { name : 'A' }, { name : 'B' } ] )
+        const reported = [ ]
+        const used = new Set()
+        const results = await pool.map( [ 30, 10, 20, 0 ],
+            async ( session, item, index ) => {
+                used.add( session.name )
+                await delay( item )
+                return `${index}:${item}`
+            }, ( result, index ) => reported.push( [ result, index ] ) )
+        expect( results ).to.eql( [ '0:30', '1:10', '2:20', '3:0' ] )
+        expect( reported ).to.eql( [
+            [ '0:30', 0 ], [ '1:10', 1 ], [ '2:20', 2 ], [ '3:0', 3 ]
+        ] )
+        expect( used ).to.eql( new Set( [ 'A', 'B' ] ) )
+    } )
+
+    it( 'Should stop starting tasks after one fails', async () => {
+        const pool = new LurchSessionPool( [ { }, { } ] )
+        const started = [ ]
+        const finished = [ ]
+        let error = null
+        try {
+            await pool.map( [ 0, 1, 2, 3, 4, 5 ], async ( session, item ) => {
+                started.push( item )
+                await delay( item == 1 ? 20 : 5 )
+                if ( item == 0 ) throw new Error( 'first failure' )
+                if ( item == 1 ) throw new Error( 'second failure' )
+                finished.push( item )
+            } )
+        } catch ( caught ) {
+            error = caught
+        }
+        expect( error?.message ).to.equal( 'first failure' )
+        // Item 1 was already running, so it was allowed to finish, but no
+        // session went on to start items 2 through 5
+        expect( started ).to.eql( [ 0, 1 ] )
+        expect( finished ).to.eql( [ ] )
+    } )
+
+    it( 'Should wait for running tasks before rejecting', async () => {
+        const pool = new LurchSessionPool( [ { }, { } ] )
+        let slowTaskDone = false
+        let error = null
+        try {
+            await pool.map( [ 'fail', 'slow' ], async ( session, item ) => {
+                if ( item == 'fail' ) throw new Error( 'failed' )
+                await delay( 20 )
+                slowTaskDone = true
+            } )
+        } catch ( caught ) {
+            error = caught
+        }
+        expect( error?.message ).to.equal( 'failed' )
+        expect( slowTaskDone ).to.equal( true )
+    } )
+
+} )
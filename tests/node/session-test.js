@@ -0,0 +1,83 @@
+// What this module DOES test:
+//  - the options with which sessions create the app, which turn off the app's
+//    own validation timeout
+//  - waiting for validation runs longer than the app's default timeout, but
+//    not longer than the session's own timeout
+// What this module DOES NOT test:
+//  - opening sessions or validating documents, which needs a headless browser
+//    (so these tests use a plain object in place of the browser's page)
+
+import { expect } from 'chai'
+import { LurchSession, appOptions } from '../../cli/headless-lurch.js'
+
+// A stand-in for a page in the headless browser, in which validation takes
+// the given number of seconds, and then fails if failure is given.  Waiting
+// for validation times out as puppeteer's does, but without actually waiting.
+const fakePage = ( seconds, failure = null ) => ( {
+    evaluate : async () => failure,
+    waitForFunction : async ( _, { timeout } ) => {
+        if ( timeout > 0 && timeout < seconds * 1000 ) {
+            const error = new Error( `Waiting failed: ${timeout}ms exceeded` )
+            error.name = 'TimeoutError'
+            throw error
+        }
+    }
+} )
+
+describe( 'Headless sessions', () => {
+
+    it( 'Should turn off the app\'s own validation timeout', () => {
+        expect( appOptions() ).to.eql( {
+            appDefaults : { 'validation timeout' : 0 },
+            documentDefaults : { }
+        } )
+        const options = appOptions( {
+            appDefaults : { notation : 'AsciiMath' },
+            documentDefaults : { 'shell style' : 'boxed' }
+        } )
+        expect( options.appDefaults ).to.eql(
+            { 'validation timeout' : 0, notation : 'AsciiMath' } )
+        expect( options.documentDefaults ).to.eql( { 'shell style' : 'boxed' } )
+    } )
+
+    it( 'Should let the app defaults set the app\'s timeout', () => {
+        const options = appOptions( { appDefaults : { 'validation timeout' : 30 } } )
+        expect( options.appDefaults['validation timeout'] ).to.equal( 30 )
+    } )
+
+    it( 'Should not cut off validation after 120 seconds', async () => {
+        const session = new LurchSession( fakePage( 300 ) )
+        await session.validateAndWait()
+    } )
+
+    it( 'Should give up after the session\'s own timeout', async () => {
+        const slow = new LurchSession( fakePage( 700 ) )
+        let error = null
+        try {
+            await slow.validateAndWait()
+        } catch ( e ) {
+            error = e
+        }
+        expect( error?.message ).to.equal( 'Validation did not finish within 600 seconds' )
+        const impatient = new LurchSession( fakePage( 300 ), { validationTimeout : 200 } )
+        error = null
+        try {
+            await impatient.validateAndWait()
+        } catch ( e ) {
+            error = e
+        }
+        expect( error?.message ).to.equal( 'Validation did not finish within 200 seconds' )
+    } )
+
+    it( 'Should report validation that the app says failed', async () => {
+        const session = new LurchSession( fakePage( 1, 'the worker crashed' ) )
+        let error = null
+        try {
+            await session.validateAndWait()
+        } catch ( e ) {
+            error = e
+        }
+        expect( error?.message ).to.equal( 'Validation failed: the worker crashed' )
+    } )
+
+} )
@@ -0,0 +1,145 @@
+// What this module DOES test:
+//  - building graphs of which files import which others, from files on disk,
+//    and finding everything that imports a given file
+//  - comparing two runs of validation results for the same document
+// What this module DOES NOT test:
+//  - watching the file system, or validating documents when they change
+
+import { expect } from 'chai'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { ImportGraph, diffResults } from '../../cli/watch.js'
+
+describe( 'Watch mode', () => {
+
+    describe( 'Import graphs', () => {
+
+        // A temporary folder containing documents with these imports:
+        // main.md imports lib.md, which imports base.md, and other.md imports
+        // nothing
+        let folder
+        const file = name => join( folder, name )
+        beforeEach( () => {
+            folder = mkdtempSync( join( tmpdir(), 'lurch-watch-test-' ) )
+            writeFileSync( file( 'main.md' ), 'Main\n<import src="lib.md"/>\n' )
+            writeFileSync( file( 'lib.md' ), "<import src='base.md'/>\nLib\n" )
+            writeFileSync( file( 'base.md' ), 'Base\n' )
+            writeFileSync( file( 'other.md' ), 'Other\n' )
+        } )
+        afterEach( () => rmSync( folder, { recursive : true, force : true } ) )
+
+        it( 'Should add imported files to the graph', () => {
+            const graph = new ImportGraph()
+            graph.update( file( 'main.md' ) )
+            expect( graph.files() ).to.eql(
+                [ 'main.md', 'lib.md', 'base.md' ].map( file ) )
+            expect( graph.has( file( 'base.md' ) ) ).to.equal( true )
+            expect( graph.has( file( 'other.md' ) ) ).to.equal( false )
+        } )
+
+        it( 'Should find direct and indirect importers', () => {
+            const graph = new ImportGraph()
+            graph.update( file( 'main.md' ) )
+            graph.update( file( 'other.md' ) )
+            expect( graph.importersOf( file( 'base.md' ) ) ).to.eql(
+                [ 'base.md', 'lib.md', 'main.md' ].map( file ) )
+            expect( graph.importersOf( file( 'main.md' ) ) ).to.eql(
+                [ file( 'main.md' ) ] )
+            expect( graph.importersOf( file( 'other.md' ) ) ).to.eql(
+                [ file( 'other.md' ) ] )
+        } )
+
+        it( 'Should update the graph when imports change', () => {
+            const graph = new ImportGraph()
+            graph.update( file( 'main.md' ) )
+            graph.update( file( 'other.md' ) )
+            writeFileSync( file( 'main.md' ), '<import src="other.md"/>\n' )
+            graph.update( file( 'main.md' ) )
+            expect( graph.importersOf( file( 'base.md' ) ) ).to.eql(
+                [ 'base.md', 'lib.md' ].map( file ) )
+            expect( graph.importersOf( file( 'other.md' ) ) ).to.eql(
+                [ 'other.md', 'main.md' ].map( file ) )
+        } )
+
+        it( 'Should treat deleted files as importing nothing', () => {
+            const graph = new ImportGraph()
+            graph.update( file( 'main.md' ) )
+            rmSync( file( 'lib.md' ) )
+            graph.update( file( 'lib.md' ) )
+            expect( graph.has( file( 'lib.md' ) ) ).to.equal( true )
+            expect( graph.importersOf( file( 'base.md' ) ) ).to.eql(
+                [ file( 'base.md' ) ] )
+            expect( graph.importersOf( file( 'lib.md' ) ) ).to.eql(
+                [ 'lib.md', 'main.md' ].map( file ) )
+        } )
+
+        it( 'Should treat every other file as importing the config files', () => {
+            writeFileSync( file( 'header.md' ), '<import src="base.md"/>\n' )
+            const graph = new ImportGraph(
+                [ file( 'header.md' ), undefined, file( 'rules.md' ) ] )
+            graph.update( file( 'other.md' ) )
+            // Even base.md, which the header imports, is not a config file,
+            // so it is treated as importing them, too
+            expect( graph.importersOf( file( 'rules.md' ) ) ).to.eql(
+                [ 'rules.md', 'other.md', 'base.md', 'header.md' ].map( file ) )
+            // The config files do not import one another, however
+            expect( graph.importersOf( file( 'header.md' ) ) ).to.eql(
+                [ 'header.md', 'other.md', 'base.md' ].map( file ) )
+        } )
+
+    } )
+
+    describe( 'Differences between validation runs', () => {
+
+        const step = ( lurch, result, reason ) => ( {
+            type : 'expression', contentType : 'Statement', lurch, result, reason
+        } )
+
+        it( 'Should find no differences between identical runs', () => {
+            const run = [ step( 'P', 'valid' ), step( 'Q', 'invalid', 'No' ),
+                          { type : 'expression', latex : 'x' } ]
+            expect( diffResults( run, run ) ).to.eql( [ ] )
+        } )
+
+        it( 'Should report changed, added, and removed results', () => {
+            expect( diffResults(
+                [ step( 'P', 'valid' ), step( 'Q', 'valid' ), step( 'R', 'valid' ) ],
+                [ step( 'P', 'invalid', 'Wrong' ), step( 'S', 'valid', 'Good' ),
+                  step( 'R', 'valid' ) ]
+            ) ).to.eql( [
+                { change : 'changed', atom : 'expression: `P`',
+                  before : 'valid', after : 'invalid', reason : 'Wrong' },
+                { change : 'added', atom : 'expression: `S`',
+                  after : 'valid', reason : 'Good' },
+                { change : 'removed', atom : 'expression: `Q`', before : 'valid' }
+            ] )
+        } )
+
+        it( 'Should match repeated atoms by their order', () => {
+            expect( diffResults(
+                [ step( 'P', 'valid' ), step( 'P', 'valid' ) ],
+                [ step( 'P', 'valid' ), step( 'P', 'invalid' ), step( 'P', 'valid' ) ]
+            ) ).to.eql( [
+                { change : 'changed', atom : 'expression: `P` (2)',
+                  before : 'valid', after : 'invalid', reason : undefined },
+                { change : 'added', atom : 'expression: `P` (3)',
+                  after : 'valid', reason : undefined }
+            ] )
+        } )
+
+        it( 'Should ignore atoms without results', () => {
+            expect( diffResults(
+                [ step( 'P' ), step( 'Q', 'valid' ) ],
+                [ step( 'Q', 'valid' ), step( 'R' ) ]
+            ) ).to.eql( [ ] )
+            // but losing a result is a change
+            expect( diffResults( [ step( 'P', 'valid' ) ], [ step( 'P' ) ] ) )
+                .to.eql( [ { change : 'changed', atom : 'expression: `P`',
+                             before : 'valid', after : undefined,
+                             reason : undefined } ] )
+        } )
+
+    } )
+
+} )
@@ -0,0 +1,99 @@
+// What this module DOES test:
+//  - that we can import the necessary functions for testing
+//  - that keys identify the document and the version of the deductive engine,
+//    and that there are none when that version is not known
+//  - that feedback written to the cache can be read back with the same key
+//  - that a cache miss resolves to undefined rather than rejecting, whether the
+//    document was never cached, the browser cannot compute hashes, or
+//    IndexedDB is unavailable
+// What this module DOES NOT test:
+//  - the validation worker's use of the cache
+//  - discarding the least recently used entries when the cache is full
+
+import {
+    cacheKey, readCache, writeCache, maximumEntries
+} from '../validation-cache.js'
+import { LDEVersion } from '../lde-cdn.js'
+
+// Replace a property of the global object (such as crypto or indexedDB) for
+// the duration of one test, returning a function that restores it.
+const replaceGlobal = ( name, value ) => {
+    const original = Object.getOwnPropertyDescriptor( window, name )
+    Object.defineProperty( window, name,
+        { value, configurable : true, writable : true } )
+    return () => original ? Object.defineProperty( window, name, original )
+                          : delete window[name]
+}
+
+describe( 'Validation cache', () => {
+
+    it( 'Should import correct identifiers', () => {
+        expect( cacheKey ).to.be.ok
+        expect( readCache ).to.be.ok
+        expect( writeCache ).to.be.ok
+        expect( maximumEntries ).to.be.above( 0 )
+    } )
+
+    it( 'Should compute no keys if the engine version is not known', async () => {
+        // As when the LDE is loaded from a branch, which can change
+        if ( LDEVersion ) return
+        expect( await cacheKey( 'putdown\n(A B)' ) ).to.be.undefined
+    } )
+
+    it( 'Should compute the same key for the same document only', async () => {
+        if ( !LDEVersion ) return
+        const key = await cacheKey( 'putdown\n(A B)' )
+        expect( key ).to.match( /^[0-9a-f]{64}$/ )
+        expect( await cacheKey( 'putdown\n(A B)' ) ).to.equal( key )
+        expect( await cacheKey( 'putdown\n(A C)' ) ).not.to.equal( key )
+    } )
+
+    it( 'Should read back the feedback it wrote', async () => {
+        const key = `test key ${Date.now()}`
+        const feedback = [ { id : 'x', results : [ { result : 'valid' } ] } ]
+        await writeCache( key, feedback )
+        expect( await readCache( key ) ).to.eql( feedback )
+    } )
+
+    it( 'Should miss for documents that were never cached', async () => {
+        const key = `never cached ${Date.now()}`
+        expect( await readCache( key ) ).to.be.undefined
+        expect( await readCache( undefined ) ).to.be.undefined
+    } )
+
+    it( 'Should miss rather than fail when it cannot compute hashes', async () => {
+        // As in pages served over plain http from somewhere other than
+        // localhost, where crypto.subtle is undefined
+        const restore = replaceGlobal( 'crypto', { } )
+        try {
+            const key = await cacheKey( 'putdown\n(A B)' )
+            expect( key ).to.be.undefined
+            expect( await readCache( key ) ).to.be.undefined
+            await writeCache( key, [ ] )
+        } finally {
+            restore()
+        }
+    } )
+
+    it( 'Should miss rather than fail when IndexedDB is unavailable', async () => {
+        const key = `test key ${Date.now()}`
+        let restore = replaceGlobal( 'indexedDB', undefined )
+        try {
+            expect( await readCache( key ) ).to.be.undefined
+            await writeCache( key, [ ] )
+        } finally {
+            restore()
+        }
+        // As in browsers that refuse to open databases in private modes
+        restore = replaceGlobal( 'indexedDB', {
+            open : () => { throw new Error( 'Storage is not allowed' ) }
+        } )
+        try {
+            expect( await readCache( key ) ).to.be.undefined
+            await writeCache( key, [ ] )
+        } finally {
+            restore()
+        }
+    } )
+
+} )
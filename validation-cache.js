@@ -0,0 +1,150 @@
+/**
+ * This module stores validation feedback in the browser's IndexedDB, so that
+ * re-validating a document that has not changed since it was last validated
+ * does not require running the deductive engine again.  It is used by the
+ * {@link module:ValidationWorker validation worker}, which runs in a Web Worker,
+ * where IndexedDB is also available.
+ * 
+ * Cached feedback is keyed by a hash of the serialized document that the main
+ * thread sends to the worker together with the version of the deductive engine
+ * that produced the feedback.  If that version is not known, because the app
+ * loads the engine from a branch rather than a fixed commit (see
+ * {@link LDEVersion}), nothing is cached, since feedback from an older engine
+ * could not be told apart from feedback from the current one.  Because the serialized document includes the
+ * IDs that connect each piece of feedback to a part of the document in the
+ * editor, any cached feedback can be replayed exactly as if it had just been
+ * computed.
+ * 
+ * If IndexedDB is unavailable (e.g., in some private browsing modes, or when
+ * the browser's storage quota is full), or the browser cannot compute hashes
+ * (which it does only for pages served securely, as from `https://` URLs or
+ * `localhost`), all the functions in this module fail silently, never
+ * rejecting, so that validation proceeds as if nothing were ever cached.
+ * 
+ * @module ValidationCache
+ */
+
+import { LDEVersion } from './lde-cdn.js'
+
+// Internal use only
+// Names used for the database and the object store in it
+const databaseName = 'lurch-validation-cache'
+const storeName = 'feedback'
+
+/**
+ * The maximum number of documents whose feedback is kept in the cache.  When
+ * more than this many are stored, the least recently used ones are discarded.
+ */
+export const maximumEntries = 50
+
+// Internal use only
+// Open the database, creating its object store if needed, and return a promise
+// that resolves to the database, or to undefined if it could not be opened.
+const openDatabase = () => new Promise( resolve => {
+    try {
+        const request = indexedDB.open( databaseName, 1 )
+        request.onupgradeneeded = () =>
+            request.result.createObjectStore( storeName )
+        request.onsuccess = () => resolve( request.result )
+        request.onerror = () => resolve( undefined )
+        request.onblocked = () => resolve( undefined )
+    } catch ( error ) {
+        resolve( undefined )
+    }
+} )
+
+// Internal use only
+// Wrap an IndexedDB request in a promise that resolves to its result, or to
+// undefined if the request fails.
+const settle = request => new Promise( resolve => {
+    request.onsuccess = () => resolve( request.result )
+    request.onerror = () => resolve( undefined )
+} )
+
+/**
+ * Compute the key under which feedback for the given serialized document is
+ * cached.  It is the SHA-256 hash (in hexadecimal) of the document together
+ * with the version of the deductive engine in use, so that upgrading the
+ * engine invalidates all feedback it computed.
+ * 
+ * @param {string} code - the serialized document, as produced by
+ *   {@link Message.document Message.document()}
+ * @returns {Promise<string|undefined>} a promise resolving to the cache key,
+ *   or to undefined if the key cannot be computed (including when the version
+ *   of the deductive engine is not known), in which case nothing can be cached
+ * @function
+ */
+export const cacheKey = async code => {
+    if ( !LDEVersion ) return
+    try {
+        const bytes = new TextEncoder().encode( `${LDEVersion}\n${code}` )
+        const hash = await crypto.subtle.digest( 'SHA-256', bytes )
+        return Array.from( new Uint8Array( hash ) ).map(
+            byte => byte.toString( 16 ).padStart( 2, '0' ) ).join( '' )
+    } catch ( error ) {
+        return undefined
+    }
+}
+
+/**
+ * Look up the feedback cached under the given key, if any.
+ * 
+ * @param {string} key - a key computed by {@link module:ValidationCache.cacheKey
+ *   cacheKey()}
+ * @returns {Promise<Object[]|undefined>} a promise resolving to the array of
+ *   feedback objects stored by {@link module:ValidationCache.writeCache
+ *   writeCache()}, or undefined if there are none (including when the key is
+ *   undefined or the cache cannot be read)
+ * @function
+ */
+export const readCache = async key => {
+    if ( !key ) return
+    try {
+        const database = await openDatabase()
+        if ( !database ) return
+        const store = database.transaction( storeName, 'readwrite' )
+            .objectStore( storeName )
+        const entry = await settle( store.get( key ) )
+        if ( !entry ) return
+        // Mark this entry as recently used, so it is not discarded soon
+        entry.time = Date.now()
+        await settle( store.put( entry, key ) )
+        return entry.feedback
+    } catch ( error ) {
+        return undefined
+    }
+}
+
+/**
+ * Store the given feedback in the cache under the given key, and discard the
+ * least recently used entries if the cache holds more than
+ * {@link module:ValidationCache.maximumEntries maximumEntries} documents.
+ * 
+ * @param {string} key - a key computed by {@link module:ValidationCache.cacheKey
+ *   cacheKey()}
+ * @param {Object[]} feedback - the contents of all feedback messages the worker
+ *   sent about the document
+ * @returns {Promise} a promise that resolves when the cache has been updated,
+ *   or has failed to update (e.g., because the key is undefined), and never
+ *   rejects
+ * @function
+ */
+export const writeCache = async ( key, feedback ) => {
+    if ( !key ) return
+    try {
+        const database = await openDatabase()
+        if ( !database ) return
+        const store = database.transaction( storeName, 'readwrite' )
+            .objectStore( storeName )
+        await settle( store.put( { time : Date.now(), feedback }, key ) )
+        const keys = await settle( store.getAllKeys() ) || [ ]
+        if ( keys.length <= maximumEntries ) return
+        const entries = await settle( store.getAll() ) || [ ]
+        const byAge = keys.map( ( key, index ) => [ key, entries[index].time ] )
+            .sort( ( a, b ) => a[1] - b[1] )
+        for ( const [ oldKey ] of byAge.slice( 0, keys.length - maximumEntries ) )
+            await settle( store.delete( oldKey ) )
+    } catch ( error ) {
+        // Leave the cache as it is; the feedback just will not be reused
+    }
+}
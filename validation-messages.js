@@ -181,15 +181,19 @@ export class Message {
      * main thread.  It constructs a message instance, gives it the type
      * `"progress"`, and says what percentage of the total progress of
      * validation has been accomplished, as an integer in the set
-     * $\{0,1,...,99,100\}$.
+     * $\{0,1,...,99,100\}$.  It can optionally also say which pass of the
+     * validation algorithm is currently running, so that the main thread can
+     * report it if validation takes too long and needs to be cancelled.
      * 
      * This can be done in one line of code without this convenience function,
      * but using this method makes the code more concise and readable.
      * 
      * @param {integer} complete - the progress value, from 0 to 100 inclusive
+     * @param {integer?} pass - the index of the validation pass currently
+     *   running (a positive integer), if known
      */
-    static progress ( complete ) {
-        new Message( { type : 'progress', complete } ).send()
+    static progress ( complete, pass ) {
+        new Message( { type : 'progress', complete, pass } ).send()
     }
 
     /**
@@ -239,15 +243,24 @@ export class Message {
      * run()} function in the {@link module:Validation validation module}.  You
      * probably do not need to call this function if you are using that one.
      * 
+     * If the `targets` parameter is provided, then every atom or shell whose
+     * element appears in that array will have its LCs marked with the
+     * attribute `"target"`.  The deductive engine respects that attribute by
+     * validating only the marked portions of the document, while still using
+     * the rest of the document as context.  This is much faster than
+     * validating the whole document when only a small part of it has changed.
+     * 
      * @param {tinymce.editor} editor - the editor containing the document to be
      *   converted
      * @param {string} encoding - the name of the encoding to use (currently
      *   supporting only "putdown" and "json" options)
+     * @param {HTMLElement[]?} targets - the elements of the atoms and shells
+     *   to mark as validation targets, or omit this to validate everything
      * @returns {Message} - the message that can be sent to the {@link
      *   module:ValidationWorker validation worker} to transmit the entire
      *   document, in serialized form
      */
-    static document ( editor, encoding = 'json' ) {
+    static document ( editor, encoding = 'json', targets = null ) {
         // Ensure that the encoding is one of the valid ones; error if not.
         encoding = encoding.toLowerCase()
         if ( ![ 'putdown', 'json' ].includes( encoding ) )
@@ -258,6 +271,7 @@ export class Message {
         const assignID = ( LC, element ) => {
             LC.setID( counter )
             Message.idToElement.set( `${counter}`, element )
+            if ( targets?.includes( element ) ) LC.setAttribute( 'target', true )
             counter++
         }
         // Convert an array of Atom or Shell instances into an LC representing
@@ -19,6 +19,7 @@
 
 import { Message } from './validation-messages.js'
 import { LDE } from './lde-cdn.js'
+import { cacheKey, readCache, writeCache } from './validation-cache.js'
 
 const LogicConcept = LDE.LogicConcept
 
@@ -36,7 +37,7 @@ LDE.LurchOptions.updateProgress = ( passIndex, _, percentComplete ) => {
     const proportion = percentComplete / 100
     const transformed = 1 - Math.pow( 2, -passIndex+1 )
                           + Math.pow( 2, -passIndex ) * proportion
-    Message.progress( ( transformed * 100 ) | 0 )
+    Message.progress( ( transformed * 100 ) | 0, passIndex )
 }
 LDE.LurchOptions.updateFreq = 1
 
@@ -44,24 +45,39 @@ LDE.LurchOptions.updateFreq = 1
 // for a document to validate.  When it does, we run our one (temporary
 // placeholder) validation routine, which will send "feedback" and "done"
 // messages, as appropriate.  Any non-putdown messages we receive generate error
-// feedback instead.
-addEventListener( 'message', event => {
+// feedback instead.  If we have already validated the exact same document
+// before, we just replay the feedback from the cache, unless the message asks
+// for a fresh validation run.  Whatever happens, we must always finish by
+// sending a "done" message, or the main thread will wait for one forever.
+// (The cache functions never reject; if the cache cannot be used, they just
+// report that nothing is cached.)
+addEventListener( 'message', async event => {
     const message = new Message( event )
     if ( !message.is( 'document' ) )
         return Message.error( 'Not a document message' )
     const encoding = message.get( 'encoding' )
     const code = message.get( 'code' )
+    const key = await cacheKey( `${encoding}\n${code}` )
+    if ( !message.get( 'fresh' ) ) {
+        const cached = await readCache( key )
+        if ( cached ) {
+            cached.forEach( feedback => Message.feedback( feedback ) )
+            return Message.done()
+        }
+    }
     try {
+        let feedback
         if ( encoding == 'putdown' ) {
             const LCs = LogicConcept.fromPutdown( code )
             if ( LCs.length != 1 )
                 throw new Error( 'Incorrect number of LCs: ' + LCs.length )
-            validateDocument( LCs[0] )
+            feedback = validateDocument( LCs[0] )
         } else if ( encoding == 'json' ) {
-            validateDocument( LogicConcept.fromJSON( code ) )
+            feedback = validateDocument( LogicConcept.fromJSON( code ) )
         } else {
             throw new Error( `Not a valid document encoding: ${encoding}` )
         }
+        if ( feedback ) await writeCache( key, feedback )
     } catch ( error ) {
         Message.error( `Error decoding document: ${error.message || error}` )
         Message.done()
@@ -103,7 +119,9 @@ const getValidationResults = LC => {
     return results
 }
 
-// Validate using the imported Lurch Deductive Engine (LDE) module
+// Validate using the imported Lurch Deductive Engine (LDE) module.
+// Returns the contents of all feedback messages sent, for caching, or
+// undefined if anything went wrong, so that nothing gets cached.
 const validateDocument = LC => {
     // First run validation, so that the LC contains feedback to send back:
     // console.log( LC.toPutdown() )
@@ -112,11 +130,14 @@ const validateDocument = LC => {
     } catch ( error ) {
         // console.log( error.stack )
         Message.error( `Error running LDE validation: ${error.message}` )
+        Message.done()
         return
     }
     // Define a post-order tree traversal recursion that will find all the
     // feedback the validation generated, and send feedback messages about each:
     const queuedFeedback = { }
+    const sentFeedback = [ ]
+    let succeeded = true
     const postOrderTraversal = descendant => {
         // We're doing a post-order tree traversal, so do the children first:
         descendant.children().forEach( postOrderTraversal )
@@ -145,6 +166,7 @@ const validateDocument = LC => {
                     delete queuedFeedback[feedbackObject.id]
                 }
                 Message.feedback( feedbackObject )
+                sentFeedback.push( feedbackObject )
             // Otherwise, we need to queue up its feedback to be added to that
             // of an ancestor.  We do so like this:
             } else {
@@ -154,10 +176,12 @@ const validateDocument = LC => {
             }
         } catch ( error ) {
             Message.error( `Error generating feedback: ${error.message}` )
+            succeeded = false
         }
     }
     // Apply the above recursive function to the LC, then be done:
     // console.log( LC.toPutdown() )
     postOrderTraversal( LC )
     Message.done()
+    if ( succeeded ) return sentFeedback
 }
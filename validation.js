@@ -24,9 +24,18 @@
  */
 
 import { Message } from './validation-messages.js'
-import { Atom } from './atoms.js'
+import { Atom, className as atomClassName } from './atoms.js'
+import { Shell } from './shells.js'
 import { Dialog } from './dialog.js'
 import { isOnScreen } from './utilities.js'
+import { appSettings } from './settings-install.js'
+import { lookup } from './document-settings.js'
+import { LDESource } from './lde-cdn.js'
+
+// Internal use only
+// How long to wait after the user stops editing atoms before running live
+// validation, in milliseconds
+const liveValidationDelay = 1000
 
 /**
  * This function should be called in the editor's setup routine.  It installs
@@ -41,7 +50,21 @@ import { isOnScreen } from './utilities.js'
  * In order to support the functionality of those two menu items, the
  * `install()` function also constructs a web worker that will do the validation
  * in the background, and that web worker loads the tools in the
- * {@link module:ValidationWorker validation worker module}.  This function also
+ * {@link module:ValidationWorker validation worker module}.  While validation
+ * runs, the progress notification has a button for cancelling it, which
+ * terminates the worker and replaces it with a fresh one.  The same happens
+ * automatically if validation exceeds the time limit in the user's
+ * application settings.  If the document's "live validation" setting is on,
+ * validation also runs quietly (without a progress notification) shortly after
+ * each time the user edits an atom.  If the worker crashes during validation
+ * (for example, by running out of memory on a large document), the user is
+ * shown an error, the worker is replaced with a fresh one, and the editor
+ * dispatches a `validationFailed` event (whose `reason` field explains what
+ * went wrong) followed by the usual `validationFinished` event, so that
+ * clients waiting for validation to finish are not left waiting forever.
+ * If validation exceeds its time limit, the editor dispatches the same two
+ * events, but the user is shown only a warning, as when they cancel
+ * validation themselves.  This function also
  * installs event handlers on the worker and on this window so that
  * {@link Message Message instances} sent from the worker or from this window
  * during parsing can be handled and used to create validation feedback in the
@@ -53,32 +76,102 @@ import { isOnScreen } from './utilities.js'
  */
 export const install = editor => {
 
-    // Load the ValidationWorker module code so it can talk to us.
-    const worker = new Worker(
-        `${editor.appOptions.appRoot}/validation-worker.js`,
-        { type : 'module' } )
+    // The Web Worker that runs the ValidationWorker module code; it is created
+    // by startWorker(), below, and replaced whenever validation is cancelled.
+    // If it crashes when no validation is running, it is set to null, and a
+    // new one is created only when validation next starts.
+    let worker = null
 
     // Object for storing the progress notification we show during validation
     let progressNotification = null
+    // Timer that cancels validation if it runs too long, and the most recent
+    // validation pass the worker told us it was in (for reporting on timeout)
+    let validationTimer = null
+    let currentPass = null
+    // Whether a validation run is in progress, and whether it is a quiet one
+    // (started by live validation, without any progress notification)
+    let validationRunning = false
+    let quietRun = false
+    // Whether the quiet run in progress is out of date, because the user edited
+    // the document after it started, so that its feedback should be ignored
+    let discardRun = false
 
     // Define utility function used below:
     // Remove all validation markers from all atoms and shells in the editor
     const clearAll = () => {
         Atom.allIn( editor ).forEach( atom =>
             atom.setValidationResult( null ) )
+        staleElements.clear()
+        everythingIsStale = false
+        editor.dispatch( 'validationCleared' )
     }
 
-    // Global(ish) variable used by the function below
+    // Track which atoms and shells have feedback that is out of date, because
+    // they (or something they can see) changed since they were last validated.
+    // The next validation run can then re-check just those, rather than the
+    // whole document.  If we cannot tell what a change affected (e.g., when an
+    // atom was deleted, so its position is gone) we mark everything as stale.
+    const staleElements = new Set()
+    let everythingIsStale = false
+    // When validation is running on just some targets, this holds them, so
+    // that feedback about other parts of the document is not applied.
+    let currentTargets = null
+
+    // Compute the set of atoms and shells whose feedback could be changed by a
+    // change to the given atom or shell element.  This includes the element
+    // itself, anything inside it (if it is a shell), anything later in the
+    // document that can see it (its dependents), and every shell enclosing any
+    // of those, because a shell's feedback summarizes that of its contents.
+    const affectedBy = element => {
+        const result = new Set( [
+            element,
+            ...element.querySelectorAll( `.${atomClassName}` ),
+            ...Shell.dependents( editor, element )
+        ] )
+        Array.from( result ).forEach( affected => {
+            for ( let walk = Atom.findAbove( affected.parentNode, editor )
+                ; walk
+                ; walk = Atom.findAbove( walk.element.parentNode, editor ) )
+                result.add( walk.element )
+        } )
+        return result
+    }
+
+    // Elements whose changes have not yet been processed (see below)
+    const changedElements = new Set()
     let clearIsPending = false
-    // Same as previous utility function, but this one queues them up, so that
-    // (a) they don't happen immediately and (b) multiple calls can get
-    // compressed into a single result, for efficiency.
-    const queueClearAll = () => {
+    // Queue up the clearing of the feedback affected by a change to the given
+    // element (or to an unknown part of the document, if no element is given),
+    // so that (a) it doesn't happen immediately and (b) multiple calls can get
+    // compressed into a single computation, for efficiency.  Because this
+    // removes some feedback markers, we dispatch the same event as clearAll()
+    // does, so that anything summarizing the feedback (such as the feedback
+    // panel) can update itself.
+    const queueClear = element => {
+        if ( element )
+            changedElements.add( element )
+        else
+            everythingIsStale = true
         if ( clearIsPending ) return
         clearIsPending = true
         setTimeout( () => {
-            clearAll( editor )
+            let cleared = false
+            changedElements.forEach( changed => {
+                if ( !editor.dom.doc.body.contains( changed ) ) return
+                affectedBy( changed ).forEach( affected => {
+                    staleElements.add( affected )
+                    Atom.from( affected, editor ).setValidationResult( null )
+                    cleared = true
+                } )
+            } )
+            changedElements.clear()
+            if ( everythingIsStale ) {
+                Atom.allIn( editor ).forEach( atom =>
+                    atom.setValidationResult( null ) )
+                cleared = true
+            }
             clearIsPending = false
+            if ( cleared ) editor.dispatch( 'validationCleared' )
         } )
     }
 
@@ -88,56 +181,259 @@ export const install = editor => {
     Atom.prototype.dataChanged = function () {
         if ( this.editor == editor && isOnScreen( this.element )
           && editor.dom.doc.body.contains( this.element ) )
-            queueClearAll()
+            queueClear( this.element )
     }
 
     // Same as above, but now for the removal of an atom or shell.
-    // In this case, don't bother checking if it's on screen.
+    // In this case, don't bother checking if it's on screen.  Because the
+    // element is no longer in the document, we cannot tell which other atoms
+    // could see it, so we must treat all feedback as stale.
     Atom.prototype.wasDeleted = function () {
-        if ( this.editor == editor ) queueClearAll()
+        if ( this.editor == editor ) queueClear()
+    }
+
+    // Send the document to the worker for validation.  The options object can
+    // contain any of the following fields.
+    //  - targets: if given, only these elements (and any atoms inside them)
+    //    will be validated and decorated with feedback (though the rest of the
+    //    document is still sent, because it provides their context)
+    //  - fresh: if true, the worker will not use any feedback it has cached
+    //    from validating the same document before
+    //  - quiet: if true, do not show any progress or completion notifications
+    // Any validation run already in progress is stopped first, so that only
+    // one run (and one timeout timer) exists at a time; otherwise the older
+    // run's "done" message would end the newer one, and its timer would later
+    // cancel the newer one's results.
+    const startValidation = ( options = { } ) => {
+        if ( validationRunning ) stopWorker()
+        const { targets = null, fresh = false, quiet = false } = options
+        currentTargets = targets ? new Set( targets.flatMap( element => [
+            element, ...element.querySelectorAll( `.${atomClassName}` )
+        ] ) ) : null
+        validationRunning = true
+        quietRun = quiet
+        discardRun = false
+        editor.dispatch( 'validationStarted' )
+        // Start progress bar in UI
+        if ( !quiet ) {
+            progressNotification = editor.notificationManager.open( {
+                text : 'Validating...',
+                type : 'info',
+                progressBar : true
+            } )
+            addCancelButton( progressNotification )
+        }
+        // Send the document to the worker to initiate background validation
+        if ( !worker ) startWorker()
+        new Message( {
+            ...Message.document( editor, 'putdown',
+                currentTargets && Array.from( currentTargets ) ).content,
+            fresh
+        } ).send( worker )
+        staleElements.clear()
+        everythingIsStale = false
+        // Give up automatically if it takes too long, if the user wants that
+        currentPass = null
+        const seconds = parseFloat( appSettings.get( 'validation timeout' ) )
+        if ( seconds > 0 )
+            validationTimer = setTimeout( () => cancelValidation(
+                `Validation timed out after ${seconds} seconds`
+              + ( currentPass ? ` during pass ${currentPass}.` : '.' ), true ),
+                seconds * 1000 )
+    }
+
+    // Stop any validation run in progress by terminating the worker (which may
+    // be stuck in a long or infinite computation) and starting a fresh one.
+    const stopWorker = () => {
+        clearTimeout( validationTimer )
+        validationTimer = null
+        worker?.terminate()
+        startWorker()
+        progressNotification?.close()
+        progressNotification = null
+        currentTargets = null
+        validationRunning = false
+        discardRun = false
+    }
+
+    // Stop any validation run in progress, as above, and return the editor to
+    // a clean state with no feedback in it.  If a reason is given, show it to
+    // the user as a warning.  If the run did not end by the user's choice (as
+    // when it times out), pass true as the second argument, so that clients
+    // can learn the reason from the validationFailed event.
+    const cancelValidation = ( reason, failed = false ) => {
+        stopWorker()
+        clearAll()
+        if ( reason ) Dialog.notify( editor, 'warning', reason )
+        if ( failed ) editor.dispatch( 'validationFailed', { reason } )
+        editor.dispatch( 'validationFinished' )
+    }
+
+    // Same as the previous function, but for when validation could not finish
+    // because the worker crashed, as explained in the given reason.  Because
+    // that is unexpected, unlike a timeout, the user sees the reason in an
+    // error dialog rather than a warning, and clients can learn it from the
+    // validationFailed event.
+    const failValidation = reason => {
+        stopWorker()
+        clearAll()
+        Dialog.failure( editor, reason, 'Validation failed' )
+        editor.dispatch( 'validationFailed', { reason } )
+        editor.dispatch( 'validationFinished' )
+    }
+
+    // Handle the worker crashing (an "error" event) or sending us a message
+    // that cannot be read (a "messageerror" event).  Either way, the worker
+    // will never send the "done" message for the current validation run, so
+    // we end that run as a failure.  If no run was in progress, we discard the
+    // worker without replacing it, because if it failed while loading, a new
+    // one would just fail the same way, over and over.
+    const handleWorkerError = event => {
+        if ( event.target !== worker ) return
+        const details = event.type == 'messageerror' ?
+            'The validation worker sent a message that could not be read.' :
+            event.message ? `The validation worker crashed: ${event.message}` :
+            'The validation worker stopped unexpectedly.'
+        console.log( `Warning: ${details}` )
+        if ( validationRunning ) {
+            failValidation( `${details}  It has been restarted, `
+                          + 'so you can try validating again.' )
+        } else {
+            worker.terminate()
+            worker = null
+        }
+    }
+
+    // Add to the given progress notification a button that lets the user
+    // cancel the validation run it is reporting on.
+    const addCancelButton = notification => {
+        const button = document.createElement( 'button' )
+        button.setAttribute( 'type', 'button' )
+        button.classList.add( 'tox-button', 'tox-button--secondary' )
+        button.style.marginLeft = '1em'
+        button.textContent = 'Cancel'
+        button.addEventListener( 'click', () =>
+            cancelValidation( 'Validation cancelled.' ) )
+        notification.getEl().querySelector( '.tox-notification__body' )
+            ?.appendChild( button )
+    }
+
+    // The stale elements that are still in the document, as validation targets
+    const staleTargets = () => Array.from( staleElements ).filter(
+        element => editor.dom.doc.body.contains( element ) )
+
+    // If the document has live validation turned on, then whenever the user
+    // stops editing atoms for a moment, re-validate whatever has gone stale.
+    // If a quiet validation run is still in progress when an edit happens, its
+    // results would be out of date, so we let it finish but ignore its
+    // feedback, and mark whatever it was checking stale again, so that the
+    // next run includes it.  (Stopping the run instead would mean restarting
+    // the worker, which reloads the whole deductive engine, on every edit.)
+    // That next run starts once this one finishes.
+    let liveTimer = null
+    editor.on( 'atomUpdateFinished', () => {
+        if ( !lookup( editor, 'live validation' ) ) return
+        if ( validationRunning && quietRun && !discardRun ) {
+            if ( currentTargets )
+                currentTargets.forEach( element => staleElements.add( element ) )
+            else
+                everythingIsStale = true
+            discardRun = true
+        }
+        scheduleLiveValidation()
+    } )
+    const scheduleLiveValidation = () => {
+        clearTimeout( liveTimer )
+        liveTimer = setTimeout( () => {
+            liveTimer = null
+            // Let any manual validation run finish without interruption
+            if ( validationRunning ) return
+            const showing =
+                editor.getBody().querySelector( '[class^=feedback-marker]' )
+            if ( everythingIsStale || !showing ) {
+                clearAll()
+                startValidation( { quiet : true } )
+            } else if ( staleElements.size > 0 ) {
+                startValidation( { targets : staleTargets(), quiet : true } )
+            }
+        }, liveValidationDelay )
     }
 
     // Install event handler so that we can decorate the document correctly upon
     // receiving validation feedback.  We install it on both the worker and this
     // window, because when parsing errors happen, we send feedback about them
     // from this window itself before even sending anything to the worker.
-    ;[ worker, window ].forEach( context =>
-        context.addEventListener( 'message', event => {
-            const message = new Message( event )
-            // console.log( JSON.stringify( message.content, null, 4 ) )
-            if ( message.is( 'feedback' ) || message.is( 'error' ) ) {
-                if ( message.element ) {
-                    // console.log( message.element )
-                    if ( Atom.isAtomElement( message.element ) ) {
-                        Atom.from( message.element, editor )
-                            .applyValidationMessage( message )
-                    } else {
-                        console.log( 'Warning: feedback message received for unusable element' )
-                        // console.log( JSON.stringify( message.content, null, 4 ) )
-                    }
-                } else if ( message.content.id == 'documentEnvironment' ) {
-                    // feedback about whole document; ignore for now
+    const handleMessage = event => {
+        // Ignore anything still arriving from a worker we have terminated
+        if ( event.target instanceof Worker && event.target !== worker )
+            return
+        const message = new Message( event )
+        // console.log( JSON.stringify( message.content, null, 4 ) )
+        if ( message.is( 'feedback' ) || message.is( 'error' ) ) {
+            if ( discardRun ) {
+                // feedback from a run that is out of date
+            } else if ( message.element ) {
+                // console.log( message.element )
+                if ( currentTargets
+                  && !currentTargets.has( message.element ) ) {
+                    // feedback about a part we are not re-validating
+                } else if ( Atom.isAtomElement( message.element ) ) {
+                    Atom.from( message.element, editor )
+                        .applyValidationMessage( message )
                 } else {
-                    console.log( 'Warning: feedback message received with no target element' )
-                    console.log( JSON.stringify( message.content, null, 4 ) )
+                    console.log( 'Warning: feedback message received for unusable element' )
+                    // console.log( JSON.stringify( message.content, null, 4 ) )
                 }
-            } else if ( message.is( 'progress' ) ) {
-                progressNotification.progressBar.value( message.get( 'complete' ) )
-            } else if ( message.is( 'done' ) ) {
-                progressNotification.close()
-                Dialog.notify( editor, 'success', 'Validation complete', 2000 )
-                progressNotification = null
-                editor.dispatch( 'validationFinished' )
-            } else if ( message.content?.type?.startsWith( 'mathlive#' ) ) {
-                // Ignore messages MathLive is sending to itself
-            } else if ( event.data['lurch-embed'] ) {
-                // Ignore messages that initialize embedded Lurch instances
+            } else if ( message.content.id == 'documentEnvironment'
+                     || message.is( 'error' ) ) {
+                // feedback about the whole document, for the feedback panel
+                editor.dispatch( 'documentFeedback',
+                    { results : message.getAllFeedback() } )
             } else {
-                console.log( 'Warning: unrecognized message type' )
-                // console.log( JSON.stringify( message.content, null, 4 ) )
+                console.log( 'Warning: feedback message received with no target element' )
+                console.log( JSON.stringify( message.content, null, 4 ) )
             }
-        } )
-    )
+        } else if ( message.is( 'progress' ) ) {
+            currentPass = message.get( 'pass' ) || currentPass
+            progressNotification?.progressBar.value(
+                message.get( 'complete' ) )
+        } else if ( message.is( 'done' ) ) {
+            clearTimeout( validationTimer )
+            validationTimer = null
+            progressNotification?.close()
+            if ( !quietRun )
+                Dialog.notify( editor, 'success', 'Validation complete', 2000 )
+            progressNotification = null
+            currentTargets = null
+            validationRunning = false
+            editor.dispatch( 'validationFinished' )
+            // If this run was out of date, start the one that replaces it
+            if ( discardRun ) {
+                discardRun = false
+                scheduleLiveValidation()
+            }
+        } else if ( message.content?.type?.startsWith( 'mathlive#' ) ) {
+            // Ignore messages MathLive is sending to itself
+        } else if ( event.data['lurch-embed'] ) {
+            // Ignore messages that initialize embedded Lurch instances
+        } else {
+            console.log( 'Warning: unrecognized message type' )
+            // console.log( JSON.stringify( message.content, null, 4 ) )
+        }
+    }
+    window.addEventListener( 'message', handleMessage )
+
+    // Load the ValidationWorker module code so it can talk to us, and listen to
+    // the messages it sends, using the handler above.
+    const startWorker = () => {
+        worker = new Worker(
+            `${editor.appOptions.appRoot}/validation-worker.js?lde=${LDESource}`,
+            { type : 'module' } )
+        worker.addEventListener( 'message', handleMessage )
+        worker.addEventListener( 'error', handleWorkerError )
+        worker.addEventListener( 'messageerror', handleWorkerError )
+    }
+    startWorker()
 
     // Add menu item for toggling validation
     editor.ui.registry.addMenuItem( 'validate', {
@@ -146,25 +442,85 @@ export const install = editor => {
         tooltip : 'Run Lurch\'s checking algorithm on the document',
         shortcut : 'meta+0',
         onAction : () => {
-            // check if there is any validation showing already, and if so, clear it
-            if ( editor.getBody().querySelector( '[class^=feedback-marker]' ) ) { 
-                clearAll() 
-            // otherwise validate it
+            const showing =
+                editor.getBody().querySelector( '[class^=feedback-marker]' )
+            // if feedback is showing and up to date, this action hides it
+            if ( showing && !everythingIsStale && staleElements.size == 0 ) {
+                clearAll()
+            // if feedback is showing but some of it is stale, re-validate
+            // only the parts of the document affected by recent changes
+            } else if ( showing && !everythingIsStale ) {
+                startValidation( { targets : staleTargets() } )
+            // otherwise validate the whole document
             } else {
-                // Clear old results
                 clearAll()
-                // Start progress bar in UI
-                progressNotification = editor.notificationManager.open( {
-                    text : 'Validating...',
-                    type : 'info',
-                    progressBar : true
-                } )
-                // Send the document to the worker to initiate background validation
-                Message.document( editor, 'putdown' ).send( worker )
+                startValidation()
             }
         }
     } )
 
+    // Install a command for validating just some atoms and shells, which the
+    // caller passes as an array of their elements, using everything accessible
+    // to them as context.  Any existing feedback is removed first, so that
+    // only the targeted parts of the document show feedback afterwards.  This
+    // is a command rather than an ordinary function so that atoms can run it
+    // (e.g., from their context menus) without importing this module.
+    editor.addCommand( 'validateOnly', ( _, elements ) => {
+        if ( validationRunning ) stopWorker()
+        clearAll()
+        startValidation( { targets : elements } )
+    } )
+
+    // Install a command for validating the whole document, regardless of
+    // what feedback it is showing, unlike the validate menu item above, which
+    // hides feedback if it is up to date.  Any validation already running is
+    // stopped first.  The optional value tells whether to skip the cache, as
+    // in startValidation().  This lets clients such as the CLI request a
+    // validation run and be sure that one happens.
+    editor.addCommand( 'validateAll', ( _, fresh ) => {
+        if ( validationRunning ) stopWorker()
+        clearAll()
+        startValidation( { fresh : !!fresh } )
+    } )
+
+    // Find the atoms and shells that the user has selected:  If the selection
+    // is just a cursor position, this is the innermost atom or shell containing
+    // it, if any.  Otherwise, it is all atoms and shells that the selection
+    // touches, except those that contain the entire selection; but if there are
+    // no such atoms or shells, we again fall back on the innermost one that
+    // contains the selection.
+    const selectedTargets = () => {
+        const range = editor.selection.getRng()
+        const innermost = Atom.findAbove( editor.selection.getNode(), editor )
+        if ( range.collapsed ) return innermost ? [ innermost.element ] : [ ]
+        const touched = Atom.allElementsIn( editor ).filter( element =>
+            range.intersectsNode( element )
+         && !element.contains( range.commonAncestorContainer ) )
+        return touched.length > 0 ? touched :
+            innermost ? [ innermost.element ] : [ ]
+    }
+
+    // Add menu item for validating just the selection
+    editor.ui.registry.addMenuItem( 'validateselection', {
+        text : 'Check selection only',
+        tooltip : 'Run Lurch\'s checking algorithm on just the selected content',
+        shortcut : 'meta+shift+0',
+        onAction : () => {
+            const targets = selectedTargets()
+            if ( targets.length == 0 )
+                return Dialog.notify( editor, 'warning',
+                    'Select some expressions or environments to check.' )
+            editor.execCommand( 'validateOnly', false, targets )
+        }
+    } )
+
+    // Add menu item for validating without using any cached results
+    editor.ui.registry.addMenuItem( 'validatefresh', {
+        text : 'Recheck from scratch',
+        tooltip : 'Run Lurch\'s checking algorithm without using saved results',
+        onAction : () => editor.execCommand( 'validateAll', false, true )
+    } )
+
     // Add menu item for clearing validation results
     editor.ui.registry.addMenuItem( 'clearvalidation', {
         text : 'Clear feedback',